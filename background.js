@@ -0,0 +1,51 @@
+/**
+ * Google Meet Auto-Add Extension - Background Service Worker
+ *
+ * Forwards keyboard shortcuts (manifest "commands") to the content script in
+ * the active Calendar tab, which runs the same flow as the button.
+ *
+ * Chrome runs this as a service worker and loads the shim here; Firefox runs
+ * it as a background script, listed after browser-api.js in its manifest.
+ *
+ * COMMANDS:
+ * - add-meet: Add conferencing and save (Alt+M)
+ * - add-meet-no-save: Add conferencing only, leave the event open (Alt+Shift+M)
+ */
+
+if (typeof importScripts === 'function') {
+    importScripts('browser-api.js');
+}
+
+const { queryTabs, sendTabMessage } = globalThis.GoogleMeetAutoAddBrowser;
+
+const CALENDAR_URL_PATTERN = 'https://calendar.google.com/*';
+
+const COMMAND_MESSAGES = {
+    'add-meet': { action: 'add_meet', save: true },
+    'add-meet-no-save': { action: 'add_meet', save: false }
+};
+
+chrome.commands.onCommand.addListener(async (command) => {
+    const message = COMMAND_MESSAGES[command];
+    if (!message) return;
+
+    let tabs;
+    try {
+        tabs = await queryTabs({ active: true, currentWindow: true, url: CALENDAR_URL_PATTERN });
+    } catch (error) {
+        return;
+    }
+    if (tabs.length === 0) {
+        return; // Shortcut pressed outside Calendar
+    }
+
+    try {
+        const response = await sendTabMessage(tabs[0].id, message);
+        if (response && !response.success) {
+            console.warn('[Google Meet Auto-Add] Shortcut failed:', response.error);
+        }
+    } catch (error) {
+        // Content script not loaded yet (e.g. tab opened before install)
+        console.warn('[Google Meet Auto-Add]', error.message);
+    }
+});
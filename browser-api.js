@@ -0,0 +1,109 @@
+/**
+ * Google Meet Auto-Add Extension - Browser API Shim
+ *
+ * One promise-based surface over the extension APIs whose shape differs
+ * between browsers. Chrome and Edge expose callback-style `chrome.*` (errors
+ * in chrome.runtime.lastError); Firefox exposes promise-based `browser.*`
+ * (errors as rejections) and a `chrome.*` alias. Loaded first everywhere:
+ * content scripts, popup, options page and background.
+ *
+ * COVERED:
+ * - Storage: get/set/remove per area, and change events per area
+ * - Runtime messages: handlers return the response (or a promise of it)
+ * - Tabs: query and sendMessage, for the popup and background
+ *
+ * Synchronous calls (chrome.i18n, chrome.runtime.getManifest) are the same in
+ * every browser and stay on `chrome.*`.
+ */
+
+(function (root) {
+    'use strict';
+
+    // Resolved on use, so scripts that only need the pure helpers of a module
+    // still load where neither namespace exists (Node, tests/)
+    function getNamespace() {
+        if (root.browser && root.browser.runtime) return { api: root.browser, promises: true };
+        return { api: root.chrome, promises: false };
+    }
+
+    /**
+     * Calls an extension API method and returns a promise in either browser
+     * @param {Function} pick - Selects the object that owns the method, e.g. (api) => api.storage.local
+     * @param {string} method - Method name
+     * @param {...*} args - Arguments, without the callback
+     * @returns {Promise<*>} The method's result
+     */
+    function call(pick, method, ...args) {
+        const { api, promises } = getNamespace();
+        const owner = pick(api);
+
+        if (promises) {
+            return owner[method](...args);
+        }
+        return new Promise((resolve, reject) => {
+            owner[method](...args, (result) => {
+                if (api.runtime.lastError) {
+                    reject(new Error(api.runtime.lastError.message));
+                    return;
+                }
+                resolve(result);
+            });
+        });
+    }
+
+    function storageArea(name) {
+        const pick = (api) => api.storage[name];
+        return Object.freeze({
+            get: (key) => call(pick, 'get', key),
+            set: (items) => call(pick, 'set', items),
+            remove: (key) => call(pick, 'remove', key)
+        });
+    }
+
+    /**
+     * Subscribes to storage changes in one area
+     * @param {string} areaName - 'sync' or 'local'
+     * @param {Function} callback - Receives the changes object
+     */
+    function onStorageChanged(areaName, callback) {
+        getNamespace().api.storage.onChanged.addListener((changes, area) => {
+            if (area === areaName) callback(changes);
+        });
+    }
+
+    /**
+     * Handles runtime messages. sendResponse plus `return true` keeps the
+     * channel open in both browsers; Chrome ignores a returned promise.
+     * @param {Function} handler - (message, sender) => response, a promise of
+     *     it, or undefined to leave the message to other listeners
+     */
+    function onMessage(handler) {
+        getNamespace().api.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            const response = handler(message, sender);
+            if (response === undefined) return false;
+
+            Promise.resolve(response).then(sendResponse, (error) => sendResponse({ success: false, error: error.message }));
+            return true;
+        });
+    }
+
+    function queryTabs(query) {
+        return call((api) => api.tabs, 'query', query);
+    }
+
+    function sendTabMessage(tabId, message) {
+        return call((api) => api.tabs, 'sendMessage', tabId, message);
+    }
+
+    root.GoogleMeetAutoAddBrowser = Object.freeze({
+        storage: Object.freeze({
+            sync: storageArea('sync'),
+            local: storageArea('local')
+        }),
+        onStorageChanged,
+        onMessage,
+        queryTabs,
+        sendTabMessage
+    });
+
+})(globalThis);
@@ -14,15 +14,23 @@
  * - "Direct Add Heuristic": Intelligently detects single-provider accounts
  * - Material Design 3: Native ripple effects and state layers
  * - Persistent styling with MutationObservers to resist Google's re-renders
+ * - Locale-aware: matches Calendar controls in the page's language plus neutral signals
+ * - Scored matching: candidates are ranked on several signals and weak matches refused
+ * - Event types: the button is marked unavailable on Task, Out of office and other tabs
  * 
  * ARCHITECTURE:
- * 1. MutationObserver watches for event dialog creation
+ * 0. User settings are loaded from chrome.storage.sync (settings.js) into CONFIG
+ * 1. MutationObserver watches for event dialog creation (or the full-page /r/eventedit editor)
  * 2. When dialog detected, injects custom "Make it a Google Meet" button
- * 3. Button click triggers automated flow: find video button → click → add Meet → save
+ * 3. Button click triggers automated flow: find video button → click → add Meet → save,
+ *    following the active strategy pack (strategies.js, interpreted by the STRATEGY ENGINE)
  * 4. Native "Save" button is styled as secondary to promote the custom button
+ * 5. Each dialog's state, observers and listeners live until it leaves the DOM
+ * 6. In dry run, step 3 outlines what it would click instead of clicking
  * 
  * BROWSER COMPATIBILITY:
  * - Chrome/Edge (Manifest V3)
+ * - Firefox 140+ (manifest.firefox.json; asynchronous APIs go through browser-api.js)
  * - Only runs on calendar.google.com
  */
 
@@ -33,12 +41,16 @@
     // CONFIGURATION
     // ============================================================================
 
+    // Defaults only - user-facing values are overwritten by applySettings()
+    // from chrome.storage.sync (see settings.js and the options page).
     const CONFIG = {
         debug: false, // Set to false for production
         debugAlerts: false, // Disabled for production
+        dryRun: false, // Outline what would be clicked instead of clicking (see DRY RUN)
+        logLevel: 'info', // Lowest level kept in the diagnostics buffer (see LOG_LEVELS)
         extensionName: 'Google Meet Auto-Add',
         buttonId: 'google-meet-auto-add-btn',
-        buttonText: 'Make it a Google Meet',
+        buttonText: t('buttonText', 'Make it a Google Meet'),
         colors: {
             // Google Material Design blue palette
             primary: '#0b57d0',          // Primary blue from Google Calendar
@@ -50,25 +62,149 @@
             // Timeouts for safety (not fixed waits)
             dropdownTimeout: 1000,
             retryTimeout: 3000, // Increased to 3s for slower connections
-            saveWait: 0 // Instant save
+            saveWait: 0, // Instant save
+            undoWindow: 8000, // How long the "Undo" toast stays up after saving
+            promptTimeout: 120000 // How long to wait for the user to answer a save prompt
+        },
+        // Answers to the prompts Calendar shows after Save (see SAVING)
+        saving: {
+            recurringScope: 'this',
+            sendInvitations: 'ask',
+            internalDomains: ''
+        },
+        // Rules for automatic attachment (see settings.js for the full shape)
+        autoAdd: {
+            enabled: false
+        },
+        autoIndicatorId: 'google-meet-auto-add-indicator',
+        providerToggleId: 'google-meet-auto-add-provider-btn',
+        providerMenuId: 'google-meet-auto-add-provider-menu',
+        removeButtonId: 'google-meet-auto-add-remove-btn',
+        toastId: 'google-meet-auto-add-toast',
+        explainId: 'google-meet-auto-add-explain',
+        liveRegionId: 'google-meet-auto-add-live',
+        // Snippet copied after Meet is attached (see INVITATION SNIPPET)
+        invitation: {
+            copyAfterAdd: false,
+            format: 'text'
+        },
+        diagnostics: {
+            logBufferSize: 200,    // Log entries kept in memory
+            failureSnapshots: 5,   // Most recent failures kept in memory
+            maxControls: 60,       // Controls described per dialog snapshot
+            actionLogSize: 50      // Recent click attempts kept in memory
+        },
+        // Conferencing providers offered by the button (ids from PROVIDERS)
+        providers: {
+            default: 'googleMeet',
+            enabled: ['googleMeet']
+        },
+        // Confidence a control needs before it is used (see ELEMENT MATCHING)
+        matching: {
+            threshold: 0.6,
+            nearMiss: 0.3 // Weaker candidates are not worth a debug log entry
         }
     };
 
+    /**
+     * Copies user settings into CONFIG and refreshes any button already on the page
+     * @param {Object} settings - Complete settings object from GoogleMeetAutoAddSettings
+     */
+    function applySettings(settings) {
+        CONFIG.debug = settings.debug;
+        CONFIG.debugAlerts = settings.debugAlerts;
+        CONFIG.dryRun = settings.dryRun;
+        CONFIG.logLevel = settings.logLevel in LOG_LEVELS ? settings.logLevel : 'info';
+        CONFIG.providers = settings.providers;
+        CONFIG.buttonText = settings.buttonText.trim() || getDefaultButtonText();
+        CONFIG.colors.primary = settings.colors.primary;
+        CONFIG.colors.primaryHover = hexToRgba(settings.colors.primary, 0.04);
+        CONFIG.colors.success = settings.colors.success;
+        CONFIG.colors.error = settings.colors.error;
+        CONFIG.timing.dropdownTimeout = settings.timing.dropdownTimeout;
+        CONFIG.timing.retryTimeout = settings.timing.retryTimeout;
+        CONFIG.autoAdd = settings.autoAdd;
+        CONFIG.invitation = settings.invitation;
+        CONFIG.saving = settings.saving;
+
+        // Live update: only touch the label while the button is idle
+        const button = document.getElementById(CONFIG.buttonId);
+        if (button && !button.disabled) {
+            resetButtonLabel(button);
+            syncProviderToggle(button);
+        }
+
+        log('Settings applied', settings);
+    }
+
+    function getDefaultButtonText() {
+        const provider = getDefaultProvider();
+        if (provider === PROVIDERS.GOOGLE_MEET) {
+            return t('buttonText', 'Make it a Google Meet');
+        }
+        return t('buttonTextProvider', `Add ${provider.name} meeting`, [provider.name]);
+    }
+
+    function hexToRgba(hex, alpha) {
+        const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+        if (!match) return CONFIG.colors.primaryHover;
+        const [r, g, b] = match.slice(1).map(part => parseInt(part, 16));
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+
     // ============================================================================
     // LOGGING UTILITIES
     // ============================================================================
 
+    // Every entry also goes to an in-memory ring buffer (redacted, see DIAGNOSTICS)
+    // so it can be exported after a failure. CONFIG.logLevel decides what the
+    // buffer keeps; CONFIG.debug still decides what reaches the console.
+
+    const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+    const logBuffer = [];
+
+    function record(level, message, data = null) {
+        if (LOG_LEVELS[level] > LOG_LEVELS[CONFIG.logLevel]) return;
+
+        logBuffer.push({
+            time: new Date().toISOString(),
+            level,
+            message: redactText(String(message)),
+            data: summarizeLogData(data)
+        });
+        if (logBuffer.length > CONFIG.diagnostics.logBufferSize) {
+            logBuffer.shift();
+        }
+    }
+
+    function logDebug(message, data = null) {
+        record('debug', message, data);
+        if (CONFIG.debug) {
+            console.debug(`[${CONFIG.extensionName}]`, message, data || '');
+        }
+    }
+
     function log(message, data = null) {
+        record('info', message, data);
         if (CONFIG.debug) {
             console.log(`[${CONFIG.extensionName}]`, message, data || '');
         }
     }
 
+    function logWarn(message, data = null) {
+        record('warn', message, data);
+        if (CONFIG.debug) {
+            console.warn(`[${CONFIG.extensionName}] WARNING:`, message, data || '');
+        }
+    }
+
     function logError(message, error = null) {
+        record('error', message, error);
         console.error(`[${CONFIG.extensionName}] ERROR:`, message, error || '');
     }
 
     function logSuccess(message) {
+        record('info', message);
         if (CONFIG.debug) {
             console.log(`[${CONFIG.extensionName}] SUCCESS:`, message);
         }
@@ -83,7 +219,7 @@
         style.id = 'google-meet-stealth-style';
         style.textContent = `
             /* Scoped stealth: Only hide top-level menus/listboxes appended to body */
-            body > [role="menu"], 
+            body > [role="menu"]:not(.google-meet-auto-add-menu), 
             body > [role="listbox"], 
             body > .VfPpkd-xl07Ob {
                 opacity: 0 !important;
@@ -110,11 +246,15 @@
             '[role="dialog"]',
             '.VfPpkd-dgl2Hf-ppHlrf-sM5MNb'
         ],
+        // Fallback container for the full-page editor (/r/eventedit)
+        pageEditor: [
+            '[role="main"]'
+        ],
         saveButton: [
             '[data-action-id="save"]',
             'button[aria-label*="Save"]'
         ],
-        googleMeetOption: [
+        providerOption: [
             '[role="menuitem"]',
             '[role="option"]',
             'li'
@@ -122,935 +262,4590 @@
     };
 
     // ============================================================================
-    // EVENT SIMULATION
+    // LOCALIZATION
     // ============================================================================
+    // Calendar renders its controls in the account's language. Text matching uses
+    // the dictionary for the page's `lang` attribute plus English (some accounts mix
+    // both), and every finder also tries the language-neutral signals below.
+    // To support a new language, add an entry keyed by its primary language subtag.
+
+    const CALENDAR_STRINGS = {
+        en: {
+            addVideoConferencing: ['add video conferencing', 'add google meet video conferencing'],
+            joinMeet: ['join with google meet'],
+            add: ['add'],
+            save: ['save'],
+            moreOptions: ['more options'],
+            removeConferencing: ['remove conferenc', 'remove video conferencing', 'remove google meet'],
+            editEvent: ['edit event'],
+            sendInvitationsPrompt: ['send invitation emails', 'send update emails', 'send updated invitations'],
+            send: ['send'],
+            dontSend: ["don't send", 'do not send'],
+            editRecurringEvent: ['edit recurring event', 'save recurring event'],
+            recurringThis: ['this event'],
+            recurringFollowing: ['this and following events'],
+            recurringAll: ['all events'],
+            ok: ['ok'],
+            destructive: ['delete', 'discard', 'remove', 'cancel', 'trash', 'back to editing'],
+            title: ['title'],
+            startTime: ['start time'],
+            endTime: ['end time'],
+            startDate: ['start date'],
+            calendar: ['calendar'],
+            eventTypeEvent: ['event'],
+            eventTypeTask: ['task'],
+            eventTypeOutOfOffice: ['out of office'],
+            eventTypeFocusTime: ['focus time'],
+            eventTypeWorkingLocation: ['working location'],
+            eventTypeAppointmentSchedule: ['appointment schedule', 'appointment slots'],
+            weekdays: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+        },
+        de: {
+            addVideoConferencing: ['videokonferenz hinzufügen', 'google meet-videokonferenz hinzufügen'],
+            joinMeet: ['mit google meet teilnehmen'],
+            add: ['hinzufügen'],
+            save: ['speichern'],
+            moreOptions: ['weitere optionen'],
+            removeConferencing: ['konferenz entfernen', 'videokonferenz entfernen', 'google meet entfernen'],
+            editEvent: ['termin bearbeiten'],
+            sendInvitationsPrompt: ['einladungs-e-mails', 'einladungen senden', 'aktualisierungs-e-mails'],
+            send: ['senden'],
+            dontSend: ['nicht senden'],
+            editRecurringEvent: ['serientermin bearbeiten', 'wiederkehrenden termin bearbeiten'],
+            recurringThis: ['dieser termin'],
+            recurringFollowing: ['dieser und alle folgenden termine'],
+            recurringAll: ['alle termine'],
+            ok: ['ok'],
+            destructive: ['löschen', 'verwerfen', 'entfernen', 'abbrechen', 'papierkorb', 'zurück zur bearbeitung'],
+            title: ['titel'],
+            startTime: ['startzeit'],
+            endTime: ['endzeit'],
+            startDate: ['startdatum'],
+            calendar: ['kalender'],
+            eventTypeEvent: ['termin'],
+            eventTypeTask: ['aufgabe'],
+            eventTypeOutOfOffice: ['abwesend', 'nicht im büro'],
+            eventTypeFocusTime: ['fokuszeit'],
+            eventTypeWorkingLocation: ['arbeitsort'],
+            eventTypeAppointmentSchedule: ['terminplan', 'terminplanung'],
+            weekdays: ['sonntag', 'montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag']
+        },
+        ja: {
+            addVideoConferencing: ['ビデオ会議を追加', 'google meet のビデオ会議を追加'],
+            joinMeet: ['google meet に参加', 'google meet で参加'],
+            add: ['追加'],
+            save: ['保存'],
+            moreOptions: ['その他のオプション'],
+            removeConferencing: ['会議を削除', 'ビデオ会議を削除', 'google meet を削除'],
+            editEvent: ['予定を編集'],
+            sendInvitationsPrompt: ['招待メールを送信', '更新メールを送信', '招待状を送信'],
+            send: ['送信'],
+            dontSend: ['送信しない'],
+            editRecurringEvent: ['定期的な予定の編集', '繰り返し予定の編集'],
+            recurringThis: ['この予定'],
+            recurringFollowing: ['これ以降のすべての予定'],
+            recurringAll: ['すべての予定'],
+            ok: ['ok'],
+            destructive: ['削除', '破棄', 'キャンセル', 'ゴミ箱', '編集に戻る'],
+            title: ['タイトル'],
+            startTime: ['開始時間', '開始時刻'],
+            endTime: ['終了時間', '終了時刻'],
+            startDate: ['開始日'],
+            calendar: ['カレンダー'],
+            eventTypeEvent: ['予定'],
+            eventTypeTask: ['タスク'],
+            eventTypeOutOfOffice: ['不在'],
+            eventTypeFocusTime: ['サイレント モード', 'サイレントモード'],
+            eventTypeWorkingLocation: ['勤務場所'],
+            eventTypeAppointmentSchedule: ['予約スケジュール'],
+            weekdays: ['日曜日', '月曜日', '火曜日', '水曜日', '木曜日', '金曜日', '土曜日']
+        },
+        pt: {
+            addVideoConferencing: ['adicionar videoconferência', 'adicionar videoconferência do google meet'],
+            joinMeet: ['participar com o google meet', 'participar no google meet'],
+            add: ['adicionar'],
+            save: ['salvar', 'guardar'],
+            moreOptions: ['mais opções'],
+            removeConferencing: ['remover videoconferência', 'remover conferência', 'remover google meet'],
+            editEvent: ['editar evento'],
+            sendInvitationsPrompt: ['enviar e-mails de convite', 'enviar convites', 'enviar e-mails de atualização'],
+            send: ['enviar'],
+            dontSend: ['não enviar'],
+            editRecurringEvent: ['editar evento recorrente'],
+            recurringThis: ['este evento'],
+            recurringFollowing: ['este e os eventos seguintes', 'este evento e os seguintes'],
+            recurringAll: ['todos os eventos'],
+            ok: ['ok'],
+            destructive: ['excluir', 'apagar', 'descartar', 'remover', 'cancelar', 'lixeira', 'voltar à edição', 'voltar para a edição'],
+            title: ['título'],
+            startTime: ['horário de início', 'hora de início'],
+            endTime: ['horário de término', 'hora de fim', 'hora de término'],
+            startDate: ['data de início'],
+            calendar: ['agenda', 'calendário'],
+            eventTypeEvent: ['evento'],
+            eventTypeTask: ['tarefa'],
+            eventTypeOutOfOffice: ['fora do escritório'],
+            eventTypeFocusTime: ['tempo de foco'],
+            eventTypeWorkingLocation: ['local de trabalho'],
+            eventTypeAppointmentSchedule: ['agenda de horários', 'agendamento de horários'],
+            weekdays: ['domingo', 'segunda-feira', 'terça-feira', 'quarta-feira', 'quinta-feira', 'sexta-feira', 'sábado']
+        }
+    };
 
-    function simulateClick(element) {
-        if (!element) return;
-
-        log('Simulating robust interaction on:', element);
+    // Signals that do not depend on the UI language
+    const NEUTRAL_SIGNALS = {
+        videoConferencing: {
+            selectors: ['[data-action-id="addConference"]', '[jsaction*="addConference"]', '[jsaction*="createConference"]'],
+            icons: ['videocam', 'video_call']
+        },
+        save: {
+            selectors: ['[data-action-id="save"]', '[jsaction*="save"][role="button"]'],
+            icons: []
+        },
+        moreOptions: {
+            selectors: ['[data-action-id="moreOptions"]', '[jsaction*="moreOptions"]'],
+            icons: []
+        },
+        removeConferencing: {
+            selectors: ['[data-action-id="removeConference"]', '[jsaction*="removeConference"]'],
+            icons: []
+        },
+        editEvent: {
+            selectors: ['[data-action-id="editEvent"]', '[jsaction*="editEvent"]'],
+            icons: ['edit']
+        },
+        destructive: {
+            selectors: [
+                '[data-action-id="delete"]', '[data-action-id="discard"]', '[data-action-id="cancel"]',
+                '[jsaction*="delete"]', '[data-mdc-dialog-action="cancel"]', '[data-mdc-dialog-action="close"]'
+            ],
+            icons: ['delete', 'delete_outline', 'delete_forever', 'close', 'cancel']
+        },
+        confirmPrompt: {
+            selectors: ['[data-mdc-dialog-action="ok"]', '[data-mdc-dialog-action="accept"]', '[data-action-id="ok"]'],
+            icons: []
+        }
+    };
 
-        // 1. Check what's actually at the coordinates (Is it covered?)
-        const rect = element.getBoundingClientRect();
-        const x = rect.left + (rect.width / 2);
-        const y = rect.top + (rect.height / 2);
-        const topElement = document.elementFromPoint(x, y);
-        
-        if (topElement && topElement !== element && !element.contains(topElement)) {
-            log('⚠️ Warning: Element appears covered by:', topElement);
-            // If covered, try clicking the covering element instead
-            log('Clicking the covering element instead...');
-            topElement.click();
-            return; 
-        }
-
-        // 2. Focus (Crucial for keyboard events)
-        if (element.focus) element.focus();
-
-        // 3. Keyboard Events (Enter & Space) - The "Nuclear" Option for Accessibility
-        ['Enter', ' '].forEach(key => {
-            ['keydown', 'keypress', 'keyup'].forEach(type => {
-                element.dispatchEvent(new KeyboardEvent(type, {
-                    key: key,
-                    code: key === 'Enter' ? 'Enter' : 'Space',
-                    keyCode: key === 'Enter' ? 13 : 32,
-                    bubbles: true,
-                    cancelable: true,
-                    view: window
-                }));
-            });
-        });
+    const ICON_SELECTOR = 'i, .google-material-icons, .material-icons, .google-symbols, .material-symbols-outlined, [data-icon-name]';
 
-        // 4. Mouse Events with Coordinates
-        const mouseEvents = ['mouseover', 'mousedown', 'mouseup', 'click'];
-        mouseEvents.forEach(type => {
-            element.dispatchEvent(new MouseEvent(type, {
-                bubbles: true,
-                cancelable: true,
-                view: window,
-                buttons: 1,
-                clientX: x,
-                clientY: y
-            }));
-        });
-        
-        // 5. Native Click
-        element.click();
-
-        // 6. Deep Tree Walk (Ancestor Clicking)
-        // Only do this if we are fairly shallow to avoid clicking the whole dialog
-        let parent = element.parentElement;
-        let depth = 0;
-        while (parent && depth < 4 && parent.tagName !== 'BODY') {
-            const tag = parent.tagName;
-            const role = parent.getAttribute('role');
-            // Click if it looks interactive
-            if (tag === 'BUTTON' || role === 'button' || parent.classList.contains('VfPpkd-LgbsSe')) {
-                log(`Clicking ancestor (depth ${depth}):`, parent);
-                parent.click();
-            }
-            parent = parent.parentElement;
-            depth++;
-        }
-
-        // 7. CLUSTER BOMB: Click all children
-        // Sometimes the listener is on a specific span/div INSIDE the detected container
-        const children = element.querySelectorAll('*');
-        if (children.length < 50) { // Safety limit
-            log(`Cluster bombing ${children.length} children...`);
-            children.forEach(child => {
-                // SAFETY CHECK: Do not click destructive or cancel actions
-                const text = (child.textContent || '').toLowerCase();
-                const label = (child.getAttribute('aria-label') || '').toLowerCase();
-                if (text.includes('delete') || text.includes('cancel') || text.includes('discard') || text.includes('remove') ||
-                    label.includes('delete') || label.includes('cancel') || label.includes('discard') || label.includes('remove')) {
-                    return;
-                }
+    const localeCache = new Map();
 
-                child.click();
-                child.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, buttons: 1 }));
-                child.dispatchEvent(new MouseEvent('mouseup', { bubbles: true }));
-            });
-        }
+    function getPageLanguage() {
+        return (document.documentElement.getAttribute('lang') || navigator.language || 'en').toLowerCase();
     }
 
-    // ============================================================================
-    // STRATEGY REGISTRY
-    // ============================================================================
-    // Each strategy handles a specific video conferencing UI pattern.
-    // To add support for new patterns, simply add a new strategy object here.
-
-    const STRATEGIES = {
-        /**
-         * Strategy 1: Video conferencing already added
-         * Detect: Meet link already exists in dialog
-         * Execute: Skip video add step, just save
-         */
-        ALREADY_ADDED: {
-            name: 'Already Added',
-            priority: 1, // Highest priority - check first
-            detect: (dialog) => isVideoConferencingAlreadyAdded(dialog),
-            execute: async (dialog) => {
-                log('Video conferencing already present - skipping add step');
-                // No action needed, Meet link already exists
+    /**
+     * Returns the Calendar strings for a key in the page's language, followed by English
+     * @param {string} key - Dictionary key (e.g. 'save')
+     * @returns {string[]} Lowercase strings to match against
+     */
+    function calendarStrings(key) {
+        const language = getPageLanguage();
+
+        if (!localeCache.has(language)) {
+            const base = language.split(/[-_]/)[0];
+            const strings = {};
+            const locale = CALENDAR_STRINGS[base] || {};
+            for (const name of Object.keys(CALENDAR_STRINGS.en)) {
+                strings[name] = [...new Set([...(locale[name] || []), ...CALENDAR_STRINGS.en[name]])];
             }
-        },
+            // Weekdays are positional, so never mix two languages
+            strings.weekdays = locale.weekdays || CALENDAR_STRINGS.en.weekdays;
+            localeCache.set(language, strings);
+        }
 
-        /**
-         * Strategy 2: Direct Add button (single provider)
-         * Detect: Video button text contains "Google Meet"
-         * Execute: Click button → Wait for Meet link
-         */
-        DIRECT_ADD: {
-            name: 'Direct Add (Google Meet Button)',
-            priority: 2,
-            detect: (dialog) => {
-                const videoBtn = findVideoConferencingButton(dialog);
-                if (!videoBtn) return false;
-                const text = (videoBtn.textContent || '').toLowerCase();
-                return text.includes('google meet');
-            },
-            execute: async (dialog) => {
-                const videoBtn = findVideoConferencingButton(dialog);
-                
-                // DEBUG: Visual confirmation
-                if (CONFIG.debug) {
-                    videoBtn.style.cssText += 'border: 3px solid #f00 !important; background-color: rgba(255, 255, 0, 0.3) !important;';
-                    await waitFor(500); 
-                }
+        return localeCache.get(language)[key] || [];
+    }
+
+    function normalizeText(text) {
+        return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    }
 
-                log('Clicking Direct Add button');
-                
-                // Use robust click simulation
-                simulateClick(videoBtn);
+    /**
+     * Tests text against the localized strings for a key
+     * @param {string} text - Raw text or label
+     * @param {string} key - Dictionary key
+     * @param {boolean} exact - Require equality instead of a substring match
+     */
+    function matchesCalendarString(text, key, exact = false) {
+        const normalized = normalizeText(text);
+        if (!normalized) return false;
+        return calendarStrings(key).some(candidate => (exact ? normalized === candidate : normalized.includes(candidate)));
+    }
 
-                // Wait for Meet link to appear
-                const meetAdded = await waitForElement(
-                    () => isVideoConferencingAlreadyAdded(dialog),
-                    CONFIG.timing.retryTimeout,
-                    10
-                );
+    function getIconName(element) {
+        const icon = element.matches(ICON_SELECTOR) ? element : element.querySelector(ICON_SELECTOR);
+        if (!icon) return '';
+        return normalizeText(icon.getAttribute('data-icon-name') || icon.textContent);
+    }
 
-                if (!meetAdded) {
-                    // DEBUG: Capture state to diagnose why we can't see the change
-                    const buttons = Array.from(dialog.querySelectorAll('button, div[role="button"]'))
-                        .map(b => `"${b.textContent}" (label: ${b.getAttribute('aria-label')})`)
-                        .join('\n');
-                        
-                    throw new Error(`Google Meet link failed to attach after direct add.\n\nVisible Buttons:\n${buttons}`);
+    /**
+     * Finds a control through language-neutral signals (data-action-id, jsaction, icon)
+     * @param {HTMLElement} context - Element to search within
+     * @param {Object} signals - Entry from NEUTRAL_SIGNALS
+     * @returns {HTMLElement|null} The matching control
+     */
+    function findBySignals(context, signals) {
+        const bySelector = findElementWithFallbacks(signals.selectors, context);
+        if (bySelector) return bySelector;
+
+        if (signals.icons.length > 0) {
+            const candidates = context.querySelectorAll('button, div[role="button"]');
+            for (const candidate of candidates) {
+                if (signals.icons.includes(getIconName(candidate))) {
+                    return candidate;
                 }
             }
-        },
-
-        /**
-         * Strategy 3: Dropdown Menu (generic video button)
-         * Detect: Generic "Add video conferencing" button exists
-         * Execute: Click → Optimistic wait (single provider?) → If not, find Meet in menu → Click
-         */
-        DROPDOWN_MENU: {
-            name: 'Dropdown Menu (Single/Multi Provider)',
-            priority: 3, // Lowest priority - fallback strategy
-            detect: (dialog) => {
-                // Always returns true as fallback if video button exists
-                return findVideoConferencingButton(dialog) !== null;
-            },
-            execute: async (dialog) => {
-                const videoBtn = findVideoConferencingButton(dialog);
+        }
 
-                // Enable stealth mode to hide dropdown
-                injectStealthStyles();
+        return null;
+    }
 
-                try {
-                    log('Clicking video conferencing button');
-                    videoBtn.click();
-
-                    // OPTIMISTIC CHECK: Single provider account?
-                    // If Meet is added within 100ms, it's a single-provider direct add
-                    const immediateAdd = await waitForElement(
-                        () => isVideoConferencingAlreadyAdded(dialog),
-                        100, // Short wait for single-provider detection
-                        50
-                    );
-
-                    if (immediateAdd) {
-                        log('Single provider detected - Meet added immediately');
-                        return; // Success
-                    }
+    /**
+     * Extension UI strings from _locales (falls back to the provided English text)
+     */
+    function t(key, fallback, substitutions) {
+        try {
+            return chrome.i18n.getMessage(key, substitutions) || fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
 
-                    // Not immediate - must be dropdown menu with multiple providers
-                    log('Dropdown menu detected - finding Google Meet option');
+    // ============================================================================
+    // ELEMENT MATCHING
+    // ============================================================================
+    // Calendar renames and rearranges its controls without notice, so the finders
+    // score every candidate on several signals instead of taking the first exact
+    // text match. A control is only used if its best candidate reaches
+    // CONFIG.matching.threshold. Otherwise the closest candidates go to the debug
+    // log, which is usually the first sign that Google renamed something.
+
+    // Role, position and visibility add up to 0.3. A close spelling scores under
+    // half the text weight, so even with all three it stays below the 0.6
+    // threshold; it takes the exact or contained wording, an attribute or an icon.
+    const MATCH_WEIGHTS = {
+        text: 0.5,      // Wording of the text or aria-label
+        selector: 0.4,  // data-action-id, jsaction and similar attributes
+        icon: 0.3,
+        position: 0.15, // Where the control sits relative to the dialog
+        role: 0.1,
+        visible: 0.05
+    };
 
-                    const meetOption = await waitForElement(
-                        () => findGoogleMeetOption(),
-                        CONFIG.timing.dropdownTimeout,
-                        10
-                    );
+    // candidates and selectors are functions because a strategy pack can
+    // replace SELECTORS at any time
+    const MATCH_PROFILES = {
+        videoButton: {
+            label: 'video conferencing button',
+            // Not every [jsaction] element: Calendar puts them on layout containers
+            // too, and each one would cost an edit distance
+            candidates: () => ['button', '[role="button"]', '[role="menuitem"]'],
+            text: (element) => scoreText(element, calendarStrings('addVideoConferencing')),
+            selectors: () => NEUTRAL_SIGNALS.videoConferencing.selectors,
+            icons: NEUTRAL_SIGNALS.videoConferencing.icons,
+            roles: ['button'],
+            position: (element) => Boolean(element.closest('[data-field="conferenceData"]')),
+            // Never the "Join" control of an attached Meet
+            exclude: (element) => Boolean(element.closest('[href]')) ||
+                matchesCalendarString(element.textContent, 'joinMeet') ||
+                matchesCalendarString(element.getAttribute('aria-label'), 'joinMeet')
+        },
+        providerOption: {
+            label: 'provider menu option',
+            candidates: () => SELECTORS.providerOption,
+            text: (element, { provider }) => (provider.matchesMenuItem(element)
+                ? 1
+                : scoreText(element, [provider.name.toLowerCase()])),
+            selectors: () => [],
+            icons: [],
+            roles: ['menuitem', 'menuitemradio', 'option'],
+            // The menu is rendered at the end of <body>, outside the dialog
+            position: (element) => Boolean(element.closest('[role="menu"], [role="listbox"]')),
+            exclude: (element) => Boolean(element.closest('.google-meet-auto-add-menu')), // Our own provider picker
+            // Only the open menu; stealth mode hides it with visibility: hidden,
+            // so being laid out is what counts
+            renderedOnly: true
+        },
+        save: {
+            label: 'Save button',
+            candidates: () => ['button', 'div[role="button"]'],
+            text: (element) => scoreText(element, calendarStrings('save')),
+            selectors: () => [...SELECTORS.saveButton, ...NEUTRAL_SIGNALS.save.selectors],
+            icons: [],
+            roles: ['button'],
+            // Dialog-wide actions sit outside the field sections
+            position: (element) => !element.closest('[data-field]')
+        },
+        moreOptions: {
+            label: '"More options" button',
+            candidates: () => ['button', 'div[role="button"]'],
+            text: (element) => scoreText(element, calendarStrings('moreOptions')),
+            selectors: () => NEUTRAL_SIGNALS.moreOptions.selectors,
+            icons: [],
+            roles: ['button'],
+            position: (element) => !element.closest('[data-field]')
+        }
+    };
 
-                    if (!meetOption) {
-                        throw new Error('Could not find Google Meet option in dropdown');
-                    }
+    // Last match per element, for the dry-run explanation
+    const lastMatches = new WeakMap();
+
+    function editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
 
-                    meetOption.click();
-                    log('Clicked Google Meet option');
+    /**
+     * @param {string} text - Normalized text of a candidate
+     * @param {string} target - Normalized string it should read
+     * @returns {number} 1 if equal, 0.6-1 if it contains the target, 0.25-0.5
+     *     if it is spelled similarly, otherwise 0
+     */
+    function textSimilarity(text, target) {
+        if (text === target) return 1;
 
-                    // Wait for Meet link to attach
-                    const meetAdded = await waitForElement(
-                        () => isVideoConferencingAlreadyAdded(dialog),
-                        CONFIG.timing.retryTimeout,
-                        10
-                    );
+        const ratio = Math.min(text.length, target.length) / Math.max(text.length, target.length);
+        if (ratio < 0.5) return 0; // "Don't save" is not "Save"
+        if (text.includes(target)) return 0.6 + 0.4 * ratio;
 
-                    if (!meetAdded) {
-                        throw new Error('Google Meet link failed to attach after selection');
-                    }
+        const similarity = 0.5 * (1 - editDistance(text, target) / Math.max(text.length, target.length));
+        return similarity >= 0.25 ? similarity : 0; // Unrelated wording
+    }
 
-                } finally {
-                    // Always cleanup stealth styles
-                    removeStealthStyles();
-                }
+    function scoreText(element, strings) {
+        const texts = [element.textContent, element.getAttribute('aria-label')].map(normalizeText).filter(Boolean);
+        let best = 0;
+        for (const text of texts) {
+            for (const target of strings) {
+                best = Math.max(best, textSimilarity(text, target));
             }
         }
-    };
+        return best;
+    }
+
+    function getRole(element) {
+        return element.getAttribute('role') || (element.tagName === 'BUTTON' ? 'button' : '');
+    }
+
+    function describeSignals(signals) {
+        return Object.entries(signals)
+            .filter(([, value]) => value > 0)
+            .map(([name, value]) => (value === 1 ? name : `${name} ${value.toFixed(2)}`))
+            .join(', ');
+    }
 
     /**
-     * Selects the best strategy for the current dialog state
-     * @param {HTMLElement} dialog - The event dialog element
-     * @returns {Object|null} The selected strategy or null if none match
+     * Scores every candidate for a control and returns the best one
+     * @param {string} name - Key of MATCH_PROFILES
+     * @param {HTMLElement|Document} root - Where to look
+     * @param {Object} options - { provider, visible } - visible skips candidates
+     *     that are not laid out or are styled invisible
+     * @returns {Object|null} { element, confidence, signals }, or null if no
+     *     candidate reaches CONFIG.matching.threshold
      */
-    function selectStrategy(dialog) {
-        // Sort strategies by priority (lower number = higher priority)
-        const sortedStrategies = Object.values(STRATEGIES).sort((a, b) => a.priority - b.priority);
+    function matchControl(name, root, options = {}) {
+        const profile = MATCH_PROFILES[name];
+        const selectors = profile.selectors();
+        const scored = [];
+
+        for (const element of root.querySelectorAll([...profile.candidates(), ...selectors].join(', '))) {
+            if (element.closest('[id^="google-meet-auto-add"]')) continue; // Our own controls
+            if (profile.exclude && profile.exclude(element)) continue;
+
+            const signals = {
+                text: profile.text(element, options),
+                selector: selectors.some(selector => element.matches(selector)) ? 1 : 0,
+                icon: profile.icons.includes(getIconName(element)) ? 1 : 0
+            };
+            // Without these the rest cannot reach a near miss, so skip the layout work
+            if (!signals.text && !signals.selector && !signals.icon) continue;
+
+            signals.visible = element.offsetParent !== null ? 1 : 0;
+            if ((profile.renderedOnly || options.visible) && !signals.visible) continue;
+            if (options.visible && !isVisible(element)) continue;
+            signals.role = profile.roles.includes(getRole(element)) ? 1 : 0;
+            signals.position = profile.position(element) ? 1 : 0;
+
+            const score = Object.entries(signals).reduce((sum, [signal, value]) => sum + MATCH_WEIGHTS[signal] * value, 0);
+            // Rounded so that weights adding up to the threshold reach it
+            scored.push({ element, score: Math.round(score * 100) / 100, signals });
+        }
 
-        for (const strategy of sortedStrategies) {
-            try {
-                if (strategy.detect(dialog)) {
-                    log(`Selected strategy: ${strategy.name}`);
-                    return strategy;
-                }
-            } catch (error) {
-                logError(`Strategy "${strategy.name}" detection failed:`, error);
-            }
+        // Stable sort: on a tie the first candidate in document order wins
+        scored.sort((a, b) => b.score - a.score);
+        const best = scored[0];
+
+        if (best && best.score >= CONFIG.matching.threshold) {
+            const match = { element: best.element, confidence: Math.min(1, best.score), signals: describeSignals(best.signals) };
+            lastMatches.set(best.element, match);
+            return match;
         }
 
+        const nearMisses = scored.filter(candidate => candidate.score >= CONFIG.matching.nearMiss).slice(0, 3);
+        if (nearMisses.length > 0) {
+            logDebug(`No confident match for the ${profile.label}, closest:`, nearMisses.map(candidate => ({
+                element: describeElement(candidate.element),
+                text: normalizeText(candidate.element.textContent).slice(0, 60),
+                confidence: candidate.score,
+                signals: describeSignals(candidate.signals)
+            })));
+        }
         return null;
     }
 
     // ============================================================================
-    // STATE
+    // ACTION ENGINE
     // ============================================================================
+    // Every click the extension makes on Calendar's UI goes through performAction:
+    // one resolved target, one interaction method at a time (gentlest first), and
+    // a check for the expected DOM change before escalating to the next. Controls
+    // that look destructive (delete, discard, cancel...) in the page's language
+    // are refused unless the caller explicitly means it.
+
+    const ACTIONABLE_SELECTOR = [
+        'button',
+        'a[href]',
+        'input',
+        '[role="button"]',
+        '[role="menuitem"]',
+        '[role="menuitemradio"]',
+        '[role="option"]',
+        '[role="radio"]',
+        '[role="checkbox"]',
+        '[role="switch"]',
+        '[role="tab"]',
+        '[role="link"]'
+    ].join(', ');
+
+    // Interaction methods, tried in this order. `events` are the ones that show
+    // the method reached the control at all.
+    const ACTION_METHODS = {
+        CLICK: {
+            name: 'click',
+            events: ['click'],
+            run: (target) => target.click()
+        },
+        POINTER: {
+            name: 'pointer events',
+            events: ['pointerdown', 'mousedown', 'click'],
+            run: (target) => {
+                const rect = target.getBoundingClientRect();
+                const init = {
+                    bubbles: true,
+                    cancelable: true,
+                    view: window,
+                    button: 0,
+                    buttons: 1,
+                    clientX: rect.left + rect.width / 2,
+                    clientY: rect.top + rect.height / 2
+                };
+                const PointerCtor = typeof PointerEvent === 'function' ? PointerEvent : MouseEvent;
+                target.dispatchEvent(new PointerCtor('pointerdown', init));
+                target.dispatchEvent(new MouseEvent('mousedown', init));
+                target.dispatchEvent(new PointerCtor('pointerup', { ...init, buttons: 0 }));
+                target.dispatchEvent(new MouseEvent('mouseup', { ...init, buttons: 0 }));
+                target.dispatchEvent(new MouseEvent('click', { ...init, buttons: 0 }));
+            }
+        },
+        KEYBOARD: {
+            name: 'keyboard',
+            events: ['keydown'],
+            run: (target) => {
+                if (target.focus) target.focus();
+                ['keydown', 'keyup'].forEach((type) => {
+                    target.dispatchEvent(new KeyboardEvent(type, {
+                        key: 'Enter',
+                        code: 'Enter',
+                        keyCode: 13,
+                        bubbles: true,
+                        cancelable: true,
+                        view: window
+                    }));
+                });
+            }
+        }
+    };
 
-    let observer = null;
-    let isButtonAdded = false;
+    const actionLog = []; // Recent attempts, for diagnostics
 
-    // ============================================================================
-    // MESSAGE LISTENER
-    // ============================================================================
+    /**
+     * Resolves the single control to act on: the element itself or its closest
+     * actionable ancestor, else its only actionable descendant
+     * @param {HTMLElement} element - Element found by a finder
+     * @returns {HTMLElement|null} The control, or null when there is no single one
+     */
+    function resolveActionTarget(element) {
+        const closest = element.closest(ACTIONABLE_SELECTOR);
+        if (closest) return closest;
 
-    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-        if (request.action === 'force_check') {
-            log('Force check triggered');
-            sendResponse(performForceCheck());
+        // Menu entries such as a bare <li> carry the listener themselves
+        if (element.matches(SELECTORS.providerOption.join(', '))) {
+            return element;
         }
-        return true;
-    });
 
-    function performForceCheck() {
-        const dialog = findEventDialog(document.body);
-        if (!dialog) {
-            return { status: 'checked', dialogFound: false, reason: 'No event dialog found' };
+        const descendants = element.querySelectorAll(ACTIONABLE_SELECTOR);
+        return descendants.length === 1 ? descendants[0] : null;
+    }
+
+    function matchesSignals(element, signals) {
+        return signals.selectors.some(selector => element.matches(selector)) ||
+            signals.icons.includes(getIconName(element));
+    }
+
+    /**
+     * Whether a control would delete, discard or cancel something, judged by its
+     * text and label in the page's language and by language-neutral signals
+     * @param {HTMLElement} target - Resolved control
+     * @returns {boolean}
+     */
+    function isDestructiveAction(target) {
+        return matchesCalendarString(target.getAttribute('aria-label'), 'destructive') ||
+            matchesCalendarString(target.textContent, 'destructive') ||
+            matchesSignals(target, NEUTRAL_SIGNALS.destructive);
+    }
+
+    function recordAction(entry, trace) {
+        actionLog.push(entry);
+        if (actionLog.length > CONFIG.diagnostics.actionLogSize) {
+            actionLog.shift();
         }
+        if (trace) trace.actions.push(entry);
+        logDebug(`Action "${entry.action}" via ${entry.method}: ${entry.outcome}`);
+    }
 
-        const existingButton = dialog.querySelector(`#${CONFIG.buttonId}`);
-        if (existingButton) {
-            existingButton.remove();
-            isButtonAdded = false;
+    /**
+     * The element on top of the target's center, when it is not part of the target
+     */
+    function findCoveringElement(target) {
+        const rect = target.getBoundingClientRect();
+        const top = document.elementFromPoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
+        return top && top !== target && !target.contains(top) && !top.contains(target) ? top : null;
+    }
+
+    /**
+     * Runs one method and tells whether any of its events reached the target.
+     * One that did not (a disabled control, a layer that swallowed the event)
+     * provably did nothing.
+     * @returns {boolean} The target received the method's events
+     */
+    function runActionMethod(method, target) {
+        let delivered = false;
+        const onDelivered = () => { delivered = true; };
+        method.events.forEach(type => target.addEventListener(type, onDelivered, true));
+        try {
+            method.run(target);
+        } finally {
+            method.events.forEach(type => target.removeEventListener(type, onDelivered, true));
         }
+        return delivered;
+    }
 
-        if (isVideoConferencingAlreadyAdded(dialog)) {
-            return { status: 'checked', dialogFound: true, reason: 'Video conferencing already active' };
+    /**
+     * Clicks one control and verifies that it worked. The next method is only
+     * tried when the previous one never reached the control: one that did may
+     * just be slow to show, and a second click could undo it.
+     * @param {HTMLElement} element - The control, or an element inside it
+     * @param {Object} options
+     * @param {string} options.name - What the action is for (logs and diagnostics)
+     * @param {Function} options.expect - Synchronous check for the expected outcome;
+     *     without one the control is clicked once and the caller verifies
+     * @param {number} options.timeout - Time the outcome has to show once a
+     *     method has reached the control
+     * @param {HTMLElement} options.root - Where the outcome shows up (see waitForElement)
+     * @param {Object} options.trace - Trace of the running flow; attempts are added to it
+     * @param {boolean} options.allowDestructive - The caller really means to remove something
+     * @returns {Promise<*>} The expect() result (true without expect), or null if no method worked
+     */
+    async function performAction(element, {
+        name,
+        expect = null,
+        timeout = CONFIG.timing.retryTimeout,
+        root = document.body,
+        trace = null,
+        allowDestructive = false
+    } = {}) {
+        const target = element ? resolveActionTarget(element) : null;
+        const base = { time: new Date().toISOString(), action: name, target: describeElement(target || element) };
+
+        if (!target) {
+            recordAction({ ...base, method: null, outcome: 'no target' }, trace);
+            throw new Error(`No single control to click for "${name}"`);
+        }
+        if (!allowDestructive && isDestructiveAction(target)) {
+            recordAction({ ...base, method: null, outcome: 'refused' }, trace);
+            throw new Error(`Refused to click ${base.target} for "${name}": it looks destructive`);
         }
 
-        const added = addMeetButton(dialog);
-        return {
-            status: 'checked',
-            dialogFound: true,
-            buttonAdded: added,
-            reason: added ? 'Button added' : 'Could not add button'
-        };
-    }
+        const covering = findCoveringElement(target);
+        if (covering) {
+            logWarn(`Target of "${name}" appears covered by:`, covering);
+        }
 
-    // ============================================================================
-    // DOM UTILITIES
-    // ============================================================================
+        const methods = expect ? Object.values(ACTION_METHODS) : [ACTION_METHODS.CLICK];
 
-    function findElementWithFallbacks(selectors, context = document) {
-        if (typeof selectors === 'string') selectors = [selectors];
-        
-        for (const selector of selectors) {
+        for (const method of methods) {
+            const start = performance.now();
+            let delivered;
             try {
-                const element = context.querySelector(selector);
-                if (element) return element;
+                delivered = runActionMethod(method, target);
             } catch (error) {
-                log(`Invalid selector: ${selector}`);
+                recordAction({ ...base, method: method.name, outcome: 'error', error: redactText(error.message) }, trace);
+                continue;
+            }
+            if (!delivered) {
+                recordAction({ ...base, method: method.name, outcome: 'not delivered' }, trace);
+                continue;
+            }
+            if (!expect) {
+                recordAction({ ...base, method: method.name, outcome: 'clicked' }, trace);
+                return true;
             }
-        }
-        return null;
-    }
-
-    function findEventDialog(element) {
-        let dialog = null;
 
-        if (element.querySelector) {
-            dialog = findElementWithFallbacks(SELECTORS.eventDialog, element);
-        }
+            const result = await waitForElement(expect, timeout, { root, signal: trace ? trace.signal : null });
+            const ms = Math.round(performance.now() - start);
 
-        if (!dialog && element.matches) {
-            for (const selector of SELECTORS.eventDialog) {
-                if (element.matches(selector)) {
-                    dialog = element;
-                    break;
-                }
+            if (result) {
+                recordAction({ ...base, method: method.name, outcome: 'succeeded', ms }, trace);
+                return result;
             }
+            recordAction({ ...base, method: method.name, outcome: 'no effect', ms }, trace);
+            return null;
         }
 
-        if (dialog) {
-            const style = window.getComputedStyle(dialog);
-            if (style.display === 'none' || style.visibility === 'hidden') {
-                return null;
+        return null;
+    }
+
+    // ============================================================================
+    // PROVIDER REGISTRY
+    // ============================================================================
+    // Each provider describes one conferencing solution offered in Calendar's
+    // conferencing dropdown (built in or through a Workspace add-on).
+    // - matchesMenuItem: recognizes the provider's entry in the dropdown / direct-add button
+    // - isAttached: detects that the provider's conference is already on the event
+
+    const PLACEHOLDER_MEET_CODE = 'abc-defg-hij';
+
+    function hasConferenceLink(dialog, hosts) {
+        const links = dialog.querySelectorAll('[href]');
+        for (const link of links) {
+            const href = link.getAttribute('href') || '';
+            let host;
+            try {
+                host = new URL(href, window.location.href).hostname;
+            } catch (error) {
+                continue;
+            }
+            if (hosts.some(candidate => host === candidate || host.endsWith(`.${candidate}`))) {
+                return true;
             }
         }
+        return false;
+    }
 
-        return dialog;
+    function conferenceSectionMentions(dialog, names) {
+        const section = dialog.querySelector('[data-field="conferenceData"]');
+        if (!section) return false;
+        const text = normalizeText(section.textContent);
+        return names.some(name => text.includes(name));
     }
 
-    function waitFor(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    function labelMatches(element, names) {
+        const text = normalizeText(element.textContent);
+        const label = normalizeText(element.getAttribute('aria-label'));
+        return names.some(name => text.includes(name) || label.includes(name));
     }
 
-    function waitForElement(checkFn, timeout = 1000, interval = 10) {
-        return new Promise((resolve, reject) => {
-            const startTime = Date.now();
+    const PROVIDERS = {
+        GOOGLE_MEET: {
+            id: 'googleMeet',
+            name: 'Google Meet',
+            matchesMenuItem: (item) => labelMatches(item, ['google meet']),
+            isAttached: (dialog) => {
+                // 1. Check for standard Meet links
+                const meetLinks = dialog.querySelectorAll('[href*="meet.google.com"]');
+                for (const link of meetLinks) {
+                    const href = link.getAttribute('href');
+                    if (href && !href.includes(PLACEHOLDER_MEET_CODE) && !href.includes('placeholder')) {
+                        return true;
+                    }
+                }
 
-            const check = async () => {
-                try {
-                    const result = await checkFn();
-                    if (result) {
-                        resolve(result);
-                        return;
+                // 2. Check for "Join with Google Meet" button (common in creation dialogs)
+                const buttons = dialog.querySelectorAll('button, div[role="button"], a');
+                for (const btn of buttons) {
+                    const text = btn.textContent || '';
+                    const label = btn.getAttribute('aria-label') || '';
+                    if ((matchesCalendarString(text, 'joinMeet') || matchesCalendarString(label, 'joinMeet')) &&
+                        !matchesCalendarString(text, 'add') && !matchesCalendarString(label, 'add')) { // Ensure it's not the "Add" button
+                        return true;
                     }
-                } catch (e) {
-                    // Ignore errors during check
                 }
 
-                if (Date.now() - startTime > timeout) {
-                    resolve(null); // Resolve null instead of rejecting for cleaner flow control
-                } else {
-                    setTimeout(check, interval);
+                // 3. Check for conference data field
+                const videoSection = dialog.querySelector('[data-field="conferenceData"]');
+                if (videoSection) {
+                    // The "Add Google Meet video conferencing" button names Meet too - skip it
+                    const section = videoSection.cloneNode(true);
+                    section.querySelectorAll('button, [role="button"]').forEach(control => {
+                        if (matchesCalendarString(control.textContent, 'addVideoConferencing') ||
+                            matchesCalendarString(control.getAttribute('aria-label'), 'addVideoConferencing')) {
+                            control.remove();
+                        }
+                    });
+                    const text = section.textContent.toLowerCase();
+                    // "google meet", not just "meet" - "Zoom Meeting" must not count as Meet
+                    if ((text.includes('google meet') || text.includes('meet.google.com')) &&
+                        !text.includes(PLACEHOLDER_MEET_CODE)) {
+                        return true;
+                    }
                 }
-            };
 
-            check();
-        });
-    }
+                return false;
+            }
+        },
 
+        ZOOM: {
+            id: 'zoom',
+            name: 'Zoom',
+            matchesMenuItem: (item) => labelMatches(item, ['zoom']),
+            isAttached: (dialog) => hasConferenceLink(dialog, ['zoom.us', 'zoomgov.com']) ||
+                conferenceSectionMentions(dialog, ['zoom meeting'])
+        },
 
-    // ============================================================================
-    // VIDEO CONFERENCING DETECTION
-    // ============================================================================
+        TEAMS: {
+            id: 'teams',
+            name: 'Microsoft Teams',
+            matchesMenuItem: (item) => labelMatches(item, ['microsoft teams', 'teams meeting']),
+            isAttached: (dialog) => hasConferenceLink(dialog, ['teams.microsoft.com', 'teams.live.com']) ||
+                conferenceSectionMentions(dialog, ['microsoft teams'])
+        },
 
-    function isVideoConferencingAlreadyAdded(dialog) {
-        // 1. Check for standard Meet links
-        const meetLinks = dialog.querySelectorAll('[href*="meet.google.com"]');
-        for (const link of meetLinks) {
-            const href = link.getAttribute('href');
-            if (href && !href.includes('abc-defg-hij') && !href.includes('placeholder')) {
-                return true;
-            }
+        WEBEX: {
+            id: 'webex',
+            name: 'Webex',
+            matchesMenuItem: (item) => labelMatches(item, ['webex']),
+            isAttached: (dialog) => hasConferenceLink(dialog, ['webex.com']) ||
+                conferenceSectionMentions(dialog, ['webex'])
         }
+    };
 
-        // 2. Check for "Join with Google Meet" button (common in creation dialogs)
-        const buttons = dialog.querySelectorAll('button, div[role="button"], a');
-        for (const btn of buttons) {
-            const text = (btn.textContent || '').toLowerCase();
-            const label = (btn.getAttribute('aria-label') || '').toLowerCase();
-            if ((text.includes('join with google meet') || label.includes('join with google meet')) &&
-                !text.includes('add') && !label.includes('add')) { // Ensure it's not the "Add" button
-                return true;
-            }
-        }
+    function getProvider(id) {
+        return Object.values(PROVIDERS).find(provider => provider.id === id) || null;
+    }
 
-        // 3. Check for conference data field
-        const videoSection = dialog.querySelector('[data-field="conferenceData"]');
-        if (videoSection) {
-            const text = videoSection.textContent.toLowerCase();
-            if (text.includes('meet') && !text.includes('abc-defg-hij')) {
-                return true;
-            }
-        }
-
-        return false;
+    function getDefaultProvider() {
+        return getProvider(CONFIG.providers.default) || PROVIDERS.GOOGLE_MEET;
     }
 
-    function findVideoConferencingButton(dialog) {
-        const candidates = dialog.querySelectorAll('button, div[role="button"], [jsaction]');
-
-        for (const candidate of candidates) {
-            const text = (candidate.textContent || '').trim().replace(/\s+/g, ' ').toLowerCase();
-            const ariaLabel = (candidate.getAttribute('aria-label') || '').trim().replace(/\s+/g, ' ').toLowerCase();
-
-            if (text === 'add video conferencing' ||
-                text === 'add google meet video conferencing' ||
-                ariaLabel === 'add video conferencing' ||
-                ariaLabel === 'add google meet video conferencing') {
-                log('Found video conferencing button');
-                return candidate;
-            }
-        }
-
-        return null;
+    function getEnabledProviders() {
+        const enabled = CONFIG.providers.enabled.map(getProvider).filter(Boolean);
+        const fallback = getDefaultProvider();
+        // The default is always offered, even if unchecked in the options
+        return enabled.includes(fallback) ? enabled : [fallback, ...enabled];
     }
 
-    async function findGoogleMeetOption() {
-        const menuItems = document.querySelectorAll('[role="menuitem"], [role="option"], li');
-
-        for (const item of menuItems) {
-            if (item.offsetParent === null) continue;
-
-            const text = (item.textContent || '').toLowerCase();
-            const ariaLabel = (item.getAttribute('aria-label') || '').toLowerCase();
-
-            if (text.includes('google meet') || ariaLabel.includes('google meet')) {
-                log('Found Google Meet option');
-                return item;
+    /**
+     * Returns the provider whose conference is already attached to the event
+     * @param {HTMLElement} dialog - The event dialog element
+     * @returns {Object|null} The attached provider, or null if none
+     */
+    function findAttachedProvider(dialog) {
+        for (const provider of Object.values(PROVIDERS)) {
+            if (provider.isAttached(dialog)) {
+                return provider;
             }
         }
         return null;
     }
 
     // ============================================================================
-    // BUTTON MANAGEMENT
+    // STRATEGY ENGINE
     // ============================================================================
+    // Strategies are data (see strategies.js): a detect condition, ordered steps
+    // and a success condition for each video conferencing UI pattern. This engine
+    // compiles the active pack into STRATEGIES. To support a new pattern, add a
+    // strategy to the built-in pack, or import a pack from the options page to
+    // patch a broken selector without a release. explain() lists the controls
+    // execute() would click, for dry-run mode, and never changes the page.
+
+    const { BUILTIN_PACK } = globalThis.GoogleMeetAutoAddStrategies;
+
+    // SELECTORS as shipped; a pack's "selectors" replace entries of it
+    const BUILTIN_SELECTORS = Object.fromEntries(Object.entries(SELECTORS).map(([key, list]) => [key, list.slice()]));
+
+    // Elements a pack target can name instead of describing them. `text` is the
+    // CALENDAR_STRINGS key the finder matches on, `label` names it in dry run.
+    const FINDERS = {
+        videoButton: {
+            find: (dialog) => findVideoConferencingButton(dialog),
+            text: 'addVideoConferencing',
+            label: () => t('explainVideoButton', 'Video conferencing button')
+        },
+        conferenceSection: {
+            find: (dialog) => dialog.querySelector('[data-field="conferenceData"]'),
+            text: '',
+            label: () => null
+        },
+        providerOption: {
+            // The menu is rendered at the end of <body>, outside the dialog
+            find: (dialog, provider) => findProviderOption(provider),
+            text: '',
+            label: (provider) => t('explainProviderOption', `${provider.name} in the menu`, [provider.name])
+        },
+        saveButton: {
+            find: (dialog) => findSaveButton(dialog),
+            text: 'save',
+            label: () => t('explainSave', 'Save')
+        }
+    };
 
+    // Notes a step can add to its dry-run explanation
+    const EXPLAIN_NOTES = {
+        namesProvider: (provider) => t('explainNamesProvider', `Names ${provider.name}, so one click adds it`, [provider.name]),
+        opensMenu: () => t('explainOpensMenu', 'Opens the conferencing menu')
+    };
 
-    function isVisible(element) {
-        return element.offsetParent !== null &&
-            window.getComputedStyle(element).display !== 'none' &&
-            window.getComputedStyle(element).visibility !== 'hidden';
-    }
-
-    function findVisibleSaveButton(dialog) {
-        // Strategy 1: Text content "Save"
-        const allButtons = dialog.querySelectorAll('button, div[role="button"]');
-        for (const button of allButtons) {
-            if (button.textContent.trim() === 'Save' && isVisible(button)) {
-                return button;
-            }
-        }
+    // Named step timeouts follow the user's timing settings
+    const STEP_TIMEOUTS = {
+        retry: () => CONFIG.timing.retryTimeout,
+        dropdown: () => CONFIG.timing.dropdownTimeout
+    };
 
-        // Strategy 2: Selectors
-        for (const selector of SELECTORS.saveButton) {
-            const buttons = dialog.querySelectorAll(selector);
-            for (const button of buttons) {
-                if (isVisible(button)) {
-                    return button;
-                }
-            }
+    /**
+     * Finds the element a pack target points at
+     * @param {Object} target - { finder } or any of { selectors, text, labels,
+     *     icons, provider, scope, visible } (see PACK_SCHEMA)
+     * @param {Object} context - { dialog, provider } of the running strategy
+     * @returns {HTMLElement|null} The first element matching every given field
+     */
+    function resolveTarget(target, { dialog, provider }) {
+        if (target.finder) {
+            return FINDERS[target.finder].find(dialog, provider);
         }
 
-        return null;
-    }
+        const scope = target.scope === 'page' ? document : dialog;
+        const candidates = scope.querySelectorAll(target.selectors ? target.selectors.join(', ') : ACTIONABLE_SELECTOR);
 
-    function getVisualStyles(element) {
-        const style = window.getComputedStyle(element);
+        return Array.from(candidates).find((element) => {
+            if (target.visible !== false && element.offsetParent === null) return false;
+            if (element.closest('[id^="google-meet-auto-add"]')) return false; // Our own button and menu
 
-        // 1. Robust Border Extraction
-        // Shorthand 'border' often returns empty string in computed styles
-        let border = style.border;
-        if (!border || border === '') {
-            if (style.borderStyle && style.borderStyle !== 'none') {
-                border = `${style.borderWidth} ${style.borderStyle} ${style.borderColor}`;
-            } else {
-                border = 'none';
+            const texts = [element.textContent, element.getAttribute('aria-label')];
+            if (target.text && !texts.some(text => matchesCalendarString(text, target.text))) return false;
+            if (target.labels && !texts.some(text => target.labels.some(label => normalizeText(text).includes(normalizeText(label))))) {
+                return false;
             }
-        }
+            if (target.icons && !target.icons.includes(getIconName(element))) return false;
+            if (target.provider && !provider.matchesMenuItem(element)) return false;
+            return true;
+        }) || null;
+    }
 
-        // 2. Robust Text Color & Font Extraction
-        // Text styles are often on a child <span> (common in Google Material buttons)
-        let color = style.color;
-        let fontFamily = style.fontFamily;
-        let fontSize = style.fontSize;
-        let fontWeight = style.fontWeight;
-        let letterSpacing = style.letterSpacing;
-        let textTransform = style.textTransform;
+    const CONDITIONS = {
+        attached: (which, context) => (which === 'provider'
+            ? context.provider.isAttached(context.dialog)
+            : findAttachedProvider(context.dialog) !== null),
+        exists: (target, context) => resolveTarget(target, context) !== null,
+        gone: (target, context) => resolveTarget(target, context) === null,
+        // Compared with the content recorded when the step started (captureBaselines)
+        changed: (target, context) => {
+            const element = resolveTarget(target, context);
+            return Boolean(element) && element.innerHTML !== context.baselines.get(target);
+        },
+        menuOpen: (target, context) => {
+            const element = resolveTarget(target, context);
+            return Boolean(element) && isConferenceMenuOpen(element);
+        },
+        providerNamed: (target, context) => {
+            const element = resolveTarget(target, context);
+            return Boolean(element) && context.provider.matchesMenuItem(element);
+        },
+        all: (conditions, context) => conditions.every(condition => evaluateCondition(condition, context)),
+        any: (conditions, context) => conditions.some(condition => evaluateCondition(condition, context)),
+        not: (condition, context) => !evaluateCondition(condition, context)
+    };
 
-        // Find the deepest child that likely contains the text
-        // This ensures we get the color of the text, not the button container
-        const findTextWrapper = (el) => {
-            if (el.children.length === 0 && el.textContent.trim().length > 0) return el;
-            for (const child of el.children) {
-                const found = findTextWrapper(child);
-                if (found) return found;
-            }
-            return null;
-        };
+    /**
+     * @param {Object} condition - Single-key object, e.g. { attached: 'provider' }
+     * @param {Object} context - { dialog, provider, baselines }
+     * @returns {boolean}
+     */
+    function evaluateCondition(condition, context) {
+        const [[kind, value]] = Object.entries(condition);
+        return CONDITIONS[kind](value, context);
+    }
 
-        const textWrapper = findTextWrapper(element);
-        if (textWrapper) {
-            const wrapperStyle = window.getComputedStyle(textWrapper);
-            color = wrapperStyle.color;
-            fontFamily = wrapperStyle.fontFamily;
-            fontSize = wrapperStyle.fontSize;
-            fontWeight = wrapperStyle.fontWeight;
-            letterSpacing = wrapperStyle.letterSpacing;
-            textTransform = wrapperStyle.textTransform;
+    // Records what "changed" conditions compare against, before a click
+    function captureBaselines(condition, context) {
+        if (!condition) return;
+        const [[kind, value]] = Object.entries(condition);
+        if (kind === 'changed') {
+            const element = resolveTarget(value, context);
+            context.baselines.set(value, element ? element.innerHTML : null);
+        } else if (kind === 'all' || kind === 'any') {
+            value.forEach(item => captureBaselines(item, context));
+        } else if (kind === 'not') {
+            captureBaselines(value, context);
         }
-
-        return {
-            backgroundColor: style.backgroundColor,
-            height: style.height,
-            padding: style.padding,
-            borderRadius: style.borderRadius,
-            boxShadow: style.boxShadow,
-            border: border,
-            color: color,
-            fontFamily: fontFamily,
-            fontSize: fontSize,
-            fontWeight: fontWeight,
-            letterSpacing: letterSpacing,
-            textTransform: textTransform,
-            cursor: style.cursor,
-            display: 'inline-flex',
-            alignItems: 'center',
-            justifyContent: 'center'
-        };
     }
 
-    function createRipple(event) {
-        const button = event.currentTarget;
-        const circle = document.createElement('span');
-        const diameter = Math.max(button.clientWidth, button.clientHeight);
-        const radius = diameter / 2;
+    function formatFailure(template, { dialog, provider }) {
+        const attached = findAttachedProvider(dialog);
+        return template
+            .replace(/\{provider\}/g, provider.name)
+            .replace(/\{attached\}/g, attached ? attached.name : 'another provider');
+    }
 
-        const rect = button.getBoundingClientRect();
+    /**
+     * Runs one step of a strategy: click a target, choose a menu item (waiting
+     * for it to show up first) or wait for a condition
+     * @param {Object} step - Entry of a strategy's steps
+     * @param {Object} context - { dialog, provider, baselines }
+     * @param {Object} trace - From createTrace()
+     * @returns {Promise<boolean>} True if the step ends the strategy early (finish)
+     */
+    async function runStep(step, context, trace) {
+        const timeout = typeof step.timeout === 'number'
+            ? step.timeout
+            : (STEP_TIMEOUTS[step.timeout] || STEP_TIMEOUTS[step.choose ? 'dropdown' : 'retry'])();
+        const failure = () => new Error(formatFailure(step.failure || `Step "${step.name}" failed`, context));
+
+        let met;
+        if (step.wait) {
+            met = await trace.step(step.name, () => waitForElement(
+                () => evaluateCondition(step.wait, context),
+                timeout,
+                { signal: trace.signal }
+            ));
+        } else {
+            met = await trace.step(step.name, async () => {
+                const element = step.choose
+                    ? await waitForElement(() => resolveTarget(step.choose, context), timeout, { signal: trace.signal })
+                    : resolveTarget(step.click, context);
+                if (!element) {
+                    throw failure();
+                }
 
-        circle.style.width = circle.style.height = `${diameter}px`;
-        circle.style.left = `${event.clientX - rect.left - radius}px`;
-        circle.style.top = `${event.clientY - rect.top - radius}px`;
-        circle.classList.add('google-meet-ripple');
+                captureBaselines(step.expect, context);
+                return performAction(element, {
+                    name: step.name,
+                    expect: step.expect ? () => evaluateCondition(step.expect, context) : null,
+                    timeout: step.click ? timeout : CONFIG.timing.retryTimeout,
+                    trace
+                });
+            });
+        }
 
-        const ripple = button.getElementsByClassName('google-meet-ripple')[0];
-        if (ripple) {
-            ripple.remove();
+        if ((step.wait || step.expect) && !met && !step.optional) {
+            throw failure();
         }
+        return Boolean(met && step.finish);
+    }
 
-        button.appendChild(circle);
+    /**
+     * Dry-run view of a strategy: the controls its click and choose steps would use
+     * @returns {Object[]} { name, element, reasons } in click order
+     */
+    function explainStrategy(definition, context) {
+        return definition.steps.filter(step => step.click || step.choose).map((step) => {
+            const target = step.click || step.choose;
+            const finder = target.finder ? FINDERS[target.finder] : null;
+            const element = resolveTarget(target, context);
+            const notes = step.explain ? [EXPLAIN_NOTES[step.explain](context.provider)] : [];
+            let reasons;
+
+            if (step.choose && !element) {
+                // Opening the menu is already a click (it adds Meet outright on
+                // single-provider accounts), so the item is only shown if the
+                // user opened the menu themselves
+                reasons = [t('explainOptionClosed', 'Picked once the menu opens. Open the menu yourself and run again to see which item.')];
+            } else if (step.choose && (target.finder === 'providerOption' || target.provider)) {
+                reasons = [t('explainOptionNamesProvider', `Menu item naming ${context.provider.name}`, [context.provider.name]), ...notes];
+            } else {
+                reasons = [...explainMatch(element, target.text || (finder && finder.text)), ...notes];
+            }
+
+            return { name: (finder && finder.label(context.provider)) || step.name, element, reasons };
+        });
     }
 
-    function createMeetButton(styles = {}) {
-        const button = document.createElement('button');
-        button.id = CONFIG.buttonId;
-        button.className = 'google-meet-auto-add-button';
-        button.textContent = CONFIG.buttonText;
-        button.type = 'button';
+    /**
+     * Turns a pack's strategy definition into { detect, execute, explain }
+     * @param {Object} definition - Entry of a pack's strategies
+     * @returns {Object} The definition plus the three functions
+     */
+    function compileStrategy(definition) {
+        const contextFor = (dialog, provider) => ({ dialog, provider, baselines: new Map() });
 
-        // Default fallbacks (Standard Google Blue)
-        const defaults = {
-            backgroundColor: CONFIG.colors.primary,
-            color: 'white',
-            border: 'none',
-            borderRadius: '100px',
-            padding: '0 24px',
-            fontFamily: "'Google Sans', Roboto, Arial, sans-serif",
-            fontSize: '14px',
-            fontWeight: '500',
-            height: '36px',
-            boxShadow: 'none'
-        };
+        return {
+            ...definition,
+            detect: (dialog, provider = PROVIDERS.GOOGLE_MEET) => evaluateCondition(definition.detect, contextFor(dialog, provider)),
+            execute: async (dialog, provider = PROVIDERS.GOOGLE_MEET, trace = createTrace()) => {
+                const context = contextFor(dialog, provider);
 
-        const s = { ...defaults, ...styles };
+                // Hide Calendar's dropdown while we drive it
+                if (definition.hideMenus) injectStealthStyles();
 
-        button.style.cssText = `
-            background-color: ${s.backgroundColor};
-            color: ${s.color};
-            border: ${s.border};
-            border-radius: ${s.borderRadius};
-            padding: ${s.padding};
-            font-family: ${s.fontFamily};
-            font-size: ${s.fontSize};
-            font-weight: ${s.fontWeight};
-            letter-spacing: ${s.letterSpacing || 'normal'};
-            text-transform: ${s.textTransform || 'none'};
-            box-shadow: ${s.boxShadow};
-            cursor: pointer;
-            transition: background-color 0.2s, box-shadow 0.2s; /* Standard transitions */
-            margin: 0 8px;
-            white-space: nowrap;
-            height: ${s.height};
-            display: inline-flex;
-            align-items: center;
-            justify-content: center;
-            position: relative; /* Required for ripple */
-            overflow: hidden;   /* Required for ripple */
-        `;
+                try {
+                    for (const step of definition.steps) {
+                        log(`${definition.name}: ${step.name}`);
+                        if (await runStep(step, context, trace)) break;
+                    }
 
-        // Material Ripple Effect
-        button.addEventListener('mousedown', createRipple);
-        
-        button.addEventListener('click', handleMeetButtonClick);
-        
-        return button;
+                    if (definition.success && !evaluateCondition(definition.success, context)) {
+                        throw new Error(formatFailure(definition.failure || `${definition.name} did not succeed`, context));
+                    }
+                } finally {
+                    if (definition.hideMenus) removeStealthStyles();
+                }
+            },
+            explain: (dialog, provider = PROVIDERS.GOOGLE_MEET) => explainStrategy(definition, contextFor(dialog, provider))
+        };
     }
 
-    function addMeetButton(dialog) {
-        if (dialog.querySelector(`#${CONFIG.buttonId}`)) {
-            return false;
-        }
-
-        // Find the actual VISIBLE Save button to replace
-        const saveBtn = findVisibleSaveButton(dialog);
+    // The compiled active pack, keyed by strategy id. Mutated in place so
+    // references to it (the public API) stay current.
+    const STRATEGIES = {};
+    let activePack = null;
 
-        if (!saveBtn) {
-            log('No visible Save button found - skipping');
-            return false;
+    /**
+     * Switches to a strategy pack
+     * @param {Object} result - From GoogleMeetAutoAddStrategies.loadPack()
+     */
+    function applyStrategyPack({ pack, custom, errors = [] }) {
+        if (errors.length > 0) {
+            logWarn('Imported strategy pack no longer validates - using the built-in pack', errors);
         }
 
-        // Capture styles using robust extractor
-        const computedStyles = getVisualStyles(saveBtn);
-        log('Copied styles from visible Save button:', computedStyles);
-
-        const button = createMeetButton(computedStyles);
+        Object.keys(STRATEGIES).forEach(id => delete STRATEGIES[id]);
+        pack.strategies.forEach((definition) => {
+            STRATEGIES[definition.id] = compileStrategy(definition);
+        });
 
-        // Insert our button AFTER the save button (Zoom-like style)
-        // We insert directly into the parent to maintain flex layout
-        if (saveBtn.nextSibling) {
-            saveBtn.parentElement.insertBefore(button, saveBtn.nextSibling);
-        } else {
-            saveBtn.parentElement.appendChild(button);
+        const overrides = pack.selectors || {};
+        for (const key of Object.keys(BUILTIN_SELECTORS)) {
+            SELECTORS[key] = (overrides[key] || BUILTIN_SELECTORS[key]).slice();
         }
 
-        // Demote the Save button to Secondary style (match "More options")
-        styleSaveButtonAsSecondary(saveBtn, dialog);
+        activePack = { name: pack.name, version: pack.version || null, custom };
+        if (custom) {
+            log(`Using imported strategy pack "${pack.name}"${pack.version ? ` ${pack.version}` : ''}`);
+        }
+    }
 
-        isButtonAdded = true;
-        logSuccess('Button added successfully (placed after Save)');
-        return true;
+    /**
+     * Whether the conferencing dropdown is showing (it may be hidden by stealth
+     * styles, so this looks at layout rather than visibility)
+     * @param {HTMLElement} videoBtn - The button that opens it
+     */
+    function isConferenceMenuOpen(videoBtn) {
+        if (videoBtn.getAttribute('aria-expanded') === 'true') return true;
+        return Array.from(document.querySelectorAll('body > [role="menu"], body > [role="listbox"], body > .VfPpkd-xl07Ob'))
+            .some(menu => !menu.classList.contains('google-meet-auto-add-menu') && menu.offsetParent !== null);
     }
 
-    function findMoreOptionsButton(dialog) {
-        const allButtons = dialog.querySelectorAll('button, div[role="button"]');
-        for (const button of allButtons) {
-            if (button.textContent.trim().toLowerCase() === 'more options') {
-                return button;
+    /**
+     * Selects the best strategy for the current dialog state
+     * @param {HTMLElement} dialog - The event dialog element
+     * @param {Object} provider - Entry from PROVIDERS to add (defaults to Google Meet)
+     * @returns {Object|null} The selected strategy or null if none match
+     */
+    function selectStrategy(dialog, provider = PROVIDERS.GOOGLE_MEET) {
+        // Sort strategies by priority (lower number = higher priority)
+        const sortedStrategies = Object.values(STRATEGIES).sort((a, b) => a.priority - b.priority);
+
+        for (const strategy of sortedStrategies) {
+            try {
+                if (strategy.detect(dialog, provider)) {
+                    log(`Selected strategy: ${strategy.name}`);
+                    return strategy;
+                }
+            } catch (error) {
+                logError(`Strategy "${strategy.name}" detection failed:`, error);
             }
         }
+
         return null;
     }
 
-    function styleSaveButtonAsSecondary(saveBtn, dialog) {
-        const moreOptionsBtn = findMoreOptionsButton(dialog);
+    // ============================================================================
+    // STATE
+    // ============================================================================
 
-        if (moreOptionsBtn) {
-            log('Found "More options" button - copying classes for exact match');
+    let observer = null;
 
-            // STRATEGY: Copy the exact CSS classes from "More options"
-            // This ensures we get the exact same font, color, hover state, ripple, and shape.
-            // Google's framework uses classes like 'VfPpkd-LgbsSe' for styling.
+    // Where each open dialog (or full-page editor) is in its life. A dialog
+    // starts idle, goes button-injected once our button is in place, running
+    // while a flow works on it, then done or failed. Leaving the DOM ends it
+    // (see teardownDialog), so a dialog that comes back starts over.
+    const DIALOG_STATES = Object.freeze({
+        IDLE: 'idle',
+        BUTTON_INJECTED: 'button-injected',
+        RUNNING: 'running',
+        DONE: 'done',
+        FAILED: 'failed'
+    });
 
-            const targetClass = moreOptionsBtn.className;
+    const dialogStates = new WeakMap();
 
-            // Use our robust extractor to get the REAL text color (often hidden in a child span)
-            const targetColor = getVisualStyles(moreOptionsBtn).color;
+    function getDialogState(dialog) {
+        return dialogStates.get(dialog) || DIALOG_STATES.IDLE;
+    }
 
-            const applyClasses = () => {
-                // 1. Copy the class (Container style, hover, shape)
+    /**
+     * @param {HTMLElement} dialog - Dialog or full-page editor
+     * @param {string} state - One of DIALOG_STATES
+     */
+    function setDialogState(dialog, state) {
+        const previous = getDialogState(dialog);
+        if (previous === state) return;
+
+        dialogStates.set(dialog, state);
+        getDialogScope(dialog); // Tracked, so closing the dialog resets it
+        logDebug(`Dialog state: ${previous} -> ${state}`);
+    }
+
+    function isDialogRunning(dialog) {
+        return getDialogState(dialog) === DIALOG_STATES.RUNNING;
+    }
+
+    // ============================================================================
+    // MESSAGE LISTENER
+    // ============================================================================
+
+    // Through browser-api.js, which answers the same way in Chrome and Firefox
+    globalThis.GoogleMeetAutoAddBrowser.onMessage((request) => {
+        if (request.action === 'force_check') {
+            log('Force check triggered');
+            return performForceCheck();
+        } else if (request.action === 'get_status') {
+            return getStatus();
+        } else if (request.action === 'get_diagnostics') {
+            return getDiagnosticBundle();
+        } else if (request.action === 'get_invitation') {
+            return getInvitationForPopup(request.format);
+        } else if (/^bulk_/.test(request.action)) {
+            return handleBulkMessage(request);
+        } else if (request.action === 'add_meet') {
+            log(`Keyboard shortcut triggered (save: ${request.save !== false})`);
+            return addConferencingFromShortcut(request.save !== false, request.trigger);
+        }
+        return undefined;
+    });
+
+    /**
+     * Snapshot of the open editor for the popup's control panel
+     * @returns {Object} { dialogFound, context, eventType, unavailable, strategy, attachedProvider, buttonPresent }
+     */
+    function getStatus() {
+        const dialog = findEventContainer(document.body);
+        if (!dialog) {
+            return { dialogFound: false };
+        }
+
+        const strategy = selectStrategy(dialog, getDefaultProvider());
+        const attached = findAttachedProvider(dialog);
+
+        return {
+            dialogFound: true,
+            context: EDITOR_CONTEXTS.DIALOG.owns(dialog) ? 'dialog' : 'page',
+            eventType: detectEventType(dialog).id,
+            unavailable: getUnavailableReason(dialog),
+            strategy: strategy ? strategy.name : null,
+            attachedProvider: attached ? attached.name : null,
+            buttonPresent: Boolean(dialog.querySelector(`#${CONFIG.buttonId}`)),
+            state: getDialogState(dialog)
+        };
+    }
+
+    /**
+     * The popup copies the snippet itself - a page that is not focused cannot
+     * write to the clipboard
+     * @param {string} format - Key of INVITATION_TEMPLATES (defaults to the setting)
+     */
+    function getInvitationForPopup(format) {
+        const dialog = findEventContainer(document.body);
+        const snippet = dialog ? buildInvitation(dialog, format) : null;
+        if (!snippet) {
+            return { success: false, error: t('toastNoMeetLink', 'No Google Meet link to copy') };
+        }
+        return { success: true, ...snippet };
+    }
+
+    function performForceCheck() {
+        const dialog = findEventContainer(document.body);
+        if (!dialog) {
+            return { status: 'checked', dialogFound: false, reason: 'No event dialog found' };
+        }
+
+        const existingButton = dialog.querySelector(`#${CONFIG.buttonId}`);
+        if (existingButton) {
+            existingButton.remove();
+            setDialogState(dialog, DIALOG_STATES.IDLE);
+        }
+
+        if (isVideoConferencingAlreadyAdded(dialog)) {
+            addRemoveButton(dialog);
+            return { status: 'checked', dialogFound: true, reason: 'Video conferencing already active' };
+        }
+
+        const added = addMeetButton(dialog);
+        return {
+            status: 'checked',
+            dialogFound: true,
+            buttonAdded: added,
+            reason: added ? 'Button added' : 'Could not add button'
+        };
+    }
+
+    // ============================================================================
+    // DOM UTILITIES
+    // ============================================================================
+
+    function findElementWithFallbacks(selectors, context = document) {
+        if (typeof selectors === 'string') selectors = [selectors];
+        
+        for (const selector of selectors) {
+            try {
+                const element = context.querySelector(selector);
+                if (element) return element;
+            } catch (error) {
+                logWarn(`Invalid selector: ${selector}`);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Finds every visible event dialog at or under an element. Calendar can
+     * stack them (a details bubble left under the editor it opened) and keeps
+     * hidden ones around, so the first match is not necessarily the one in use.
+     * @param {HTMLElement} element - Element to search at and within
+     * @returns {HTMLElement[]} Dialogs in document order, innermost only
+     */
+    function findEventDialogs(element) {
+        const found = new Set();
+
+        for (const selector of SELECTORS.eventDialog) {
+            try {
+                if (element.matches && element.matches(selector)) {
+                    found.add(element);
+                }
+                if (element.querySelectorAll) {
+                    element.querySelectorAll(selector).forEach(dialog => found.add(dialog));
+                }
+            } catch (error) {
+                logWarn(`Invalid selector: ${selector}`);
+            }
+        }
+
+        const dialogs = Array.from(found).filter((dialog) => {
+            const style = window.getComputedStyle(dialog);
+            return style.display !== 'none' && style.visibility !== 'hidden';
+        });
+
+        // A dialog wrapping another is only its frame; owns() resolves to the inner one too
+        return dialogs
+            .filter(dialog => !dialogs.some(other => other !== dialog && dialog.contains(other)))
+            .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+    }
+
+    function waitFor(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Waits until checkFn returns something truthy. Instead of polling on a timer,
+     * checkFn re-runs only when the DOM under `root` changes, so scope `root` to
+     * the dialog whenever the change is expected there.
+     * @param {Function} checkFn - Synchronous check; its truthy result is returned
+     * @param {number} timeout - Resolves null after this many ms
+     * @param {Object} options - { root, signal }: element to observe (default
+     *     document.body) and an AbortSignal that rejects the wait early
+     * @returns {Promise<*>} checkFn's result, or null on timeout
+     */
+    function waitForElement(checkFn, timeout = 1000, { root = document.body, signal = null } = {}) {
+        return new Promise((resolve, reject) => {
+            const check = () => {
+                try {
+                    return checkFn() || null;
+                } catch (e) {
+                    return null; // Ignore errors during check
+                }
+            };
+
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const initial = check();
+            if (initial) {
+                resolve(initial);
+                return;
+            }
+
+            let timer = null;
+            const observer = new MutationObserver(() => {
+                const result = check();
+                if (result) finish(result);
+            });
+            const onAbort = () => finish(null, signal.reason);
+
+            function finish(result, error = null) {
+                observer.disconnect();
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result); // null on timeout, for cleaner flow control
+                }
+            }
+
+            observer.observe(root, { childList: true, subtree: true, attributes: true, characterData: true });
+            timer = setTimeout(() => finish(check()), timeout); // One last look before giving up
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Aborts a run when its dialog leaves the DOM (closed with X, Escape or
+     * by navigating away), so pending waits stop instead of running out
+     * @param {HTMLElement} dialog - Dialog or full-page editor container
+     * @param {AbortController} controller - Controller of the run
+     * @returns {Function} Stops watching
+     */
+    function abortWhenClosed(dialog, controller) {
+        let watching = true;
+        const abort = () => {
+            if (watching && !controller.signal.aborted) {
+                controller.abort(new Error('The event dialog was closed'));
+            }
+        };
+
+        // The parent sees the dialog itself removed; an ancestor removed
+        // instead is caught by the teardown on the next page scan
+        const observer = observeInDialog(dialog, dialog.parentElement || document.body, () => {
+            if (!dialog.isConnected) abort();
+        }, { childList: true });
+        onDialogTeardown(dialog, abort);
+
+        return () => {
+            watching = false;
+            observer.disconnect();
+            const scope = dialogScopes.get(dialog);
+            if (scope) scope.observers.delete(observer);
+        };
+    }
+
+
+    // ============================================================================
+    // DIALOG LIFECYCLE
+    // ============================================================================
+    // Observers and listeners that belong to one dialog are registered here and
+    // torn down together once the dialog leaves the DOM. Without this, every
+    // dialog opened during the day left a MutationObserver restyling a detached
+    // Save button.
+
+    // dialog -> { observers, listeners, cleanups, watching }; `watching` names the
+    // once-per-dialog watchers already set up, so they are set up again if
+    // Calendar reattaches the same element after a teardown
+    const dialogScopes = new Map();
+
+    function getDialogScope(dialog) {
+        let scope = dialogScopes.get(dialog);
+        if (!scope) {
+            scope = { observers: new Set(), listeners: [], cleanups: [], watching: new Set() };
+            dialogScopes.set(dialog, scope);
+        }
+        return scope;
+    }
+
+    /**
+     * Creates a MutationObserver that lives as long as the dialog
+     * @param {HTMLElement} dialog - Owning dialog or full-page editor
+     * @param {Node} target - Node to observe (usually inside the dialog)
+     * @param {Function} callback - MutationObserver callback
+     * @param {Object} options - MutationObserver.observe options
+     * @returns {MutationObserver} The observer, already observing
+     */
+    function observeInDialog(dialog, target, callback, options) {
+        const observer = new MutationObserver(callback);
+        observer.observe(target, options);
+        getDialogScope(dialog).observers.add(observer);
+        return observer;
+    }
+
+    /**
+     * Adds an event listener that is removed when the dialog closes
+     * @param {HTMLElement} dialog - Owning dialog or full-page editor
+     * @param {EventTarget} target - Element, document or window
+     * @param {string} type - Event type
+     * @param {Function} handler - Listener
+     * @param {Object|boolean} options - addEventListener options
+     */
+    function listenInDialog(dialog, target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        getDialogScope(dialog).listeners.push({ target, type, handler, options });
+    }
+
+    /**
+     * Runs cleanup (clear a timer, close a menu) when the dialog closes
+     * @param {HTMLElement} dialog - Owning dialog or full-page editor
+     * @param {Function} cleanup - Called once on teardown
+     */
+    function onDialogTeardown(dialog, cleanup) {
+        getDialogScope(dialog).cleanups.push(cleanup);
+    }
+
+    function teardownDialog(dialog) {
+        const scope = dialogScopes.get(dialog);
+        if (!scope) return;
+        dialogScopes.delete(dialog);
+        dialogStates.delete(dialog);
+
+        scope.observers.forEach(observer => observer.disconnect());
+        scope.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        scope.cleanups.forEach((cleanup) => {
+            try {
+                cleanup();
+            } catch (error) {
+                logWarn('Dialog cleanup failed:', error);
+            }
+        });
+        logDebug(`Tore down ${scope.observers.size} observer(s) and ${scope.listeners.length} listener(s) of a closed dialog`);
+    }
+
+    /**
+     * Tears down every tracked dialog that is no longer in the document
+     */
+    function sweepClosedDialogs() {
+        for (const dialog of dialogScopes.keys()) {
+            if (!dialog.isConnected) {
+                teardownDialog(dialog);
+            }
+        }
+    }
+
+    /**
+     * Live observer and listener counts, for diagnostics
+     * @returns {Object} { dialogs, observers, listeners }
+     */
+    function getLifecycleStats() {
+        let observers = observer ? 1 : 0; // The body observer
+        let listeners = 0;
+        for (const scope of dialogScopes.values()) {
+            observers += scope.observers.size;
+            listeners += scope.listeners.length;
+        }
+        return { dialogs: dialogScopes.size, observers, listeners };
+    }
+
+
+    // ============================================================================
+    // EDITOR CONTEXTS
+    // ============================================================================
+    // Events are edited either in a dialog (quick-create, edit bubble) or in the
+    // full-page editor (/r/eventedit, reached via "More options" or a direct URL).
+    // Both resolve to a "container": an element holding the event form and its
+    // Save button. Strategies, saving and auto mode only ever see the container.
+
+    const EVENT_EDIT_PATH = /\/r\/eventedit\b/;
+
+    let pageEditorCache = null;
+
+    function isEventEditPage() {
+        return EVENT_EDIT_PATH.test(window.location.pathname);
+    }
+
+    /**
+     * Finds the full-page editor: the smallest ancestor of the header Save button
+     * that also holds the conferencing controls (the title sits in the header itself)
+     * @returns {HTMLElement|null} The editor container
+     */
+    function findPageEditor() {
+        if (!isEventEditPage()) {
+            pageEditorCache = null;
+            return null;
+        }
+
+        if (pageEditorCache && pageEditorCache.isConnected && findVisibleSaveButton(pageEditorCache)) {
+            return pageEditorCache;
+        }
+
+        const saveBtn = findVisibleSaveButton(document.body);
+        if (!saveBtn || saveBtn.closest(SELECTORS.eventDialog.join(', '))) {
+            return null;
+        }
+
+        let node = saveBtn.parentElement;
+        while (node && node !== document.body) {
+            if (node.querySelector('[data-field="conferenceData"]') ||
+                findVideoConferencingButton(node) ||
+                findAttachedProvider(node)) {
+                break;
+            }
+            node = node.parentElement;
+        }
+
+        pageEditorCache = node && node !== document.body
+            ? node
+            : findElementWithFallbacks(SELECTORS.pageEditor, document);
+        return pageEditorCache;
+    }
+
+    const EDITOR_CONTEXTS = {
+        DIALOG: {
+            name: 'Event dialog',
+            find: (root) => findEventDialogs(root),
+            owns: (element) => element.closest(SELECTORS.eventDialog.join(', '))
+        },
+        PAGE: {
+            name: 'Full-page editor',
+            find: () => [findPageEditor()].filter(Boolean),
+            owns: (element) => {
+                const editor = findPageEditor();
+                return editor && editor.contains(element) ? editor : null;
+            }
+        }
+    };
+
+    /**
+     * Finds every event editor under root: dialogs first, then the page editor
+     * @param {HTMLElement} root - Element to search within
+     * @returns {HTMLElement[]} Dialogs and page editor with a visible Save button
+     */
+    function findEventContainers(root) {
+        return Object.values(EDITOR_CONTEXTS)
+            .flatMap(context => context.find(root))
+            .filter(container => findVisibleSaveButton(container));
+    }
+
+    /**
+     * Finds the event editor to work with. A dialog wins over the page editor
+     * because it sits on top of it, and a later dialog over an earlier one.
+     * @param {HTMLElement} root - Element to search within
+     * @returns {HTMLElement|null} Dialog or page editor with a visible Save button
+     */
+    function findEventContainer(root) {
+        for (const context of Object.values(EDITOR_CONTEXTS)) {
+            const containers = context.find(root).filter(container => findVisibleSaveButton(container));
+            if (containers.length > 0) {
+                return containers[containers.length - 1];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Finds the editor container an element (e.g. our button) lives in
+     */
+    function findContainerForElement(element) {
+        for (const context of Object.values(EDITOR_CONTEXTS)) {
+            const container = context.owns(element);
+            if (container) return container;
+        }
+        return null;
+    }
+
+    // ============================================================================
+    // VIDEO CONFERENCING DETECTION
+    // ============================================================================
+
+    /**
+     * Checks whether conferencing is already attached to the event
+     * @param {HTMLElement} dialog - The event dialog element
+     * @param {Object|null} provider - Only check this provider (any provider if omitted)
+     * @returns {boolean} True if a conference is attached
+     */
+    function isVideoConferencingAlreadyAdded(dialog, provider = null) {
+        if (provider) {
+            return provider.isAttached(dialog);
+        }
+        return findAttachedProvider(dialog) !== null;
+    }
+
+    function findVideoConferencingButton(dialog) {
+        const match = matchControl('videoButton', dialog);
+        if (!match) return null;
+
+        log(`Found video conferencing button (confidence ${match.confidence}: ${match.signals})`);
+        return match.element;
+    }
+
+    /**
+     * Finds a provider's entry in the open conferencing dropdown
+     * @param {Object} provider - Entry from PROVIDERS
+     * @returns {HTMLElement|null} The visible menu item
+     */
+    function findProviderOption(provider) {
+        const match = matchControl('providerOption', document, { provider });
+        if (!match) return null;
+
+        log(`Found ${provider.name} option (confidence ${match.confidence}: ${match.signals})`);
+        return match.element;
+    }
+
+    function findGoogleMeetOption() {
+        return findProviderOption(PROVIDERS.GOOGLE_MEET);
+    }
+
+    // ============================================================================
+    // EVENT DETAILS
+    // ============================================================================
+    // Best-effort reads of the event being edited. Any field that cannot be found
+    // is returned as null so callers can decide how strict to be.
+
+    const TIME_PATTERN = /(午前|午後)?\s*(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?\s*m?\.?/i;
+    // Each side needs minutes or am/pm so date ranges like "22 – 23" are not read as times
+    const TIME_RANGE_PATTERN = /((?:午前|午後)?\s*\d{1,2}(?::\d{2}(?:\s*[ap]\.?\s*m\.?)?|\s*[ap]\.?\s*m\.?))\s*[–—~〜～-]\s*((?:午前|午後)?\s*\d{1,2}(?::\d{2}(?:\s*[ap]\.?\s*m\.?)?|\s*[ap]\.?\s*m\.?))/i;
+
+    /**
+     * Parses "10am", "10:30 AM", "14:30" or "午後2:30" into minutes after midnight
+     * @param {string} text - Time text as shown by Calendar
+     * @param {string|null} fallbackMeridiem - 'a' or 'p' to use when the text has none
+     * @returns {number|null} Minutes after midnight, or null if unparseable
+     */
+    function parseTimeOfDay(text, fallbackMeridiem = null) {
+        const match = TIME_PATTERN.exec(text || '');
+        if (!match) return null;
+
+        let hours = parseInt(match[2], 10);
+        const minutes = match[3] ? parseInt(match[3], 10) : 0;
+        const meridiem = (readMeridiem(match) || fallbackMeridiem || '').toLowerCase();
+
+        if (hours > 23 || minutes > 59) return null;
+        if (meridiem === 'p' && hours < 12) hours += 12;
+        if (meridiem === 'a' && hours === 12) hours = 0;
+
+        return hours * 60 + minutes;
+    }
+
+    function readMeridiem(match) {
+        if (match[1]) return match[1] === '午後' ? 'p' : 'a';
+        return match[4] ? match[4].toLowerCase() : null;
+    }
+
+    function getMeridiem(text) {
+        const match = TIME_PATTERN.exec(text || '');
+        return match ? readMeridiem(match) : null;
+    }
+
+    /**
+     * Finds a form field by its localized aria-label
+     * @param {HTMLElement} dialog - The event dialog element
+     * @param {string} key - CALENDAR_STRINGS key for the label
+     * @param {boolean} prefix - Require the label to start with the string
+     */
+    function findFieldByLabel(dialog, key, prefix = false) {
+        const fields = dialog.querySelectorAll('input, [role="button"], button, [role="combobox"], [role="listbox"]');
+        const strings = calendarStrings(key);
+        for (const field of fields) {
+            const label = normalizeText(field.getAttribute('aria-label'));
+            if (!label) continue;
+            if (strings.some(candidate => (prefix ? label.startsWith(candidate) : label.includes(candidate)))) {
+                return field;
+            }
+        }
+        return null;
+    }
+
+    function readFieldText(field) {
+        if (!field) return '';
+        return (field.tagName === 'INPUT' ? field.value : field.textContent || '').trim();
+    }
+
+    function readEventTimes(dialog) {
+        const startField = findFieldByLabel(dialog, 'startTime');
+        const endField = findFieldByLabel(dialog, 'endTime');
+        let startText = readFieldText(startField);
+        let endText = readFieldText(endField);
+
+        // Quick-create dialogs show a single "10:00 – 11:00am" summary instead of inputs
+        if (!startText || !endText) {
+            const range = TIME_RANGE_PATTERN.exec(dialog.textContent || '');
+            if (!range) return { start: null, end: null };
+            startText = range[1];
+            endText = range[2];
+        }
+
+        const endMeridiem = getMeridiem(endText);
+        const end = parseTimeOfDay(endText);
+        let start = parseTimeOfDay(startText, endMeridiem);
+
+        // "11:00 – 1:00pm" - the start inherited "pm" but is really morning
+        if (start !== null && end !== null && !getMeridiem(startText) && endMeridiem === 'p' && start > end) {
+            start = parseTimeOfDay(startText, 'a');
+        }
+
+        return { start, end };
+    }
+
+    function readEventWeekday(dialog) {
+        const dateField = findFieldByLabel(dialog, 'startDate');
+        const text = (readFieldText(dateField) || dialog.textContent || '').toLowerCase();
+
+        // Earliest weekday name wins so a later "every Monday" recurrence label is ignored
+        let best = null;
+        calendarStrings('weekdays').forEach((name, index) => {
+            const position = text.indexOf(name);
+            if (position !== -1 && (best === null || position < best.position)) {
+                best = { index, position };
+            }
+        });
+        return best ? best.index : null;
+    }
+
+    function readEventCalendar(dialog) {
+        const field = findFieldByLabel(dialog, 'calendar', true) ||
+            dialog.querySelector('[data-key="calendar"]');
+        const text = readFieldText(field);
+        return text || null;
+    }
+
+    /**
+     * @param {HTMLElement} dialog - The event dialog element
+     * @returns {string[]} Lowercase guest emails, each once
+     */
+    function readGuestEmails(dialog) {
+        const guests = new Set();
+        dialog.querySelectorAll('[data-email], [data-hovercard-id*="@"]').forEach((element) => {
+            guests.add((element.getAttribute('data-email') || element.getAttribute('data-hovercard-id')).toLowerCase());
+        });
+        return Array.from(guests);
+    }
+
+    function countEventGuests(dialog) {
+        return readGuestEmails(dialog).length;
+    }
+
+    /**
+     * Reads the details of the event currently shown in a dialog
+     * @param {HTMLElement} dialog - The event dialog element
+     * @returns {Object} { title, guestCount, start, end, duration, weekday, calendar }
+     */
+    function readEventDetails(dialog) {
+        const titleField = findFieldByLabel(dialog, 'title');
+        const { start, end } = readEventTimes(dialog);
+
+        let duration = null;
+        if (start !== null && end !== null) {
+            // Events ending after midnight wrap around
+            duration = end >= start ? end - start : end + 24 * 60 - start;
+        }
+
+        return {
+            title: readFieldText(titleField),
+            guestCount: countEventGuests(dialog),
+            start,
+            end,
+            duration,
+            weekday: readEventWeekday(dialog),
+            calendar: readEventCalendar(dialog)
+        };
+    }
+
+    // ============================================================================
+    // BUTTON MANAGEMENT
+    // ============================================================================
+
+
+    function isVisible(element) {
+        return element.offsetParent !== null &&
+            window.getComputedStyle(element).display !== 'none' &&
+            window.getComputedStyle(element).visibility !== 'hidden';
+    }
+
+    function findVisibleSaveButton(dialog) {
+        const match = matchControl('save', dialog, { visible: true });
+        return match ? match.element : null;
+    }
+
+    function getVisualStyles(element) {
+        const style = window.getComputedStyle(element);
+
+        // 1. Robust Border Extraction
+        // Shorthand 'border' often returns empty string in computed styles
+        let border = style.border;
+        if (!border || border === '') {
+            if (style.borderStyle && style.borderStyle !== 'none') {
+                border = `${style.borderWidth} ${style.borderStyle} ${style.borderColor}`;
+            } else {
+                border = 'none';
+            }
+        }
+
+        // 2. Robust Text Color & Font Extraction
+        // Text styles are often on a child <span> (common in Google Material buttons)
+        let color = style.color;
+        let fontFamily = style.fontFamily;
+        let fontSize = style.fontSize;
+        let fontWeight = style.fontWeight;
+        let letterSpacing = style.letterSpacing;
+        let textTransform = style.textTransform;
+
+        // Find the deepest child that likely contains the text
+        // This ensures we get the color of the text, not the button container
+        const findTextWrapper = (el) => {
+            if (el.children.length === 0 && el.textContent.trim().length > 0) return el;
+            for (const child of el.children) {
+                const found = findTextWrapper(child);
+                if (found) return found;
+            }
+            return null;
+        };
+
+        const textWrapper = findTextWrapper(element);
+        if (textWrapper) {
+            const wrapperStyle = window.getComputedStyle(textWrapper);
+            color = wrapperStyle.color;
+            fontFamily = wrapperStyle.fontFamily;
+            fontSize = wrapperStyle.fontSize;
+            fontWeight = wrapperStyle.fontWeight;
+            letterSpacing = wrapperStyle.letterSpacing;
+            textTransform = wrapperStyle.textTransform;
+        }
+
+        return {
+            backgroundColor: style.backgroundColor,
+            height: style.height,
+            padding: style.padding,
+            borderRadius: style.borderRadius,
+            boxShadow: style.boxShadow,
+            border: border,
+            color: color,
+            fontFamily: fontFamily,
+            fontSize: fontSize,
+            fontWeight: fontWeight,
+            letterSpacing: letterSpacing,
+            textTransform: textTransform,
+            cursor: style.cursor,
+            display: 'inline-flex',
+            alignItems: 'center',
+            justifyContent: 'center'
+        };
+    }
+
+    function createRipple(event) {
+        // Enter and Space ripple too, from the middle of the button
+        if (event.type === 'keydown' && ((event.key !== 'Enter' && event.key !== ' ') || event.repeat)) {
+            return;
+        }
+
+        const button = event.currentTarget;
+        if (button.getAttribute('aria-disabled') === 'true') return;
+        const circle = document.createElement('span');
+        const diameter = Math.max(button.clientWidth, button.clientHeight);
+        const radius = diameter / 2;
+
+        const rect = button.getBoundingClientRect();
+        const fromKeyboard = event.type === 'keydown';
+        const x = fromKeyboard ? rect.width / 2 : event.clientX - rect.left;
+        const y = fromKeyboard ? rect.height / 2 : event.clientY - rect.top;
+
+        circle.style.width = circle.style.height = `${diameter}px`;
+        circle.style.left = `${x - radius}px`;
+        circle.style.top = `${y - radius}px`;
+        circle.classList.add('google-meet-ripple');
+
+        const ripple = button.getElementsByClassName('google-meet-ripple')[0];
+        if (ripple) {
+            ripple.remove();
+        }
+
+        button.appendChild(circle);
+    }
+
+    function createMeetButton(styles = {}, onClick = handleMeetButtonClick) {
+        const button = document.createElement('button');
+        button.id = CONFIG.buttonId;
+        button.className = 'google-meet-auto-add-button';
+        button.type = 'button';
+        resetButtonLabel(button);
+
+        // Default fallbacks (Standard Google Blue)
+        const defaults = {
+            backgroundColor: CONFIG.colors.primary,
+            color: 'white',
+            border: 'none',
+            borderRadius: '100px',
+            padding: '0 24px',
+            fontFamily: "'Google Sans', Roboto, Arial, sans-serif",
+            fontSize: '14px',
+            fontWeight: '500',
+            height: '36px',
+            boxShadow: 'none'
+        };
+
+        const s = { ...defaults, ...styles };
+
+        button.style.cssText = `
+            background-color: ${s.backgroundColor};
+            color: ${s.color};
+            border: ${s.border};
+            border-radius: ${s.borderRadius};
+            padding: ${s.padding};
+            font-family: ${s.fontFamily};
+            font-size: ${s.fontSize};
+            font-weight: ${s.fontWeight};
+            letter-spacing: ${s.letterSpacing || 'normal'};
+            text-transform: ${s.textTransform || 'none'};
+            box-shadow: ${s.boxShadow};
+            cursor: pointer;
+            transition: background-color 0.2s, box-shadow 0.2s; /* Standard transitions */
+            margin: 0 8px;
+            white-space: nowrap;
+            height: ${s.height};
+            display: inline-flex;
+            align-items: center;
+            justify-content: center;
+            position: relative; /* Required for ripple */
+            overflow: hidden;   /* Required for ripple */
+        `;
+
+        // Material Ripple Effect
+        button.addEventListener('mousedown', createRipple);
+        button.addEventListener('keydown', createRipple);
+
+        button.addEventListener('click', onClick);
+        
+        return button;
+    }
+
+    function addMeetButton(dialog) {
+        if (dialog.querySelector(`#${CONFIG.buttonId}`)) {
+            return false;
+        }
+
+        // Find the actual VISIBLE Save button to replace
+        const saveBtn = findVisibleSaveButton(dialog);
+
+        if (!saveBtn) {
+            log('No visible Save button found - skipping');
+            return false;
+        }
+
+        // Capture styles using robust extractor
+        const computedStyles = getVisualStyles(saveBtn);
+        log('Copied styles from visible Save button:', computedStyles);
+
+        const button = createMeetButton(computedStyles);
+
+        // Insert our button AFTER the save button (Zoom-like style)
+        // We insert directly into the parent to maintain flex layout
+        if (saveBtn.nextSibling) {
+            saveBtn.parentElement.insertBefore(button, saveBtn.nextSibling);
+        } else {
+            saveBtn.parentElement.appendChild(button);
+        }
+
+        // Split button: a provider picker when more than one provider is enabled
+        syncProviderToggle(button);
+
+        // Demote the Save button to Secondary style (match "More options")
+        styleSaveButtonAsSecondary(saveBtn, dialog);
+
+        setDialogState(dialog, DIALOG_STATES.BUTTON_INJECTED);
+        watchEventType(dialog);
+        logSuccess('Button added successfully (placed after Save)');
+        return true;
+    }
+
+    function findMoreOptionsButton(dialog) {
+        const match = matchControl('moreOptions', dialog);
+        return match ? match.element : null;
+    }
+
+    function styleSaveButtonAsSecondary(saveBtn, dialog) {
+        const moreOptionsBtn = findMoreOptionsButton(dialog);
+
+        if (moreOptionsBtn) {
+            log('Found "More options" button - copying classes for exact match');
+
+            // STRATEGY: Copy the exact CSS classes from "More options"
+            // This ensures we get the exact same font, color, hover state, ripple, and shape.
+            // Google's framework uses classes like 'VfPpkd-LgbsSe' for styling.
+
+            const targetClass = moreOptionsBtn.className;
+
+            // Use our robust extractor to get the REAL text color (often hidden in a child span)
+            const targetColor = getVisualStyles(moreOptionsBtn).color;
+
+            const applyClasses = () => {
+                // 1. Copy the class (Container style, hover, shape)
                 if (saveBtn.className !== targetClass) {
                     saveBtn.className = targetClass;
                     saveBtn.style.cssText = ''; // Clear inline styles to let class win
                 }
 
-                // 2. CRITICAL: Force children to use the correct text color
-                // The original Save button's internal spans have hardcoded white text classes/styles
-                // We must override them to match the "More options" blue color
-                const children = saveBtn.querySelectorAll('*');
-                children.forEach(child => {
-                    // We use the computed color from "More options" to be exact
-                    child.style.setProperty('color', targetColor, 'important');
+                // 2. CRITICAL: Force children to use the correct text color
+                // The original Save button's internal spans have hardcoded white text classes/styles
+                // We must override them to match the "More options" blue color
+                const children = saveBtn.querySelectorAll('*');
+                children.forEach(child => {
+                    // We use the computed color from "More options" to be exact
+                    child.style.setProperty('color', targetColor, 'important');
+                });
+
+                // Also force the button itself just in case
+                saveBtn.style.setProperty('color', targetColor, 'important');
+            };
+
+            applyClasses();
+
+            // PERSISTENCE: Watch for class reversions AND child changes
+            observeInDialog(dialog, saveBtn, (mutations) => {
+                let needsReapply = false;
+                for (const mutation of mutations) {
+                    // Check if class changed
+                    if (mutation.type === 'attributes' && mutation.attributeName === 'class') {
+                        if (saveBtn.className !== targetClass) {
+                            needsReapply = true;
+                        }
+                    }
+                    // Check if children changed (re-render)
+                    if (mutation.type === 'childList' || mutation.type === 'subtree') {
+                        needsReapply = true;
+                    }
+                }
+                if (needsReapply) {
+                    applyClasses();
+                }
+            }, {
+                attributes: true,
+                childList: true,
+                subtree: true,
+                attributeFilter: ['class', 'style']
+            });
+
+            return; // Exit early, we are done
+        }
+
+        // FALLBACK: If "More options" is not found, use manual styling (Legacy)
+        log('Could not find "More options" button - using manual fallback styles');
+
+        let secondaryStyles = {
+            backgroundColor: 'transparent',
+            color: CONFIG.colors.primary,
+            border: 'none',
+            padding: '0 24px',
+            borderRadius: '4px',
+            fontWeight: '500',
+            boxShadow: 'none',
+            textTransform: 'none',
+            letterSpacing: 'normal',
+            minWidth: 'auto'
+        };
+
+
+        const applyStyles = () => {
+            // We use !important to ensure we override Google's default primary button classes
+            saveBtn.style.setProperty('background-color', secondaryStyles.backgroundColor, 'important');
+            saveBtn.style.setProperty('color', secondaryStyles.color, 'important');
+            saveBtn.style.setProperty('border', secondaryStyles.border, 'important');
+            saveBtn.style.setProperty('padding', secondaryStyles.padding, 'important');
+            saveBtn.style.setProperty('border-radius', secondaryStyles.borderRadius, 'important');
+            saveBtn.style.setProperty('font-weight', secondaryStyles.fontWeight, 'important');
+            saveBtn.style.setProperty('font-size', secondaryStyles.fontSize, 'important');
+            saveBtn.style.setProperty('font-family', secondaryStyles.fontFamily, 'important');
+            saveBtn.style.setProperty('box-shadow', 'none', 'important'); // Force flat
+            saveBtn.style.setProperty('text-transform', secondaryStyles.textTransform, 'important');
+            saveBtn.style.setProperty('letter-spacing', secondaryStyles.letterSpacing, 'important');
+            saveBtn.style.setProperty('min-width', secondaryStyles.minWidth || 'auto', 'important');
+
+            // CRITICAL FIX: Force text color on ALL children (spans, divs)
+            // The original Save button has white text on internal spans that overrides the button color
+            const children = saveBtn.querySelectorAll('*');
+            children.forEach(child => {
+                child.style.setProperty('color', secondaryStyles.color, 'important');
+            });
+        };
+
+        // Apply immediately
+        applyStyles();
+
+        // PERSISTENCE: Google's framework often re-renders buttons, wiping inline styles.
+        // We must watch for changes and re-apply our secondary styling.
+        observeInDialog(dialog, saveBtn, (mutations) => {
+            let needsReapply = false;
+            for (const mutation of mutations) {
+                if (mutation.type === 'attributes' &&
+                    (mutation.attributeName === 'style' || mutation.attributeName === 'class')) {
+                    // Check if our critical styles are missing
+                    if (saveBtn.style.backgroundColor !== secondaryStyles.backgroundColor) {
+                        needsReapply = true;
+                        break;
+                    }
+                }
+                // Also check if children lost their color
+                if (mutation.type === 'childList' || mutation.type === 'subtree') {
+                    needsReapply = true;
+                    break;
+                }
+            }
+            if (needsReapply) {
+                applyStyles();
+            }
+        }, {
+            attributes: true,
+            childList: true, // Watch for internal re-renders
+            subtree: true,   // Watch deep
+            attributeFilter: ['style', 'class']
+        });
+
+        // Add hover effect for secondary button
+        listenInDialog(dialog, saveBtn, 'mouseenter', () => {
+            // If transparent, add a subtle blue tint (standard Google behavior)
+            if (secondaryStyles.backgroundColor === 'transparent' ||
+                secondaryStyles.backgroundColor === 'rgba(0, 0, 0, 0)' ||
+                secondaryStyles.backgroundColor === '') {
+                saveBtn.style.setProperty('background-color', CONFIG.colors.primaryHover, 'important');
+            } else {
+                saveBtn.style.filter = 'brightness(0.95)';
+            }
+        });
+        listenInDialog(dialog, saveBtn, 'mouseleave', () => {
+            saveBtn.style.setProperty('background-color', secondaryStyles.backgroundColor, 'important');
+            saveBtn.style.filter = 'none';
+        });
+    }
+
+    // ============================================================================
+    // ACCESSIBILITY
+    // ============================================================================
+    // The button's label changes as a flow runs, which screen readers do not
+    // read out by themselves. A live region on <body> (it outlives the dialog,
+    // which closes on save) announces each phase and the reason for a failure.
+
+    const PHASE_ANNOUNCEMENTS = {
+        detect: () => t('announceDetect', 'Looking for the video conferencing button'),
+        click: () => t('announceClick', 'Adding video conferencing'),
+        attach: () => t('announceAttach', 'Waiting for the conference link'),
+        save: () => t('announceSave', 'Saving the event')
+    };
+
+    let announceTimer = null;
+
+    /**
+     * Reads a message out to screen readers
+     * @param {string} message - Text to announce
+     * @param {Object} options - { assertive: true } interrupts (for failures)
+     */
+    function announce(message, { assertive = false } = {}) {
+        let region = document.getElementById(CONFIG.liveRegionId);
+        if (!region) {
+            region = document.createElement('div');
+            region.id = CONFIG.liveRegionId;
+            region.className = 'google-meet-auto-add-live';
+            region.setAttribute('aria-atomic', 'true');
+            document.body.appendChild(region);
+        }
+
+        region.setAttribute('role', assertive ? 'alert' : 'status');
+        region.setAttribute('aria-live', assertive ? 'assertive' : 'polite');
+
+        // Emptied first, so the same message twice is announced twice
+        region.textContent = '';
+        clearTimeout(announceTimer);
+        announceTimer = setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+    }
+
+    function announcePhase(phase) {
+        if (PHASE_ANNOUNCEMENTS[phase]) {
+            announce(PHASE_ANNOUNCEMENTS[phase]());
+        }
+    }
+
+    /**
+     * What a click on the button will do, in a sentence or two
+     * @returns {string} Used as the button's accessible description
+     */
+    function describeButtonAction() {
+        const provider = getDefaultProvider();
+        if (CONFIG.dryRun) {
+            return t('buttonDescriptionDryRun',
+                `Dry run: outlines what would be clicked to add ${provider.name}, without changing the event`, [provider.name]);
+        }
+
+        const guests = {
+            always: t('buttonDescriptionSendAlways', 'Guests are emailed.'),
+            never: t('buttonDescriptionSendNever', 'Guests are not emailed.'),
+            internal: t('buttonDescriptionSendInternal', 'Guests are emailed only if they are all internal.'),
+            ask: t('buttonDescriptionSendAsk', 'If the event has guests, Calendar asks whether to email them.')
+        }[CONFIG.saving.sendInvitations] || '';
+        return `${t('buttonDescription', `Adds ${provider.name} to this event and saves it.`, [provider.name])} ${guests}`.trim();
+    }
+
+    /**
+     * Puts the idle label back. The accessible name says the button also saves
+     * (or only outlines, in dry run), since the label alone does not.
+     * @param {HTMLElement} button - Our main button
+     */
+    function resetButtonLabel(button) {
+        button.textContent = CONFIG.buttonText;
+        button.setAttribute('aria-label', CONFIG.dryRun
+            ? t('buttonNameDryRun', `${CONFIG.buttonText} (dry run)`, [CONFIG.buttonText])
+            : t('buttonNameSaves', `${CONFIG.buttonText} and save`, [CONFIG.buttonText]));
+        button.setAttribute('aria-description', unavailableReasons.get(button) || describeButtonAction());
+        syncUnavailable(button);
+    }
+
+    /**
+     * Shows whether the button applies to the selected entry type. Uses
+     * aria-disabled rather than `disabled`: that one means "busy" to the rest
+     * of this script, and would take the button out of the tab order so
+     * keyboard users never hear why.
+     * @param {HTMLElement} button - Our main button
+     */
+    function syncUnavailable(button) {
+        const reason = unavailableReasons.get(button);
+        button.classList.toggle('google-meet-auto-add-unavailable', Boolean(reason));
+        if (reason) {
+            button.setAttribute('aria-disabled', 'true');
+            button.title = reason;
+        } else if (button.hasAttribute('aria-disabled')) {
+            button.removeAttribute('aria-disabled');
+            button.title = '';
+        }
+    }
+
+    /**
+     * Shows a progress or result label; the label is then the accessible name
+     * @param {string} text - Label to show
+     * @param {HTMLElement|null} button - Defaults to the button on the page
+     */
+    function setButtonLabel(text, button = document.getElementById(CONFIG.buttonId)) {
+        if (!button) return;
+        button.textContent = text;
+        button.removeAttribute('aria-label');
+    }
+
+    /**
+     * Focus is left on <body> when a saved dialog closes under it. Moves it to
+     * the saved event in the grid, so keyboard users carry on from there.
+     * @param {Object} target - From captureUndoTarget(), taken before saving
+     */
+    async function restoreFocus(target) {
+        const found = await waitForSavedEventChip(target);
+        if (!found || found.ambiguous) {
+            logDebug('Saved event not found in the grid - leaving focus alone');
+            return;
+        }
+
+        // Calendar (or the user) may have put focus somewhere already
+        const active = document.activeElement;
+        if (!active || active === document.body) {
+            found.chip.focus();
+        }
+    }
+
+    // ============================================================================
+    // PROVIDER PICKER
+    // ============================================================================
+    // The caret next to the main button. Lists the enabled providers; the main
+    // button always uses the default provider.
+
+    let closeProviderMenu = () => {};
+
+    function syncProviderToggle(button) {
+        const existing = document.getElementById(CONFIG.providerToggleId);
+
+        if (getEnabledProviders().length < 2) {
+            if (existing) existing.remove();
+            closeProviderMenu();
+            return;
+        }
+        if (existing) return;
+
+        const toggle = document.createElement('button');
+        toggle.id = CONFIG.providerToggleId;
+        toggle.type = 'button';
+        toggle.className = 'google-meet-auto-add-button google-meet-auto-add-provider-toggle';
+        toggle.textContent = '▾';
+        toggle.setAttribute('aria-haspopup', 'menu');
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-label', t('providerMenuLabel', 'Choose conferencing provider'));
+        toggle.disabled = unavailableReasons.has(button);
+
+        // Same chameleon styles as the main button, just narrower
+        toggle.style.cssText = button.style.cssText;
+        toggle.style.padding = '0 10px';
+        toggle.style.marginLeft = '-4px';
+
+        toggle.addEventListener('mousedown', createRipple);
+        toggle.addEventListener('keydown', createRipple);
+        toggle.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            if (document.getElementById(CONFIG.providerMenuId)) {
+                closeProviderMenu();
+            } else {
+                openProviderMenu(toggle, button);
+            }
+        });
+
+        button.insertAdjacentElement('afterend', toggle);
+    }
+
+    function openProviderMenu(toggle, button) {
+        closeProviderMenu();
+
+        const menu = document.createElement('div');
+        menu.id = CONFIG.providerMenuId;
+        menu.className = 'google-meet-auto-add-menu';
+        menu.setAttribute('role', 'menu');
+
+        const rect = toggle.getBoundingClientRect();
+        menu.style.top = `${rect.bottom + 4}px`;
+        menu.style.left = `${rect.left}px`;
+
+        const defaultProvider = getDefaultProvider();
+        for (const provider of getEnabledProviders()) {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'google-meet-auto-add-menu-item';
+            item.setAttribute('role', 'menuitem');
+            item.textContent = provider.name;
+            if (provider === defaultProvider) {
+                item.classList.add('default');
+            }
+            item.addEventListener('click', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                closeProviderMenu();
+                const dialog = findContainerForElement(button);
+                if (dialog) {
+                    addConferencing(dialog, provider, { trigger: 'menu' });
+                }
+            });
+            menu.appendChild(item);
+        }
+
+        const onOutsideClick = (event) => {
+            if (!menu.contains(event.target) && event.target !== toggle) {
+                closeProviderMenu();
+            }
+        };
+        const onKeydown = (event) => {
+            if (event.key === 'Escape') {
+                closeProviderMenu();
+                toggle.focus();
+            }
+        };
+
+        closeProviderMenu = () => {
+            menu.remove();
+            toggle.setAttribute('aria-expanded', 'false');
+            document.removeEventListener('mousedown', onOutsideClick, true);
+            document.removeEventListener('keydown', onKeydown, true);
+            closeProviderMenu = () => {};
+        };
+
+        document.body.appendChild(menu);
+        toggle.setAttribute('aria-expanded', 'true');
+        document.addEventListener('mousedown', onOutsideClick, true);
+        document.addEventListener('keydown', onKeydown, true);
+
+        // The menu lives on <body>, so it would outlive a dialog closed under it
+        const dialog = findContainerForElement(button);
+        if (dialog) onDialogTeardown(dialog, () => closeProviderMenu());
+        menu.firstElementChild.focus();
+    }
+
+    // ============================================================================
+    // EVENT TYPES
+    // ============================================================================
+    // The quick-create dialog has tabs for entries that are not meetings (Task,
+    // Out of office, ...). On those the button stays in place - so the footer
+    // does not jump as the user flips tabs - but is marked unavailable and says
+    // why. A tab we do not recognize counts as an event, as before.
+
+    const EVENT_TYPES = {
+        EVENT: { id: 'event', key: 'eventTypeEvent', conferencing: true },
+        TASK: {
+            id: 'task',
+            key: 'eventTypeTask',
+            conferencing: false,
+            reason: () => t('unavailableTask', 'Tasks cannot have video conferencing')
+        },
+        OUT_OF_OFFICE: {
+            id: 'outOfOffice',
+            key: 'eventTypeOutOfOffice',
+            conferencing: false,
+            reason: () => t('unavailableOutOfOffice', 'Out of office entries cannot have video conferencing')
+        },
+        FOCUS_TIME: {
+            id: 'focusTime',
+            key: 'eventTypeFocusTime',
+            conferencing: false,
+            reason: () => t('unavailableFocusTime', 'Focus time cannot have video conferencing')
+        },
+        WORKING_LOCATION: {
+            id: 'workingLocation',
+            key: 'eventTypeWorkingLocation',
+            conferencing: false,
+            reason: () => t('unavailableWorkingLocation', 'Working location entries cannot have video conferencing')
+        },
+        APPOINTMENT_SCHEDULE: {
+            id: 'appointmentSchedule',
+            key: 'eventTypeAppointmentSchedule',
+            conferencing: false,
+            reason: () => t('unavailableAppointmentSchedule',
+                'Appointment schedules set up video conferencing in their booking settings')
+        }
+    };
+
+    // Our buttons currently on an entry type without conferencing, with the reason
+    const unavailableReasons = new WeakMap();
+
+    /**
+     * @param {HTMLElement} tab - Element with role="tab"
+     * @returns {Object|null} Entry from EVENT_TYPES the tab is labelled with
+     */
+    function getTabEventType(tab) {
+        const labels = [tab.getAttribute('aria-label'), tab.textContent];
+        return Object.values(EVENT_TYPES).find(type => labels.some(label => matchesCalendarString(label, type.key, true)))
+            || null;
+    }
+
+    /**
+     * Finds the tab list that switches the entry type, ignoring any other tabs
+     * in the dialog
+     * @param {HTMLElement} dialog - Dialog or full-page editor container
+     * @returns {HTMLElement|null} The tab list
+     */
+    function findEventTypeTabs(dialog) {
+        const tab = Array.from(dialog.querySelectorAll('[role="tab"]')).find(getTabEventType);
+        return tab ? tab.closest('[role="tablist"]') || tab.parentElement : null;
+    }
+
+    /**
+     * Reads the entry type from the dialog's selected tab
+     * @param {HTMLElement} dialog - Dialog or full-page editor container
+     * @returns {Object} Entry from EVENT_TYPES
+     */
+    function detectEventType(dialog) {
+        const tabs = findEventTypeTabs(dialog);
+        const selected = tabs && tabs.querySelector('[role="tab"][aria-selected="true"]');
+        return (selected && getTabEventType(selected)) || EVENT_TYPES.EVENT;
+    }
+
+    /**
+     * @param {HTMLElement} dialog - Dialog or full-page editor container
+     * @returns {string|null} Why conferencing cannot be added, or null if it can
+     */
+    function getUnavailableReason(dialog) {
+        const type = detectEventType(dialog);
+        return type.conferencing ? null : type.reason();
+    }
+
+    /**
+     * Marks the button available or not for the selected tab. Skipped while a
+     * flow runs, since the button is showing its progress.
+     * @param {HTMLElement} dialog - Dialog or full-page editor container
+     * @returns {boolean} Whether the button's availability changed
+     */
+    function syncEventType(dialog) {
+        const button = dialog.querySelector(`#${CONFIG.buttonId}`);
+        if (!button || isDialogRunning(dialog)) return false;
+
+        const reason = getUnavailableReason(dialog);
+        if (reason === (unavailableReasons.get(button) || null)) return false;
+
+        if (reason) {
+            unavailableReasons.set(button, reason);
+            log(`Button unavailable: ${reason}`);
+        } else {
+            unavailableReasons.delete(button);
+        }
+
+        const toggle = dialog.querySelector(`#${CONFIG.providerToggleId}`);
+        if (toggle) toggle.disabled = Boolean(reason);
+        if (reason) closeProviderMenu();
+        if (!button.disabled) resetButtonLabel(button);
+        return true;
+    }
+
+    /**
+     * Re-evaluates the button whenever the user switches the entry type tab.
+     * Once per dialog scope; the button itself may be re-injected.
+     * @param {HTMLElement} dialog - Dialog or full-page editor container
+     */
+    function watchEventType(dialog) {
+        syncEventType(dialog);
+        const { watching } = getDialogScope(dialog);
+        if (watching.has('eventType')) return;
+        watching.add('eventType');
+
+        observeInDialog(dialog, dialog, (mutations) => {
+            const tabs = findEventTypeTabs(dialog);
+            const switched = tabs && mutations.some(mutation =>
+                mutation.target.getAttribute('role') === 'tab' && tabs.contains(mutation.target));
+
+            // Switching back to Event may make the rules match now
+            if (switched && syncEventType(dialog)) {
+                tryAutoAdd(dialog);
+            }
+        }, { attributes: true, subtree: true, attributeFilter: ['aria-selected'] });
+    }
+
+    // ============================================================================
+    // CLICK HANDLER
+    // ============================================================================
+
+    async function handleMeetButtonClick(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        event.stopImmediatePropagation();
+        
+        const button = event.target;
+        const dialog = findContainerForElement(button);
+        
+        if (!dialog) {
+            showError(button, 'Could not find event dialog');
+            return;
+        }
+
+        await addConferencing(dialog, getDefaultProvider());
+    }
+
+    /**
+     * Adds a provider's conferencing to an editor and saves the event.
+     * Shared by the button, the provider menu and the keyboard shortcut.
+     * @param {HTMLElement} dialog - Dialog or full-page editor container
+     * @param {Object} provider - Entry from PROVIDERS
+     * @param {Object} options - { save: false } attaches without saving; trigger
+     *     ('button', 'menu', 'shortcut', 'popup') is recorded in the history
+     * @returns {Promise<Object>} { success, strategy } or { success: false, error }
+     */
+    async function addConferencing(dialog, provider, { save = true, trigger = 'button' } = {}) {
+        const button = dialog.querySelector(`#${CONFIG.buttonId}`);
+        const toggle = dialog.querySelector(`#${CONFIG.providerToggleId}`);
+
+        if (isDialogRunning(dialog)) {
+            return { success: false, error: 'Already running' };
+        }
+        const unavailable = getUnavailableReason(dialog);
+        if (unavailable) {
+            log(`Not adding ${provider.name}: ${unavailable}`);
+            // The popup shows the error itself
+            if (trigger !== 'popup') showToast(unavailable);
+            return { success: false, error: unavailable };
+        }
+        if (CONFIG.dryRun) {
+            return explainConferencing(dialog, provider, { save });
+        }
+        setDialogState(dialog, DIALOG_STATES.RUNNING);
+
+        const controller = new AbortController();
+        const stopWatching = abortWhenClosed(dialog, controller);
+        const trace = createTrace(controller.signal, announcePhase);
+        const event = readHistoryEvent(dialog);
+        let strategy = null;
+
+        try {
+            if (button) {
+                setButtonLabel(t('buttonWorking', 'Working...'), button);
+                button.disabled = true;
+            }
+            if (toggle) toggle.disabled = true;
+
+            // Select the appropriate strategy for this dialog state
+            strategy = await trace.step('select strategy', () => selectStrategy(dialog, provider));
+
+            if (!strategy) {
+                throw new Error('No compatible video conferencing strategy found for this dialog');
+            }
+
+            // Execute the selected strategy
+            await strategy.execute(dialog, provider, trace);
+            const meet = readMeetDetails(dialog);
+
+            // Before saving - the dialog and its Meet link go away on save
+            let copied = false;
+            if (CONFIG.invitation.copyAfterAdd && provider === PROVIDERS.GOOGLE_MEET) {
+                copied = await trace.step('copy invitation', () => copyInvitation(dialog));
+            }
+
+            if (save) {
+                const savedEvent = captureUndoTarget(dialog);
+
+                // Save the event
+                await trace.step('save', () => clickSaveButton(dialog));
+
+                // Nothing to undo if the strategy had nothing to do (already attached)
+                if (strategy.steps.length > 0) showUndoToast(savedEvent, provider, copied);
+                restoreFocus(savedEvent);
+            } else if (button) {
+                showAdded(button, toggle);
+            }
+
+            setDialogState(dialog, DIALOG_STATES.DONE);
+            logDebug(`Added ${provider.name} in ${trace.total()}ms`, trace.steps);
+            recordHistory({ trigger, event, provider, strategy, meetCode: meet && meet.code, trace });
+            return { success: true, strategy: strategy.name };
+
+        } catch (error) {
+            setDialogState(dialog, DIALOG_STATES.FAILED);
+            logError(`Error adding ${provider.name}:`, error);
+            recordFailure(dialog, { provider, strategy, error, trace });
+            recordHistory({ trigger, event, provider, strategy, trace, error });
+            removeStealthStyles(); // Ensure we clean up on error
+            debugAlert(`CAUGHT ERROR in handleMeetButtonClick:\n\n${error.message}\n\nStack:\n${error.stack}`);
+            if (button) showError(button, error.message);
+            if (toggle) toggle.disabled = false;
+            return { success: false, error: error.message };
+        } finally {
+            stopWatching();
+            // Cleanup stealth styles (though dialog usually closes)
+            setTimeout(removeStealthStyles, 100);
+        }
+    }
+
+    /**
+     * Keyboard shortcut (and popup) entry point: runs the button flow on whatever editor is open
+     * @param {boolean} save - False for the "add but don't save" shortcut
+     * @param {string} trigger - 'shortcut' or 'popup', for the history
+     */
+    function addConferencingFromShortcut(save, trigger = 'shortcut') {
+        const dialog = findEventContainer(document.body);
+        if (!dialog) {
+            return Promise.resolve({ success: false, error: 'No event dialog or editor open' });
+        }
+        return addConferencing(dialog, getDefaultProvider(), { save, trigger });
+    }
+
+    // ============================================================================
+    // DRY RUN
+    // ============================================================================
+    // With dry run on, the button (and the popup and shortcuts) pick a strategy
+    // as usual, then outline each control it would click with a numbered box and
+    // say why it matched - without clicking anything. For checking a new
+    // Calendar UI before trusting the extension with real events.
+
+    /**
+     * Says why a finder picked a control, in the terms it matched on
+     * @param {HTMLElement|null} element - Control found on the page
+     * @param {string} key - CALENDAR_STRINGS key the finder looks for
+     * @returns {string[]} One line per signal that matched
+     */
+    function explainMatch(element, key) {
+        if (!element) {
+            return [t('explainNotFound', 'Not found on the page')];
+        }
+
+        const reasons = [];
+        const match = lastMatches.get(element);
+        if (match) {
+            const percent = Math.round(match.confidence * 100);
+            reasons.push(t('explainConfidence', `${percent}% confident (${match.signals})`, [String(percent), match.signals]));
+        }
+        const label = [element.getAttribute('aria-label'), element.textContent]
+            .find(text => matchesCalendarString(text, key));
+        if (label) {
+            const text = normalizeText(label).slice(0, 60);
+            reasons.push(t('explainLabel', `Label "${text}" matches Calendar's wording`, [text]));
+        }
+        for (const selector of getMatchedSelectors(element)) {
+            reasons.push(t('explainSelector', `Matches ${selector}`, [selector]));
+        }
+        const icon = getIconName(element);
+        if (icon) {
+            reasons.push(t('explainIcon', `Shows the "${icon}" icon`, [icon]));
+        }
+        return reasons;
+    }
+
+    function clearExplanation() {
+        const existing = document.getElementById(CONFIG.explainId);
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Draws a numbered box over each control and a panel listing the steps
+     * @param {HTMLElement|null} dialog - Dialog or full-page editor the steps
+     *     belong to; null when they point into the calendar grid
+     * @param {string} heading - Panel title
+     * @param {Object[]} steps - { name, element, reasons } in click order
+     * @param {string} note - What turning dry run off would do instead
+     */
+    function showExplanation(dialog, heading, steps, note = t('explainNothingClicked', 'Nothing was clicked. Turn off dry run in the options to add Meet for real.')) {
+        clearExplanation();
+
+        const overlay = document.createElement('div');
+        overlay.id = CONFIG.explainId;
+        overlay.className = 'google-meet-auto-add-explain';
+
+        const panel = document.createElement('div');
+        panel.className = 'google-meet-auto-add-explain-panel';
+        panel.setAttribute('role', 'status');
+
+        const title = document.createElement('strong');
+        title.textContent = heading;
+        const list = document.createElement('ol');
+
+        steps.forEach((step, index) => {
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            name.className = 'google-meet-auto-add-explain-step';
+            name.textContent = step.element ? `${step.name} - ${describeElement(step.element)}` : step.name;
+            item.appendChild(name);
+            step.reasons.forEach((reason) => {
+                const line = document.createElement('span');
+                line.className = 'google-meet-auto-add-explain-reason';
+                line.textContent = reason;
+                item.appendChild(line);
+            });
+            list.appendChild(item);
+
+            if (!step.element) return;
+            const rect = step.element.getBoundingClientRect();
+            const box = document.createElement('div');
+            box.className = 'google-meet-auto-add-explain-box';
+            box.style.top = `${rect.top + window.scrollY}px`;
+            box.style.left = `${rect.left + window.scrollX}px`;
+            box.style.width = `${rect.width}px`;
+            box.style.height = `${rect.height}px`;
+            box.title = step.reasons.join('\n');
+            const badge = document.createElement('span');
+            badge.className = 'google-meet-auto-add-explain-badge';
+            badge.textContent = String(index + 1);
+            box.appendChild(badge);
+            overlay.appendChild(box);
+        });
+
+        if (steps.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = t('explainNothingToClick', 'Nothing to click');
+            list.appendChild(item);
+        }
+
+        const noteLine = document.createElement('p');
+        noteLine.textContent = note;
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.textContent = t('explainClose', 'Close');
+        close.addEventListener('click', clearExplanation);
+
+        panel.append(title, list, noteLine, close);
+        overlay.appendChild(panel);
+        document.body.appendChild(overlay);
+
+        // The boxes point into this dialog, so they go with it
+        if (dialog) onDialogTeardown(dialog, clearExplanation);
+    }
+
+    /**
+     * Dry-run counterpart of addConferencing: works out what would be clicked,
+     * shows it, and leaves the event alone
+     * @param {HTMLElement} dialog - Dialog or full-page editor container
+     * @param {Object} provider - Entry from PROVIDERS
+     * @param {Object} options - { save: false } leaves the Save step out
+     * @returns {Object} { success, dryRun, strategy, steps } or { success: false, dryRun, error }
+     */
+    function explainConferencing(dialog, provider, { save = true } = {}) {
+        const strategy = selectStrategy(dialog, provider);
+        if (!strategy) {
+            return { success: false, dryRun: true, error: 'No compatible video conferencing strategy found for this dialog' };
+        }
+
+        const steps = strategy.explain(dialog, provider);
+        if (save) {
+            const saveButton = findSaveButton(dialog);
+            steps.push({ name: t('explainSave', 'Save'), element: saveButton, reasons: explainMatch(saveButton, 'save') });
+        }
+
+        showExplanation(dialog, t('explainTitle', `Dry run: ${strategy.name}`, [strategy.name]), steps);
+        announce(t('popupDryRunSucceeded', `Dry run: ${strategy.name}, ${steps.length} steps outlined on the page`,
+            [strategy.name, String(steps.length)]));
+        log(`Dry run: ${strategy.name} would click ${steps.filter(step => step.element).length} control(s)`);
+
+        return {
+            success: true,
+            dryRun: true,
+            strategy: strategy.name,
+            steps: steps.map((step, index) => ({
+                number: index + 1,
+                name: step.name,
+                target: describeElement(step.element),
+                reasons: step.reasons
+            }))
+        };
+    }
+
+    /**
+     * Dry-run counterpart of the Remove button, and without saving of Revert
+     * @param {HTMLElement} dialog - Dialog or full-page editor container
+     * @param {Object} provider - Entry from PROVIDERS that is attached
+     * @param {Object} options - { save: false } leaves the Save step out
+     */
+    function explainRemoval(dialog, provider, { save = true } = {}) {
+        const removeButton = findRemoveConferencingButton(dialog);
+        const steps = [{
+            name: t('explainRemove', 'Remove conferencing'),
+            element: removeButton,
+            reasons: explainMatch(removeButton, 'removeConferencing')
+        }];
+        if (save) {
+            const saveButton = findSaveButton(dialog);
+            steps.push({ name: t('explainSave', 'Save'), element: saveButton, reasons: explainMatch(saveButton, 'save') });
+        }
+
+        const heading = t('explainRemovalTitle', `Dry run: remove ${provider.name}`, [provider.name]);
+        showExplanation(dialog, heading, steps, t('explainNothingRemoved', 'Nothing was clicked. Turn off dry run in the options to remove it for real.'));
+        announce(heading);
+        log(`Dry run: removing ${provider.name} would click ${steps.filter(step => step.element).length} control(s)`);
+    }
+
+    /**
+     * Dry-run counterpart of Undo: outlines the event it would reopen. The
+     * remove and save steps happen in an editor that is not open yet.
+     * @param {Object} target - From captureUndoTarget()
+     * @param {Object} provider - Entry from PROVIDERS that was added
+     */
+    function explainUndo(target, provider) {
+        const found = findSavedEventChip(target, true);
+        const chip = found && found.chip ? found.chip : null;
+        let chipReasons = explainMatch(null);
+        if (chip) {
+            chipReasons = [t('explainSavedEvent', 'The event that was just saved')];
+        } else if (found) {
+            chipReasons = [t('explainAmbiguousEvent', 'More than one event has this title, so Undo would not pick one')];
+        }
+
+        const later = [t('explainInReopenedEvent', 'In the event once it is open')];
+        const steps = [
+            { name: t('explainOpenEvent', 'Open the saved event'), element: chip, reasons: chipReasons },
+            { name: t('explainRemove', 'Remove conferencing'), element: null, reasons: later },
+            { name: t('explainSave', 'Save'), element: null, reasons: later }
+        ];
+
+        const heading = t('explainRemovalTitle', `Dry run: remove ${provider.name}`, [provider.name]);
+        showExplanation(null, heading, steps, t('explainNothingRemoved', 'Nothing was clicked. Turn off dry run in the options to remove it for real.'));
+        announce(heading);
+        log(`Dry run: Undo would reopen ${chip ? describeElement(chip) : 'no event'}`);
+    }
+
+    // ============================================================================
+    // DEBUGGING
+    // ============================================================================
+
+    function debugAlert(message) {
+        if (CONFIG.debugAlerts) {
+            // Use a timeout to ensure it renders after UI updates
+                    setTimeout(() => {
+                alert(`[Google Meet Auto-Add DEBUG]\n\n${message}`);
+            }, 10);
+        }
+    }
+
+    /**
+     * Saves through saveAndConfirm() and shows the outcome on our button
+     * @param {HTMLElement} dialog - Dialog or full-page editor container
+     * @param {Object} options - Passed to saveAndConfirm()
+     * @returns {Promise<Object>} The prompt answers from saveAndConfirm()
+     */
+    async function clickSaveButton(dialog, options = {}) {
+        // Looked up first: once saved, the dialog may already be out of the document
+        const button = dialog.querySelector(`#${CONFIG.buttonId}`);
+        const answers = await saveAndConfirm(dialog, options);
+
+        // Update button state to show success, and whether guests were emailed
+        const label = {
+            send: t('buttonDoneSent', '✓ Saved, guests notified'),
+            dontSend: t('buttonDoneNotSent', '✓ Saved, no emails sent')
+        }[answers.sendInvitations] || t('buttonDone', '✓ Done!');
+        if (button) {
+            setButtonLabel(label, button);
+            button.style.backgroundColor = CONFIG.colors.success;
+        }
+        announce(label.replace(/^✓\s*/, ''));
+        return answers;
+    }
+
+    function showAdded(button, toggle) {
+        const originalBackground = button.style.backgroundColor;
+        setButtonLabel(t('buttonAdded', '✓ Added'), button);
+        button.style.backgroundColor = CONFIG.colors.success;
+        announce(t('announceAdded', 'Video conferencing added. The event is not saved yet.'));
+
+        setTimeout(() => {
+            resetButtonLabel(button);
+            button.style.backgroundColor = originalBackground;
+            button.disabled = false;
+            if (toggle) toggle.disabled = false;
+        }, 3000);
+    }
+
+    function showError(button, message) {
+        const originalBackground = button.style.backgroundColor;
+        setButtonLabel(t('buttonError', 'Error'), button);
+        button.title = message;
+        button.setAttribute('aria-description', message);
+        button.disabled = false;
+        button.style.backgroundColor = CONFIG.colors.error;
+        announce(t('announceFailed', `Could not add video conferencing: ${message}`, [message]), { assertive: true });
+
+        setTimeout(() => {
+            button.title = '';
+            resetButtonLabel(button);
+            button.style.backgroundColor = originalBackground;
+        }, 3000);
+    }
+
+    // ============================================================================
+    // DIAGNOSTICS
+    // ============================================================================
+    // A bug-report bundle that never leaves the browser: the log ring buffer, the
+    // last few failures (with a redacted snapshot of the dialog's controls and
+    // per-step timings) and a settings summary. Exported as JSON from the popup or
+    // with GoogleMeetAutoAdd.exportDiagnostics() in DevTools.
+
+    const failureLog = [];
+
+    // Applied to every string that ends up in the bundle
+    const REDACTIONS = [
+        [/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '[email]'],
+        [/https?:\/\/([^/\s"'<>]+)[^\s"'<>]*/g, '[link:$1]'],
+        [/\b[a-z]{3}-[a-z]{4}-[a-z]{3}\b/g, '[meet-code]'],
+        [/\+?\d[\d\s().-]{7,}\d/g, '[number]'] // Dial-in numbers and PINs
+    ];
+
+    function redactText(text, maxLength = 120) {
+        let result = REDACTIONS.reduce((value, [pattern, replacement]) => value.replace(pattern, replacement), text || '');
+        result = result.replace(/\s+/g, ' ').trim();
+        return result.length > maxLength ? `${result.slice(0, maxLength)}…` : result;
+    }
+
+    /**
+     * Reduces whatever was passed to a log call to redacted, JSON-safe data
+     * @param {*} data - Error, element, array or object
+     */
+    function summarizeLogData(data) {
+        if (data === null || data === undefined) return undefined;
+        if (data instanceof Error) return { name: data.name, message: redactText(data.message) };
+        if (data instanceof Element) return describeElement(data);
+        if (typeof data === 'string') return redactText(data);
+        if (typeof data !== 'object') return data;
+
+        if (Array.isArray(data)) {
+            return data.slice(0, 20).map(item => (typeof item === 'object' ? summarizeLogData(item) : item));
+        }
+
+        // One level deep - nested objects are only named
+        const summary = {};
+        for (const [key, value] of Object.entries(data)) {
+            if (typeof value === 'string') {
+                summary[key] = redactText(value);
+            } else if (value !== null && typeof value === 'object') {
+                summary[key] = Array.isArray(value) ? `[${value.length} items]` : '[object]';
+            } else {
+                summary[key] = value;
+            }
+        }
+        return summary;
+    }
+
+    function describeElement(element) {
+        if (!element) return null;
+        const role = element.getAttribute('role');
+        const label = element.getAttribute('aria-label');
+        return `${element.tagName.toLowerCase()}${role ? `[role=${role}]` : ''}${label ? ` "${redactText(label, 60)}"` : ''}`;
+    }
+
+    // describeElement plus how sure the matcher was (see ELEMENT MATCHING)
+    function describeMatch(element) {
+        const match = element && lastMatches.get(element);
+        if (!match) return describeElement(element);
+        return `${describeElement(element)} (confidence ${match.confidence}: ${match.signals})`;
+    }
+
+    /**
+     * Lists the selectors from SELECTORS and NEUTRAL_SIGNALS that match an element
+     * @param {HTMLElement} element - Control from the dialog
+     * @returns {string[]} Entries such as 'save: [data-action-id="save"]'
+     */
+    function getMatchedSelectors(element) {
+        const groups = {
+            save: SELECTORS.saveButton,
+            providerOption: SELECTORS.providerOption,
+            ...Object.fromEntries(Object.entries(NEUTRAL_SIGNALS).map(([name, signals]) => [name, signals.selectors]))
+        };
+
+        const matched = [];
+        for (const [group, selectors] of Object.entries(groups)) {
+            for (const selector of selectors) {
+                try {
+                    if (element.matches(selector)) matched.push(`${group}: ${selector}`);
+                } catch (error) {
+                    // Invalid selector - already reported by findElementWithFallbacks
+                }
+            }
+        }
+        return matched;
+    }
+
+    /**
+     * Redacted picture of an editor: its controls and what our finders made of them.
+     * Input values (title, guests, description) are never read.
+     * @param {HTMLElement} dialog - Dialog or full-page editor container
+     */
+    function captureDialogSnapshot(dialog) {
+        const controls = Array.from(dialog.querySelectorAll('button, a, [role]'))
+            .slice(0, CONFIG.diagnostics.maxControls)
+            .map(element => ({
+                tag: element.tagName.toLowerCase(),
+                role: element.getAttribute('role'),
+                ariaLabel: redactText(element.getAttribute('aria-label'), 80),
+                text: redactText(element.textContent, 80),
+                actionId: element.getAttribute('data-action-id'),
+                icon: getIconName(element) || null,
+                visible: isVisible(element),
+                disabled: Boolean(element.disabled || element.getAttribute('aria-disabled') === 'true'),
+                matchedSelectors: getMatchedSelectors(element)
+            }));
+
+        const attached = findAttachedProvider(dialog);
+        const strategy = selectStrategy(dialog, getDefaultProvider());
+
+        return {
+            context: EDITOR_CONTEXTS.DIALOG.owns(dialog) ? 'dialog' : 'page',
+            language: getPageLanguage(),
+            eventType: detectEventType(dialog).id,
+            found: {
+                videoConferencingButton: describeMatch(findVideoConferencingButton(dialog)),
+                saveButton: describeMatch(findVisibleSaveButton(dialog)),
+                moreOptionsButton: describeMatch(findMoreOptionsButton(dialog)),
+                attachedProvider: attached ? attached.name : null,
+                strategy: strategy ? strategy.name : null
+            },
+            controlCount: dialog.querySelectorAll('button, a, [role]').length,
+            controls
+        };
+    }
+
+    // Steps grouped into the phases marked on the performance timeline
+    const STEP_PHASES = {
+        'select strategy': 'detect',
+        'click video button': 'click',
+        'open menu': 'click',
+        'click option': 'click',
+        'single-provider check': 'attach',
+        'wait for link': 'attach',
+        'save': 'save'
+    };
+
+    /**
+     * Adds a "google-meet-auto-add:<phase>" measure to the performance timeline,
+     * so a run shows up in the DevTools Performance panel
+     * @param {string} name - Step name
+     * @param {number} start - performance.now() when the step started
+     */
+    function markPhase(name, start) {
+        const phase = STEP_PHASES[name];
+        if (!phase || typeof performance.mark !== 'function') return;
+
+        try {
+            const label = `google-meet-auto-add:${phase}`;
+            performance.mark(label, { detail: { step: name } });
+            performance.measure(label, { start, end: performance.now(), detail: { step: name } });
+        } catch (e) {
+            // Older engines without mark options - timings stay in the trace
+        }
+    }
+
+    /**
+     * Times the steps of one add flow; strategies record into it as they go
+     * @param {AbortSignal} signal - Aborts the flow (e.g. when the dialog closes)
+     * @param {Function} onPhase - Called with each new entry of STEP_PHASES as
+     *     the flow reaches it
+     * @returns {Object} { steps, signal, step(name, run), total() }
+     */
+    function createTrace(signal = null, onPhase = null) {
+        const startedAt = performance.now();
+        const steps = [];
+        let phase = null;
+
+        return {
+            steps,
+            actions: [], // Attempts made by performAction during the flow
+            signal,
+            async step(name, run) {
+                if (signal && signal.aborted) {
+                    throw signal.reason;
+                }
+                if (onPhase && STEP_PHASES[name] && STEP_PHASES[name] !== phase) {
+                    phase = STEP_PHASES[name];
+                    onPhase(phase);
+                }
+
+                const start = performance.now();
+                let ok = false;
+                try {
+                    const result = await run();
+                    ok = true;
+                    return result;
+                } finally {
+                    const ms = Math.round(performance.now() - start);
+                    steps.push({ step: name, ms, ok });
+                    markPhase(name, start);
+                    logDebug(`Step "${name}" ${ok ? 'finished' : 'failed'} in ${ms}ms`);
+                }
+            },
+            total: () => Math.round(performance.now() - startedAt)
+        };
+    }
+
+    /**
+     * Keeps a failure for the diagnostics bundle
+     * @param {HTMLElement} dialog - Editor the flow ran in
+     * @param {Object} details - { provider, strategy, error, trace, auto }
+     */
+    function recordFailure(dialog, { provider, strategy, error, trace, auto = false }) {
+        let snapshot;
+        try {
+            snapshot = captureDialogSnapshot(dialog);
+        } catch (snapshotError) {
+            snapshot = { error: redactText(snapshotError.message) };
+        }
+
+        failureLog.push({
+            time: new Date().toISOString(),
+            trigger: auto ? 'auto' : 'manual',
+            provider: provider ? provider.name : null,
+            strategy: strategy ? strategy.name : null,
+            error: redactText(error.message, 300),
+            totalMs: trace.total(),
+            steps: trace.steps.slice(),
+            actions: trace.actions.slice(),
+            snapshot
+        });
+        if (failureLog.length > CONFIG.diagnostics.failureSnapshots) {
+            failureLog.shift();
+        }
+    }
+
+    /**
+     * Everything needed for a bug report, already redacted
+     * @returns {Object} JSON-safe diagnostics bundle
+     */
+    function getDiagnosticBundle() {
+        let version = null;
+        try {
+            version = chrome.runtime.getManifest().version;
+        } catch (error) {
+            // Not available outside the extension (tests)
+        }
+
+        return {
+            generatedAt: new Date().toISOString(),
+            extension: { name: CONFIG.extensionName, version },
+            page: {
+                path: window.location.pathname,
+                language: getPageLanguage(),
+                userAgent: navigator.userAgent
+            },
+            settings: {
+                logLevel: CONFIG.logLevel,
+                providers: CONFIG.providers,
+                timing: CONFIG.timing,
+                autoAdd: CONFIG.autoAdd.enabled
+            },
+            status: getStatus(),
+            strategyPack: activePack,
+            lifecycle: getLifecycleStats(),
+            failures: failureLog.slice(),
+            actions: actionLog.slice(),
+            log: logBuffer.slice()
+        };
+    }
+
+    function diagnosticsFileName() {
+        return `google-meet-auto-add-diagnostics-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    }
+
+    /**
+     * Downloads the diagnostics bundle as a JSON file from the Calendar page
+     */
+    function exportDiagnostics() {
+        const blob = new Blob([JSON.stringify(getDiagnosticBundle(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = diagnosticsFileName();
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // ============================================================================
+    // TOASTS
+    // ============================================================================
+    // Short confirmations shown at the bottom of the page. Dialogs close on save,
+    // so anything that outlives the flow is reported here rather than on the button.
+
+    let toastTimer = null;
+
+    /**
+     * Shows a toast, replacing any toast already on screen
+     * @param {string} message - Text to show
+     * @param {Object} options - { isError, duration, action } (duration in ms,
+     *     action = { label, onClick } for a button such as "Undo")
+     */
+    function showToast(message, { isError = false, duration = 3000, action = null } = {}) {
+        let toast = document.getElementById(CONFIG.toastId);
+        if (!toast) {
+            toast = document.createElement('div');
+            toast.id = CONFIG.toastId;
+            toast.className = 'google-meet-auto-add-toast';
+            toast.setAttribute('role', 'status');
+            document.body.appendChild(toast);
+        }
+
+        toast.textContent = message;
+        toast.classList.toggle('error', isError);
+
+        if (action) {
+            const actionButton = document.createElement('button');
+            actionButton.type = 'button';
+            actionButton.className = 'google-meet-auto-add-toast-action';
+            actionButton.textContent = action.label;
+            actionButton.addEventListener('click', () => {
+                clearTimeout(toastTimer);
+                toast.remove();
+                action.onClick();
+            });
+            toast.appendChild(actionButton);
+        }
+
+        clearTimeout(toastTimer);
+        toastTimer = setTimeout(() => toast.remove(), duration);
+    }
+
+    // ============================================================================
+    // INVITATION SNIPPET
+    // ============================================================================
+    // Once Meet is attached, the link, meeting code and dial-in details are in the
+    // dialog. These helpers turn them (plus title and time) into a snippet for
+    // Slack or email, in the format chosen in Options.
+
+    const MEET_CODE_PATTERN = /[a-z]{3}-[a-z]{4}-[a-z]{3}/;
+    const PIN_PATTERN = /PIN\s*:?\s*([\d\s]+#?)/i;
+
+    /**
+     * Reads the attached Meet conference from an editor
+     * @param {HTMLElement} dialog - Dialog or full-page editor container
+     * @returns {Object|null} { url, code, phone, pin, morePhonesUrl } or null without a real link
+     */
+    function readMeetDetails(dialog) {
+        const link = Array.from(dialog.querySelectorAll('[href*="meet.google.com"]')).find((candidate) => {
+            const href = candidate.getAttribute('href');
+            return !href.includes(PLACEHOLDER_MEET_CODE) && !href.includes('placeholder');
+        });
+        if (!link) return null;
+
+        // Drop ?authuser= and friends - they only make sense for the organizer
+        const href = new URL(link.getAttribute('href'), window.location.href);
+        const url = `${href.origin}${href.pathname}`;
+        const codeMatch = MEET_CODE_PATTERN.exec(href.pathname);
+
+        const section = dialog.querySelector('[data-field="conferenceData"]') || dialog;
+        const phoneLink = section.querySelector('[href^="tel:"]');
+        const pinMatch = PIN_PATTERN.exec(section.textContent || '');
+        const morePhones = section.querySelector('[href*="tel.meet"]');
+
+        return {
+            url,
+            code: codeMatch ? codeMatch[0] : null,
+            phone: phoneLink ? (phoneLink.textContent.trim() || decodeURIComponent(phoneLink.getAttribute('href').slice(4))) : null,
+            pin: pinMatch ? pinMatch[1].trim() : null,
+            morePhonesUrl: morePhones ? morePhones.getAttribute('href') : null
+        };
+    }
+
+    /**
+     * Date and time as Calendar shows them, e.g. "Thursday, October 22 ⋅ 10:00 – 11:00am"
+     * @param {HTMLElement} dialog - Dialog or full-page editor container
+     * @returns {string|null}
+     */
+    function readEventWhenText(dialog) {
+        const date = readFieldText(findFieldByLabel(dialog, 'startDate'));
+        const start = readFieldText(findFieldByLabel(dialog, 'startTime'));
+        const end = readFieldText(findFieldByLabel(dialog, 'endTime'));
+        if (start && end) {
+            return [date, `${start} – ${end}`].filter(Boolean).join(', ');
+        }
+
+        // Quick-create: the innermost element showing the time range
+        const summary = Array.from(dialog.querySelectorAll('div, span')).find(element =>
+            TIME_RANGE_PATTERN.test(element.textContent) &&
+            !Array.from(element.children).some(child => TIME_RANGE_PATTERN.test(child.textContent)));
+        return summary ? summary.textContent.replace(/\s+/g, ' ').trim() : null;
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    function invitationLines(meet) {
+        const lines = [];
+        if (meet.code) lines.push(t('invitationCode', `Meeting code: ${meet.code}`, [meet.code]));
+        if (meet.phone) {
+            const phone = meet.pin
+                ? t('invitationPhoneWithPin', `Join by phone: ${meet.phone} (PIN: ${meet.pin})`, [meet.phone, meet.pin])
+                : t('invitationPhone', `Join by phone: ${meet.phone}`, [meet.phone]);
+            lines.push(phone);
+        }
+        return lines;
+    }
+
+    // Each template returns { text, html } - html only where the format has markup
+    const INVITATION_TEMPLATES = {
+        text: ({ title, when, meet }) => {
+            const join = t('invitationJoin', 'Join with Google Meet');
+            const lines = [title, when, '', `${join}: ${meet.url}`, ...invitationLines(meet)];
+            if (meet.morePhonesUrl) lines.push(`${t('invitationMorePhones', 'More phone numbers')}: ${meet.morePhonesUrl}`);
+            return { text: lines.filter(line => line !== null).join('\n').trim() };
+        },
+
+        markdown: ({ title, when, meet }) => {
+            const lines = [
+                title ? `**${title}**` : null,
+                when,
+                '',
+                `[${t('invitationJoin', 'Join with Google Meet')}](${meet.url})`,
+                ...invitationLines(meet).map(line => (meet.code ? line.replace(meet.code, `\`${meet.code}\``) : line))
+            ];
+            if (meet.morePhonesUrl) lines.push(`[${t('invitationMorePhones', 'More phone numbers')}](${meet.morePhonesUrl})`);
+            return { text: lines.filter(line => line !== null).join('\n').trim() };
+        },
+
+        html: (details) => {
+            const { title, when, meet } = details;
+            const header = [title ? `<strong>${escapeHtml(title)}</strong>` : null, when ? escapeHtml(when) : null]
+                .filter(Boolean)
+                .join('<br>');
+            const body = [
+                `<a href="${escapeHtml(meet.url)}">${escapeHtml(t('invitationJoin', 'Join with Google Meet'))}</a>`,
+                ...invitationLines(meet).map(escapeHtml)
+            ];
+            if (meet.morePhonesUrl) {
+                body.push(`<a href="${escapeHtml(meet.morePhonesUrl)}">${escapeHtml(t('invitationMorePhones', 'More phone numbers'))}</a>`);
+            }
+            return {
+                text: INVITATION_TEMPLATES.text(details).text, // Plain-text fallback for the clipboard
+                html: `${header ? `<p>${header}</p>` : ''}<p>${body.join('<br>')}</p>`
+            };
+        }
+    };
+
+    /**
+     * Builds the invitation snippet for an editor with Meet attached
+     * @param {HTMLElement} dialog - Dialog or full-page editor container
+     * @param {string} format - Key of INVITATION_TEMPLATES
+     * @returns {Object|null} { text, html } or null when no Meet link is attached
+     */
+    function buildInvitation(dialog, format = CONFIG.invitation.format) {
+        const meet = readMeetDetails(dialog);
+        if (!meet) return null;
+
+        const template = INVITATION_TEMPLATES[format] || INVITATION_TEMPLATES.text;
+        return template({
+            title: readFieldText(findFieldByLabel(dialog, 'title')),
+            when: readEventWhenText(dialog),
+            meet
+        });
+    }
+
+    async function copyToClipboard(text, html = null) {
+        try {
+            if (html && window.ClipboardItem) {
+                await navigator.clipboard.write([new ClipboardItem({
+                    'text/plain': new Blob([text], { type: 'text/plain' }),
+                    'text/html': new Blob([html], { type: 'text/html' })
+                })]);
+            } else {
+                await navigator.clipboard.writeText(text);
+            }
+            return true;
+        } catch (error) {
+            // No user activation (keyboard shortcut) or the page is not focused
+            logWarn('Clipboard API refused, falling back to execCommand', error);
+        }
+
+        const onCopy = (event) => {
+            event.clipboardData.setData('text/plain', text);
+            if (html) event.clipboardData.setData('text/html', html);
+            event.preventDefault();
+        };
+        document.addEventListener('copy', onCopy, true);
+        try {
+            return document.execCommand('copy');
+        } finally {
+            document.removeEventListener('copy', onCopy, true);
+        }
+    }
+
+    /**
+     * Copies the invitation snippet and confirms with a toast. Never throws, so a
+     * clipboard problem cannot fail the add flow.
+     * @param {HTMLElement} dialog - Dialog or full-page editor container
+     * @returns {Promise<boolean>} Whether the snippet reached the clipboard
+     */
+    async function copyInvitation(dialog) {
+        try {
+            const snippet = buildInvitation(dialog);
+            if (!snippet) {
+                showToast(t('toastNoMeetLink', 'No Google Meet link to copy'), { isError: true });
+                return false;
+            }
+            if (!await copyToClipboard(snippet.text, snippet.html)) {
+                throw new Error('Clipboard copy was rejected');
+            }
+            showToast(t('toastInvitationCopied', 'Meeting invitation copied'));
+            logSuccess('Invitation copied to clipboard');
+            return true;
+        } catch (error) {
+            logError('Could not copy invitation:', error);
+            showToast(t('toastCopyFailed', 'Could not copy the invitation'), { isError: true });
+            return false;
+        }
+    }
+
+    // ============================================================================
+    // HISTORY
+    // ============================================================================
+    // Every add attempt goes to the local history (history.js) so the popup can
+    // show conversions over time and spot a strategy that started failing.
+
+    function readHistoryEvent(dialog) {
+        return {
+            title: readFieldText(findFieldByLabel(dialog, 'title')),
+            when: readEventWhenText(dialog)
+        };
+    }
+
+    /**
+     * Records one run. Never throws - history must not break the add flow.
+     * @param {Object} run - { trigger, event, provider, strategy, meetCode, trace, error }
+     */
+    function recordHistory({ trigger, event, provider, strategy, meetCode = null, trace, error = null }) {
+        globalThis.GoogleMeetAutoAddHistory.appendHistory({
+            success: !error,
+            trigger,
+            title: event.title,
+            when: event.when,
+            provider: provider ? provider.name : null,
+            strategy: strategy ? strategy.name : null,
+            meetCode,
+            elapsedMs: trace.total(),
+            error: error ? error.message : null
+        }).catch(historyError => logWarn('Could not record history', historyError));
+    }
+
+    // ============================================================================
+    // SAVING
+    // ============================================================================
+    // Clicking Save is not the end of it: for a recurring event Calendar first
+    // asks which occurrences to change. Saving counts as done only once the
+    // editor has gone away.
+
+    const RECURRING_SCOPES = {
+        this: { key: 'recurringThis' },
+        following: { key: 'recurringFollowing' },
+        all: { key: 'recurringAll' }
+    };
+
+    function findPromptRadios(prompt) {
+        return Array.from(prompt.querySelectorAll('input[type="radio"], [role="radio"]')).filter(isVisible);
+    }
+
+    function radioLabel(radio) {
+        const label = radio.getAttribute('aria-label') ||
+            (radio.labels && radio.labels[0] ? radio.labels[0].textContent : '') ||
+            (radio.closest('label') ? radio.closest('label').textContent : '') ||
+            (radio.parentElement ? radio.parentElement.textContent : '');
+        return normalizeText(label);
+    }
+
+    /**
+     * Picks a scope's radio by its label. Labels in a language we do not know
+     * match nothing: a guess by position could change the whole series.
+     */
+    function findScopeRadio(prompt, scope) {
+        const radios = findPromptRadios(prompt);
+
+        // Exact match first: "this event" is part of "this and following events" in some languages
+        const strings = calendarStrings(RECURRING_SCOPES[scope].key);
+        return radios.find(radio => strings.includes(radioLabel(radio))) ||
+            radios.find(radio => strings.some(candidate => radioLabel(radio).startsWith(candidate))) ||
+            null;
+    }
+
+    function findPromptConfirmButton(prompt) {
+        const buttons = Array.from(prompt.querySelectorAll('button, div[role="button"]')).filter(isVisible);
+        return buttons.find(button => matchesCalendarString(button.textContent, 'ok', true)) ||
+            findBySignals(prompt, NEUTRAL_SIGNALS.confirmPrompt) ||
+            null;
+    }
+
+    function findPromptButton(prompt, key) {
+        return Array.from(prompt.querySelectorAll('button, div[role="button"]'))
+            .find(button => isVisible(button) && matchesCalendarString(button.textContent, key, true)) || null;
+    }
+
+    /**
+     * The signed-in account's email, from Calendar's account button
+     * @returns {string|null} Lowercase email
+     */
+    function getAccountEmail() {
+        const account = document.querySelector('a[href*="accounts.google.com"][aria-label*="@"], [data-email][aria-label*="Google Account"]');
+        if (!account) return null;
+        const match = (account.getAttribute('aria-label') || account.getAttribute('data-email')).match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/);
+        return match ? match[0].toLowerCase() : null;
+    }
+
+    /**
+     * Domains counted as internal: the configured list, else the account's own domain
+     * @returns {string[]} Lowercase domains (empty when unknown)
+     */
+    function getInternalDomains() {
+        const configured = (CONFIG.saving.internalDomains || '').split(',')
+            .map(domain => domain.trim().toLowerCase().replace(/^@/, ''))
+            .filter(Boolean);
+        if (configured.length > 0) return configured;
+
+        const email = getAccountEmail();
+        return email ? [email.split('@')[1]] : [];
+    }
+
+    function isInternalEmail(email, domains) {
+        const domain = email.split('@')[1] || '';
+        return domains.some(internal => domain === internal || domain.endsWith(`.${internal}`));
+    }
+
+    /**
+     * Decides the "Send invitation emails?" answer for the send policy. Calendar
+     * sends to every guest or to none, so "internal" sends only when nobody
+     * outside the internal domains would get an email.
+     * @param {HTMLElement} dialog - The editor being saved
+     * @returns {string|null} 'send', 'dontSend', or null to leave it to the user
+     */
+    function decideInvitations(dialog) {
+        switch (CONFIG.saving.sendInvitations) {
+            case 'always':
+                return 'send';
+            case 'never':
+                return 'dontSend';
+            case 'internal': {
+                const domains = getInternalDomains();
+                if (domains.length === 0) {
+                    logWarn('No internal domain known - leaving the invitation prompt to you');
+                    return null;
+                }
+                const external = readGuestEmails(dialog).filter(email => !isInternalEmail(email, domains));
+                if (external.length > 0) {
+                    log(`${external.length} external guest(s) - not sending invitations`);
+                    return 'dontSend';
+                }
+                return 'send';
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Follow-up dialogs Calendar may show after Save, and how to answer them.
+    // answer() returns null to leave the prompt to the user; `unattended` is
+    // the answer taken instead when nobody is there to ask (bulk runs). apply()
+    // returns the control that confirms the answer, or null when it cannot tell
+    // which one that is, which leaves the prompt to the user as well.
+    const SAVE_PROMPTS = {
+        RECURRING_SCOPE: {
+            id: 'recurringScope',
+            name: 'Recurring event scope',
+            // The only prompt after Save with options to pick from, in any language
+            matches: (prompt) => findPromptRadios(prompt).length >= 2 ||
+                matchesCalendarString(prompt.textContent, 'editRecurringEvent'),
+            answer: () => (CONFIG.saving.recurringScope in RECURRING_SCOPES ? CONFIG.saving.recurringScope : null),
+            apply: async (prompt, scope) => {
+                const radio = findScopeRadio(prompt, scope);
+                const confirm = findPromptConfirmButton(prompt);
+                if (!radio || !confirm) {
+                    return null;
+                }
+                const picked = await performAction(radio, {
+                    name: 'pick recurring scope',
+                    expect: () => radio.checked || radio.getAttribute('aria-checked') === 'true',
+                    root: prompt
                 });
+                if (!picked) {
+                    throw new Error('Could not pick the recurring event option');
+                }
+                return confirm;
+            }
+        },
+        SEND_INVITATIONS: {
+            id: 'sendInvitations',
+            name: 'Send invitation emails',
+            matches: (prompt) => matchesCalendarString(prompt.textContent, 'sendInvitationsPrompt'),
+            answer: (dialog) => decideInvitations(dialog),
+            unattended: 'dontSend', // Emailing guests is not something to do unasked
+            // By label only: a guess by position could email every guest
+            apply: (prompt, answer) => findPromptButton(prompt, answer)
+        },
+        // Anything else on top of the editor (e.g. the external guests warning)
+        OTHER: {
+            id: 'other',
+            name: 'Follow-up',
+            matches: () => true,
+            answer: () => null,
+            apply: () => null
+        }
+    };
+
+    const PROMPT_SELECTOR = '[role="dialog"], [role="alertdialog"]';
+
+    /**
+     * Finds a save prompt that sits on top of the editor
+     * @param {HTMLElement} dialog - The editor being saved
+     * @param {Set<Element>} existing - Dialogs that were open before Save (e.g. stacked editors)
+     * @returns {Object|null} { element, prompt } where prompt is a SAVE_PROMPTS entry
+     */
+    function findSavePrompt(dialog, existing) {
+        for (const element of document.querySelectorAll(PROMPT_SELECTOR)) {
+            if (existing.has(element) || element.contains(dialog) || dialog.contains(element) || !isVisible(element)) {
+                continue;
+            }
+            const prompt = Object.values(SAVE_PROMPTS).find(candidate => candidate.matches(element));
+            if (prompt) return { element, prompt };
+        }
+        return null;
+    }
+
+    function isEditorClosed(dialog) {
+        return !dialog.isConnected || !findVisibleSaveButton(dialog);
+    }
+
+    /**
+     * Answers a save prompt with the configured choice, or waits for the user
+     * @param {Object} found - From findSavePrompt()
+     * @param {HTMLElement} dialog - The editor being saved
+     * @param {Object} options - { unattended: true } never waits for the user
+     * @returns {Promise<string|null>} The answer given, null if the user answered
+     */
+    async function answerSavePrompt({ element, prompt }, dialog, { unattended = false } = {}) {
+        let answer = prompt.answer(dialog);
+        if (!answer && unattended) {
+            // Waiting out promptTimeout would only delay the failure
+            if (!prompt.unattended) {
+                throw new Error(`The ${prompt.name.toLowerCase()} prompt needs your answer`);
+            }
+            answer = prompt.unattended;
+            log(`${prompt.name} prompt: nobody to ask, answering "${answer}"`);
+        }
+
+        let confirm = null;
+        if (answer) {
+            log(`${prompt.name} prompt: answering "${answer}"`);
+            confirm = await prompt.apply(element, answer);
+            if (!confirm) {
+                // Labels in a language we do not know
+                if (unattended) {
+                    throw new Error(`Could not find the "${answer}" answer in the ${prompt.name.toLowerCase()} prompt`);
+                }
+                logWarn(`${prompt.name} prompt: could not find the "${answer}" answer - leaving it to you`);
+                answer = null;
+            }
+        }
+        const timeout = answer ? CONFIG.timing.retryTimeout : CONFIG.timing.promptTimeout;
+
+        const isAnswered = () => !element.isConnected || !isVisible(element);
+        let answered;
+
+        if (answer) {
+            answered = await performAction(confirm, { name: `answer ${prompt.name.toLowerCase()} prompt`, expect: isAnswered, timeout });
+        } else {
+            log(`${prompt.name} prompt: waiting for the user`);
+            setButtonLabel(t('buttonWaitingForAnswer', 'Waiting for your answer...'));
+            announce(t('announceWaitingForAnswer', 'Calendar is asking a question. Waiting for your answer.'));
+            answered = await waitForElement(isAnswered, timeout);
+        }
+
+        if (!answered) {
+            throw new Error(`The ${prompt.name.toLowerCase()} prompt was not answered`);
+        }
+        return answer;
+    }
+
+    // Unlike findVisibleSaveButton, also takes a Save button that is hidden
+    function findSaveButton(dialog) {
+        const match = matchControl('save', dialog);
+        return match ? match.element : null;
+    }
+
+    /**
+     * Finds and clicks the editor's Save button without touching our button's state
+     * @param {HTMLElement} dialog - Dialog or full-page editor container
+     * @returns {Promise<void>}
+     */
+    async function saveEvent(dialog) {
+        const saveButton = findSaveButton(dialog);
+
+        if (!saveButton) {
+            throw new Error('Could not find Save button');
+        }
+
+        // Saving can take a while, so the outcome is checked by the caller, not here
+        await performAction(saveButton, { name: 'save' });
+        log('Save clicked');
+    }
+
+    /**
+     * Saves the event, answers any follow-up prompt and waits for the editor to
+     * close - the only sign that Calendar actually saved
+     * @param {HTMLElement} dialog - Dialog or full-page editor container
+     * @param {Object} options - { unattended: true } when no one can answer a
+     *     prompt (bulk runs): the safe answer is taken, or the save fails
+     * @returns {Promise<Object>} Answers given per prompt id, e.g. { sendInvitations: 'dontSend' }
+     */
+    async function saveAndConfirm(dialog, { unattended = false } = {}) {
+        const existing = new Set(document.querySelectorAll(PROMPT_SELECTOR));
+        const answers = {};
+        await saveEvent(dialog);
+
+        for (;;) {
+            const outcome = await waitForElement(() => {
+                const found = findSavePrompt(dialog, existing);
+                if (found) return found;
+                return isEditorClosed(dialog) ? { closed: true } : null;
+            }, CONFIG.timing.retryTimeout);
+
+            if (!outcome) {
+                throw new Error('The event was not saved');
+            }
+            if (outcome.closed) {
+                logSuccess('Event saved');
+                return answers;
+            }
+            answers[outcome.prompt.id] = await answerSavePrompt(outcome, dialog, { unattended });
+        }
+    }
+
+    // ============================================================================
+    // REMOVE & UNDO
+    // ============================================================================
+    // The reverse flow. Dialogs that already have conferencing get a "Remove"
+    // button instead of the add button, and every save that attached conferencing
+    // is followed by an "Undo" toast that reopens the saved event and takes it off.
+
+    function findRemoveConferencingButton(dialog) {
+        const candidates = dialog.querySelectorAll('button, div[role="button"]');
+        for (const candidate of candidates) {
+            // Our own "Remove Google Meet" button matches the same strings
+            if (candidate.closest('.google-meet-auto-add-button')) continue;
+            const label = candidate.getAttribute('aria-label') || candidate.getAttribute('data-tooltip') || '';
+            if (matchesCalendarString(label, 'removeConferencing')) {
+                return candidate;
+            }
+        }
+        return findBySignals(dialog, NEUTRAL_SIGNALS.removeConferencing);
+    }
+
+    /**
+     * Removes the conferencing attached to the event (without saving)
+     * @param {HTMLElement} dialog - The event dialog element
+     */
+    async function removeVideoConferencing(dialog) {
+        const removeBtn = findRemoveConferencingButton(dialog);
+        if (!removeBtn) {
+            throw new Error('Could not find the remove conferencing control');
+        }
+
+        const removed = await performAction(removeBtn, {
+            name: 'remove conferencing',
+            expect: () => !isVideoConferencingAlreadyAdded(dialog),
+            root: dialog,
+            allowDestructive: true // Removing is the point here
+        });
+
+        if (!removed) {
+            throw new Error('Video conferencing is still attached');
+        }
+        logSuccess('Video conferencing removed');
+    }
+
+    function addRemoveButton(dialog) {
+        if (dialog.querySelector(`#${CONFIG.removeButtonId}`)) {
+            return false;
+        }
+
+        const saveBtn = findVisibleSaveButton(dialog);
+        const attached = findAttachedProvider(dialog);
+        if (!saveBtn || !attached) {
+            return false;
+        }
+
+        // Secondary look: removing is the less common action
+        const moreOptions = findMoreOptionsButton(dialog);
+        const button = createMeetButton(moreOptions ? getVisualStyles(moreOptions) : {
+            backgroundColor: 'transparent',
+            color: CONFIG.colors.primary,
+            border: '1px solid #747775'
+        }, handleRemoveButtonClick);
+        button.id = CONFIG.removeButtonId;
+        button.classList.add('google-meet-auto-add-remove');
+        button.textContent = t('removeButtonText', `Remove ${attached.name}`, [attached.name]);
+
+        saveBtn.parentElement.insertBefore(button, saveBtn.nextSibling);
+        logSuccess('Remove button added');
+        return true;
+    }
+
+    async function handleRemoveButtonClick(event) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const button = event.currentTarget;
+        const dialog = findContainerForElement(button);
+        const label = button.textContent;
+
+        if (!dialog || isDialogRunning(dialog)) return;
+
+        const attached = findAttachedProvider(dialog);
+        if (CONFIG.dryRun) {
+            explainRemoval(dialog, attached);
+            return;
+        }
+        setDialogState(dialog, DIALOG_STATES.RUNNING);
+
+        button.disabled = true;
+        button.textContent = t('buttonWorking', 'Working...');
+
+        try {
+            await removeVideoConferencing(dialog);
+            await saveAndConfirm(dialog);
+            setDialogState(dialog, DIALOG_STATES.DONE);
+            showToast(t('toastConferencingRemoved', `${attached.name} removed`, [attached.name]));
+        } catch (error) {
+            setDialogState(dialog, DIALOG_STATES.FAILED);
+            logError('Could not remove conferencing:', error);
+            recordFailure(dialog, { provider: attached, strategy: null, error, trace: createTrace() });
+            button.disabled = false;
+            button.textContent = label;
+            showToast(error.message, { isError: true });
+        }
+    }
+
+    // Calendar marks each event in the grid with data-eventid
+    const EVENT_CHIP_SELECTOR = '[data-eventid]';
+
+    function findEventChips(title) {
+        const wanted = normalizeText(title);
+        return Array.from(document.querySelectorAll(EVENT_CHIP_SELECTOR))
+            .filter(chip => !wanted || normalizeText(chip.textContent).includes(wanted));
+    }
+
+    /**
+     * The id an existing event's chips carry, when the editor shows it: on the
+     * editor element itself, or in the full-page editor's URL (/r/eventedit/<id>)
+     * @param {HTMLElement} dialog - Dialog or full-page editor container
+     * @returns {string|null} data-eventid value, or null for a new event
+     */
+    function readEventId(dialog) {
+        const marked = dialog.getAttribute('data-eventid');
+        if (marked) return marked;
+
+        const match = isEventEditPage() && window.location.pathname.match(/\/r\/eventedit\/([^/?#]+)/);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
+    /**
+     * Remembers how to find the event again once its editor has closed
+     * @param {HTMLElement} dialog - Editor about to be saved
+     * @returns {Object} { title, eventId, knownIds }
+     */
+    function captureUndoTarget(dialog) {
+        const title = readFieldText(findFieldByLabel(dialog, 'title'));
+        return {
+            title,
+            eventId: readEventId(dialog),
+            // A new event is the chip that was not there before saving
+            knownIds: new Set(findEventChips(title).map(chip => chip.getAttribute('data-eventid')))
+        };
+    }
+
+    /**
+     * Picks the saved event's chip in the grid. Never guesses: recurring events
+     * and duplicate titles put several events under one title, and the wrong
+     * one would lose its conferencing.
+     * @param {Object} target - From captureUndoTarget()
+     * @param {boolean} settled - The grid has had time to show a new event, so
+     *     an event with no new chip is taken to be an existing one
+     * @returns {Object|null} { chip } or { ambiguous: true }; null while not found
+     */
+    function findSavedEventChip(target, settled) {
+        const idOf = chip => chip.getAttribute('data-eventid');
+
+        if (target.eventId) {
+            // The title may have been edited, so look the id up across the grid
+            const chip = findEventChips('').find(candidate => idOf(candidate) === target.eventId);
+            return chip ? { chip } : null;
+        }
+
+        const chips = findEventChips(target.title);
+        // A multi-day event shows one chip per day, all with the same id
+        const distinct = (list) => [...new Set(list.map(idOf))];
+
+        const added = chips.filter(candidate => !target.knownIds.has(idOf(candidate)));
+        if (distinct(added).length > 1) return { ambiguous: true };
+        if (added.length > 0) return { chip: added[0] };
+        if (!settled || !target.title) return null;
+
+        const ids = distinct(chips);
+        if (ids.length > 1) return { ambiguous: true };
+        return chips.length > 0 ? { chip: chips[0] } : null;
+    }
+
+    /**
+     * Waits for the saved event's chip to show in the grid
+     * @param {Object} target - From captureUndoTarget()
+     * @returns {Promise<Object|null>} As findSavedEventChip()
+     */
+    async function waitForSavedEventChip(target) {
+        const found = await waitForElement(() => findSavedEventChip(target, false), CONFIG.timing.retryTimeout);
+        return found || findSavedEventChip(target, true);
+    }
+
+    /**
+     * Opens the saved event's editor again from the calendar grid
+     * @param {Object} target - From captureUndoTarget()
+     * @returns {Promise<HTMLElement>} The reopened editor
+     */
+    async function reopenEvent(target) {
+        const found = await waitForSavedEventChip(target);
+
+        if (!found) {
+            throw new Error('Could not find the saved event in the calendar');
+        }
+        if (found.ambiguous) {
+            throw new Error(`More than one event is titled "${target.title}" - could not tell which one was saved`);
+        }
+        const { chip } = found;
+
+        const editor = await openEventEditor(chip);
+        if (!editor) {
+            throw new Error('Could not reopen the event');
+        }
+        return editor;
+    }
+
+    /**
+     * Clicks an event chip and follows it to the editor
+     * @param {HTMLElement} chip - Event in the calendar grid
+     * @returns {Promise<HTMLElement|null>} The editor, or null when the event
+     *     cannot be edited (its details bubble has no Edit control)
+     */
+    async function openEventEditor(chip) {
+        // The chip shows the event's title, which may well read "Cancelled: ..."
+        await performAction(chip, { name: 'open event', allowDestructive: true });
+
+        // Existing events open a details bubble first; its pencil leads to the editor
+        const opened = await waitForElement(
+            () => findEventContainer(document.body) || findEditEventButton(),
+            CONFIG.timing.retryTimeout
+        );
+        if (!opened) return null;
+
+        const editor = findEventContainer(document.body);
+        if (editor) return editor;
+
+        return performAction(opened, { name: 'edit event', expect: () => findEventContainer(document.body) });
+    }
+
+    function findEditEventButton() {
+        const candidates = document.querySelectorAll('button, div[role="button"]');
+        for (const candidate of candidates) {
+            const label = candidate.getAttribute('aria-label') || candidate.getAttribute('data-tooltip') || '';
+            if (isVisible(candidate) && matchesCalendarString(label, 'editEvent')) {
+                return candidate;
+            }
+        }
+        const bySignal = findBySignals(document.body, NEUTRAL_SIGNALS.editEvent);
+        return bySignal && isVisible(bySignal) ? bySignal : null;
+    }
+
+    /**
+     * Reopens a just-saved event, removes its conferencing and saves it again
+     * @param {Object} target - From captureUndoTarget()
+     * @param {Object} provider - Entry from PROVIDERS that was added
+     */
+    async function undoConferencing(target, provider) {
+        // Dry run may have been turned on while the toast was up
+        if (CONFIG.dryRun) {
+            explainUndo(target, provider);
+            return;
+        }
+        showToast(t('toastUndoing', 'Undoing...'));
+        try {
+            const editor = await reopenEvent(target);
+            await removeVideoConferencing(editor);
+            await saveAndConfirm(editor);
+            showToast(t('toastConferencingRemoved', `${provider.name} removed`, [provider.name]));
+        } catch (error) {
+            logError('Undo failed:', error);
+            showToast(t('toastUndoFailed', 'Could not undo - open the event to remove the meeting'), { isError: true });
+        }
+    }
+
+    /**
+     * "Meet added - Undo" after a save
+     * @param {Object} target - From captureUndoTarget()
+     * @param {Object} provider - Entry from PROVIDERS that was added
+     * @param {boolean} copied - The invitation was copied too (this toast replaces that one)
+     */
+    function showUndoToast(target, provider, copied = false) {
+        const message = copied
+            ? t('toastConferencingAddedCopied', `${provider.name} added, invitation copied`, [provider.name])
+            : t('toastConferencingAdded', `${provider.name} added`, [provider.name]);
+        showToast(message, {
+            duration: CONFIG.timing.undoWindow,
+            action: {
+                label: t('toastUndo', 'Undo'),
+                onClick: () => undoConferencing(target, provider)
+            }
+        });
+    }
+
+    // ============================================================================
+    // BULK MODE
+    // ============================================================================
+    // Started from the popup: walks the event chips in the current view and, for
+    // each selected event, opens it, adds conferencing, saves and moves on. Runs
+    // here rather than in the popup so closing the popup does not stop it; the
+    // popup polls bulk_status to show progress and the final report.
+
+    let bulkRun = null;
+
+    function describeChip(chip) {
+        return (chip.textContent || chip.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim().slice(0, 80);
+    }
+
+    /**
+     * Events visible in the current Calendar view, for the popup's preview list
+     * @returns {Object[]} [{ id, title }]
+     */
+    function listBulkCandidates() {
+        const seen = new Set();
+        const events = [];
+        for (const chip of document.querySelectorAll(EVENT_CHIP_SELECTOR)) {
+            const id = chip.getAttribute('data-eventid');
+            if (!id || seen.has(id) || !isVisible(chip)) continue;
+            seen.add(id);
+            events.push({ id, title: describeChip(chip) });
+        }
+        return events;
+    }
+
+    function pressEscape() {
+        const target = document.activeElement || document.body;
+        target.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', keyCode: 27, bubbles: true }));
+    }
+
+    /**
+     * Leaves the grid as it was: closes whatever bubble or editor is still open,
+     * one Escape at a time (closing an editor can uncover its bubble)
+     */
+    async function closeOpenEditors() {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const open = findEventContainer(document.body) || findEditEventButton();
+            if (!open) return;
+            pressEscape();
+            const closed = await waitForElement(() => !open.isConnected || !isVisible(open), CONFIG.timing.retryTimeout);
+            if (!closed) {
+                logWarn('Escape did not close the open event');
+            }
+        }
+    }
+
+    /**
+     * Opens one event, adds the default provider and saves
+     * @param {string} id - data-eventid of the chip
+     * @param {AbortSignal} signal - The run's; cancelling or pausing stops this event too
+     * @returns {Promise<Object|null>} { id, title, status: 'added'|'skipped'|'failed', reason, strategy },
+     *     or null when the run stopped it before it was saved
+     */
+    async function bulkAddToEvent(id, signal) {
+        const chip = Array.from(document.querySelectorAll(EVENT_CHIP_SELECTOR))
+            .find(candidate => candidate.getAttribute('data-eventid') === id);
+        const result = { id, title: chip ? describeChip(chip) : id };
+
+        if (!chip) {
+            return { ...result, status: 'failed', reason: 'Event is no longer in view' };
+        }
+
+        const provider = getDefaultProvider();
+        const controller = new AbortController();
+        const stopWithRun = () => controller.abort(signal.reason);
+        signal.addEventListener('abort', stopWithRun);
+        const trace = createTrace(controller.signal);
+        let stopWatching = () => {};
+        let editor = null;
+        let strategy = null;
+        let event = null;
+
+        try {
+            editor = await trace.step('open event', () => openEventEditor(chip));
+            if (!editor) {
+                return { ...result, status: 'skipped', reason: 'You cannot edit this event' };
+            }
+            if (isVideoConferencingAlreadyAdded(editor)) {
+                return { ...result, status: 'skipped', reason: 'Already has conferencing' };
+            }
+            // Guests of an event the user does not own get no conferencing control
+            if (!findVideoConferencingButton(editor)) {
+                return { ...result, status: 'skipped', reason: 'You cannot change conferencing on this event' };
+            }
+
+            setDialogState(editor, DIALOG_STATES.RUNNING);
+            stopWatching = abortWhenClosed(editor, controller);
+            event = readHistoryEvent(editor);
+            strategy = await trace.step('select strategy', () => selectStrategy(editor, provider));
+            if (!strategy) {
+                throw new Error('No compatible video conferencing strategy found for this dialog');
+            }
+
+            await strategy.execute(editor, provider, trace);
+            const meet = readMeetDetails(editor);
+            // Read before saving: the policy may look at the guest list
+            const wouldAsk = decideInvitations(editor) === null;
+            stopWatching(); // Saving closes the editor, so closing is expected from here on
+            // The popup is closed during a run, so nobody can answer a prompt
+            const answers = await trace.step('save', () => clickSaveButton(editor, { unattended: true })); // Returns once the editor has closed
+
+            setDialogState(editor, DIALOG_STATES.DONE);
+            logSuccess(`Bulk: ${provider.name} added to "${result.title}"`);
+            recordHistory({ trigger: 'bulk', event, provider, strategy, meetCode: meet && meet.code, trace });
+            const added = { ...result, status: 'added', strategy: strategy.name };
+            if (wouldAsk && answers.sendInvitations === 'dontSend') {
+                added.reason = t('bulkGuestsNotEmailed', 'Guests were not emailed - there is no one to ask during a bulk run');
+            }
+            return added;
+
+        } catch (error) {
+            if (editor) setDialogState(editor, DIALOG_STATES.FAILED);
+            if (signal.aborted) {
+                log(`Bulk: stopped "${result.title}" before saving (${signal.reason.message})`);
+                return null;
+            }
+            logError('Bulk add failed:', error);
+            recordFailure(editor || document.body, { provider, strategy, error, trace });
+            recordHistory({ trigger: 'bulk', event: event || { title: result.title, when: null }, provider, strategy, trace, error });
+            return { ...result, status: 'failed', reason: error.message };
+        } finally {
+            signal.removeEventListener('abort', stopWithRun);
+            stopWatching();
+            removeStealthStyles();
+            await closeOpenEditors();
+        }
+    }
+
+    /**
+     * Runs the bulk job over the selected events, one at a time
+     * @param {string[]} ids - data-eventid values picked in the popup
+     */
+    async function runBulk(ids) {
+        const run = {
+            total: ids.length,
+            current: null,
+            controller: null, // Aborted by pause and cancel to stop the current event
+            paused: false,
+            cancelled: false,
+            finished: false,
+            results: []
+        };
+        bulkRun = run;
 
-                // Also force the button itself just in case
-                saveBtn.style.setProperty('color', targetColor, 'important');
-            };
+        for (let index = 0; index < ids.length;) {
+            while (run.paused && !run.cancelled) {
+                await waitFor(200);
+            }
+            if (run.cancelled) break;
+
+            run.current = ids[index];
+            run.controller = new AbortController();
+            const result = await bulkAddToEvent(ids[index], run.controller.signal);
+            // Stopped before saving: a paused run starts the event over on resume
+            if (result) {
+                run.results.push(result);
+                index++;
+            }
+        }
 
-            applyClasses();
+        run.current = null;
+        run.finished = true;
+        log(`Bulk run finished: ${run.results.filter(item => item.status === 'added').length}/${run.total} added`);
+    }
 
-            // PERSISTENCE: Watch for class reversions AND child changes
-            const observer = new MutationObserver((mutations) => {
-                let needsReapply = false;
-                for (const mutation of mutations) {
-                    // Check if class changed
-                    if (mutation.type === 'attributes' && mutation.attributeName === 'class') {
-                        if (saveBtn.className !== targetClass) {
-                            needsReapply = true;
-                        }
-                    }
-                    // Check if children changed (re-render)
-                    if (mutation.type === 'childList' || mutation.type === 'subtree') {
-                        needsReapply = true;
-                    }
+    function getBulkStatus() {
+        if (!bulkRun) {
+            return { active: false };
+        }
+        return {
+            active: !bulkRun.finished,
+            paused: bulkRun.paused,
+            cancelled: bulkRun.cancelled,
+            finished: bulkRun.finished,
+            total: bulkRun.total,
+            processed: bulkRun.results.length,
+            current: bulkRun.current,
+            results: bulkRun.results.slice()
+        };
+    }
+
+    /**
+     * Handles the popup's bulk_* messages
+     * @param {Object} request - { action, ids }
+     * @returns {Object} Response for the popup
+     */
+    function handleBulkMessage(request) {
+        switch (request.action) {
+            case 'bulk_list':
+                return { events: listBulkCandidates() };
+            case 'bulk_start':
+                if (bulkRun && !bulkRun.finished) {
+                    return { started: false, error: 'A bulk run is already in progress' };
                 }
-                if (needsReapply) {
-                    applyClasses();
+                if (CONFIG.dryRun) {
+                    return { started: false, error: t('explainBulkRefused', 'Turn off dry run to add Meet in bulk') };
                 }
-            });
+                runBulk(request.ids || []);
+                return { started: true };
+            case 'bulk_pause':
+            case 'bulk_resume':
+                if (bulkRun) {
+                    bulkRun.paused = request.action === 'bulk_pause';
+                    if (bulkRun.paused) bulkRun.controller.abort(new Error('Bulk run paused'));
+                }
+                break;
+            case 'bulk_cancel':
+                if (bulkRun) {
+                    bulkRun.cancelled = true;
+                    bulkRun.controller.abort(new Error('Bulk run cancelled'));
+                }
+                break;
+            case 'bulk_reset':
+                if (bulkRun && bulkRun.finished) bulkRun = null;
+                break;
+        }
+        return getBulkStatus();
+    }
 
-            observer.observe(saveBtn, {
-                attributes: true,
-                childList: true,
-                subtree: true,
-                attributeFilter: ['class', 'style']
-            });
+    // ============================================================================
+    // AUTO MODE
+    // ============================================================================
+    // When enabled, new dialogs that pass the user's rules get a Meet link attached
+    // without a click. Nothing is saved - the user still reviews and saves the event,
+    // and the "Make it a Google Meet" button stays available as a manual override.
 
-            return; // Exit early, we are done
-        }
+    const autoHandledDialogs = new WeakSet();
 
-        // FALLBACK: If "More options" is not found, use manual styling (Legacy)
-        log('Could not find "More options" button - using manual fallback styles');
+    function splitList(value) {
+        return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+    }
 
-        let secondaryStyles = {
-            backgroundColor: 'transparent',
-            color: CONFIG.colors.primary,
-            border: 'none',
-            padding: '0 24px',
-            borderRadius: '4px',
-            fontWeight: '500',
-            boxShadow: 'none',
-            textTransform: 'none',
-            letterSpacing: 'normal',
-            minWidth: 'auto'
-        };
+    /**
+     * Matches a title against comma-separated keywords or a /regex/flags pattern
+     */
+    function matchesTitlePattern(title, pattern) {
+        const trimmed = (pattern || '').trim();
+        if (!trimmed) return true;
 
+        const regexMatch = /^\/(.+)\/([a-z]*)$/i.exec(trimmed);
+        if (regexMatch) {
+            try {
+                return new RegExp(regexMatch[1], regexMatch[2]).test(title);
+            } catch (error) {
+                logError(`Invalid title pattern: ${trimmed}`, error);
+                return false;
+            }
+        }
 
-        const applyStyles = () => {
-            // We use !important to ensure we override Google's default primary button classes
-            saveBtn.style.setProperty('background-color', secondaryStyles.backgroundColor, 'important');
-            saveBtn.style.setProperty('color', secondaryStyles.color, 'important');
-            saveBtn.style.setProperty('border', secondaryStyles.border, 'important');
-            saveBtn.style.setProperty('padding', secondaryStyles.padding, 'important');
-            saveBtn.style.setProperty('border-radius', secondaryStyles.borderRadius, 'important');
-            saveBtn.style.setProperty('font-weight', secondaryStyles.fontWeight, 'important');
-            saveBtn.style.setProperty('font-size', secondaryStyles.fontSize, 'important');
-            saveBtn.style.setProperty('font-family', secondaryStyles.fontFamily, 'important');
-            saveBtn.style.setProperty('box-shadow', 'none', 'important'); // Force flat
-            saveBtn.style.setProperty('text-transform', secondaryStyles.textTransform, 'important');
-            saveBtn.style.setProperty('letter-spacing', secondaryStyles.letterSpacing, 'important');
-            saveBtn.style.setProperty('min-width', secondaryStyles.minWidth || 'auto', 'important');
+        const lowerTitle = title.toLowerCase();
+        return splitList(trimmed).some(keyword => lowerTitle.includes(keyword));
+    }
 
-            // CRITICAL FIX: Force text color on ALL children (spans, divs)
-            // The original Save button has white text on internal spans that overrides the button color
-            const children = saveBtn.querySelectorAll('*');
-            children.forEach(child => {
-                child.style.setProperty('color', secondaryStyles.color, 'important');
-            });
-        };
+    /**
+     * Evaluates the auto-add rules against an event
+     * @param {Object} details - Result of readEventDetails()
+     * @param {Object} rules - CONFIG.autoAdd
+     * @returns {{matched: boolean, reason: string}} Why the event did or did not match
+     */
+    function evaluateAutoAddRules(details, rules) {
+        if (rules.requireGuests && details.guestCount === 0) {
+            return { matched: false, reason: 'Event has no guests' };
+        }
 
-        // Apply immediately
-        applyStyles();
+        if (!matchesTitlePattern(details.title, rules.titlePattern)) {
+            return { matched: false, reason: 'Title does not match pattern' };
+        }
 
-        // PERSISTENCE: Google's framework often re-renders buttons, wiping inline styles.
-        // We must watch for changes and re-apply our secondary styling.
-        const observer = new MutationObserver((mutations) => {
-            let needsReapply = false;
-            for (const mutation of mutations) {
-                if (mutation.type === 'attributes' &&
-                    (mutation.attributeName === 'style' || mutation.attributeName === 'class')) {
-                    // Check if our critical styles are missing
-                    if (saveBtn.style.backgroundColor !== secondaryStyles.backgroundColor) {
-                        needsReapply = true;
-                        break;
-                    }
-                }
-                // Also check if children lost their color
-                if (mutation.type === 'childList' || mutation.type === 'subtree') {
-                    needsReapply = true;
-                    break;
-                }
+        if (rules.minDuration > 0 || rules.maxDuration > 0) {
+            if (details.duration === null) {
+                return { matched: false, reason: 'Event duration unknown' };
             }
-            if (needsReapply) {
-                applyStyles();
+            if (rules.minDuration > 0 && details.duration < rules.minDuration) {
+                return { matched: false, reason: 'Event is too short' };
             }
-        });
+            if (rules.maxDuration > 0 && details.duration > rules.maxDuration) {
+                return { matched: false, reason: 'Event is too long' };
+            }
+        }
 
-        observer.observe(saveBtn, {
-            attributes: true,
-            childList: true, // Watch for internal re-renders
-            subtree: true,   // Watch deep
-            attributeFilter: ['style', 'class']
-        });
+        const calendars = splitList(rules.calendars);
+        if (calendars.length > 0) {
+            const calendar = (details.calendar || '').toLowerCase();
+            if (!calendar || !calendars.some(name => calendar.includes(name))) {
+                return { matched: false, reason: 'Event is on a different calendar' };
+            }
+        }
 
-        // Add hover effect for secondary button
-        saveBtn.addEventListener('mouseenter', () => {
-            // If transparent, add a subtle blue tint (standard Google behavior)
-            if (secondaryStyles.backgroundColor === 'transparent' ||
-                secondaryStyles.backgroundColor === 'rgba(0, 0, 0, 0)' ||
-                secondaryStyles.backgroundColor === '') {
-                saveBtn.style.setProperty('background-color', CONFIG.colors.primaryHover, 'important');
-            } else {
-                saveBtn.style.filter = 'brightness(0.95)';
+        if (rules.workingHoursOnly) {
+            const dayStart = parseTimeOfDay(rules.workingHoursStart);
+            const dayEnd = parseTimeOfDay(rules.workingHoursEnd);
+            if (details.start === null || details.weekday === null) {
+                return { matched: false, reason: 'Event time unknown' };
             }
-        });
-        saveBtn.addEventListener('mouseleave', () => {
-            saveBtn.style.setProperty('background-color', secondaryStyles.backgroundColor, 'important');
-            saveBtn.style.filter = 'none';
-        });
+            if (!rules.workingDays.includes(details.weekday)) {
+                return { matched: false, reason: 'Event is outside working days' };
+            }
+            if (details.start < dayStart || details.start >= dayEnd) {
+                return { matched: false, reason: 'Event is outside working hours' };
+            }
+        }
+
+        return { matched: true, reason: 'All rules matched' };
     }
 
-    // ============================================================================
-    // CLICK HANDLER
-    // ============================================================================
+    function tryAutoAdd(dialog) {
+        if (!CONFIG.autoAdd.enabled || CONFIG.dryRun || autoHandledDialogs.has(dialog) || !dialog.isConnected || isDialogRunning(dialog)) {
+            return;
+        }
 
-    async function handleMeetButtonClick(event) {
-        event.preventDefault();
-        event.stopPropagation();
-        event.stopImmediatePropagation();
-        
-        const button = event.target;
-        const dialog = button.closest('[role="dialog"]') || button.closest('.VfPpkd-dgl2Hf-ppHlrf-sM5MNb');
-        
-        if (!dialog) {
-            showError(button, 'Could not find event dialog');
+        // Bulk mode adds to the events it opens itself
+        if (bulkRun && !bulkRun.finished) {
             return;
         }
 
-        try {
-            button.textContent = 'Working...';
-            button.disabled = true;
+        if (isVideoConferencingAlreadyAdded(dialog)) {
+            // Existing events with conferencing are never touched
+            autoHandledDialogs.add(dialog);
+            return;
+        }
 
-            // Select the appropriate strategy for this dialog state
-            const strategy = selectStrategy(dialog);
+        // Not marked handled: the user may switch back to the Event tab
+        const unavailable = getUnavailableReason(dialog);
+        if (unavailable) {
+            log(`Auto-add skipped: ${unavailable}`);
+            return;
+        }
 
+        const { matched, reason } = evaluateAutoAddRules(readEventDetails(dialog), CONFIG.autoAdd);
+        if (!matched) {
+            log(`Auto-add skipped: ${reason}`);
+            return;
+        }
+
+        autoHandledDialogs.add(dialog);
+        runAutoAdd(dialog);
+    }
+
+    /**
+     * Watches a new dialog and attaches Meet once the event matches the rules.
+     * Rules are re-checked as the user edits, since a fresh event starts untitled.
+     */
+    function watchDialogForAutoAdd(dialog) {
+        if (!CONFIG.autoAdd.enabled || autoHandledDialogs.has(dialog)) {
+            return;
+        }
+
+        let timer = null;
+        const recheck = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                if (autoHandledDialogs.has(dialog)) {
+                    dialog.removeEventListener('input', recheck);
+                    dialog.removeEventListener('change', recheck);
+                    return;
+                }
+                tryAutoAdd(dialog);
+            }, 400);
+        };
+
+        listenInDialog(dialog, dialog, 'input', recheck);
+        listenInDialog(dialog, dialog, 'change', recheck);
+        onDialogTeardown(dialog, () => clearTimeout(timer));
+        tryAutoAdd(dialog);
+    }
+
+    async function runAutoAdd(dialog) {
+        const button = dialog.querySelector(`#${CONFIG.buttonId}`);
+        const provider = getDefaultProvider();
+        const controller = new AbortController();
+        const stopWatching = abortWhenClosed(dialog, controller);
+        const trace = createTrace(controller.signal, announcePhase);
+        let strategy = null;
+
+        setDialogState(dialog, DIALOG_STATES.RUNNING);
+
+        try {
+            if (button) {
+                setButtonLabel(t('buttonWorking', 'Working...'), button);
+                button.disabled = true;
+            }
+
+            strategy = await trace.step('select strategy', () => selectStrategy(dialog, provider));
             if (!strategy) {
                 throw new Error('No compatible video conferencing strategy found for this dialog');
             }
 
-            // Execute the selected strategy
-            await strategy.execute(dialog);
-
-            // Save the event
-            await clickSaveButton(dialog);
+            await strategy.execute(dialog, provider, trace);
+            setDialogState(dialog, DIALOG_STATES.DONE);
+            logSuccess(`${provider.name} auto-added using ${strategy.name}`);
+            showAutoAddIndicator(dialog, provider);
+            const meet = readMeetDetails(dialog);
+            recordHistory({ trigger: 'auto', event: readHistoryEvent(dialog), provider, strategy, meetCode: meet && meet.code, trace });
 
         } catch (error) {
-            logError('Error adding Google Meet:', error);
-            removeStealthStyles(); // Ensure we clean up on error
-            debugAlert(`CAUGHT ERROR in handleMeetButtonClick:\n\n${error.message}\n\nStack:\n${error.stack}`);
-            showError(button, error.message);
+            setDialogState(dialog, DIALOG_STATES.FAILED);
+            logError('Auto-add failed:', error);
+            recordFailure(dialog, { provider, strategy, error, trace, auto: true });
+            recordHistory({ trigger: 'auto', event: readHistoryEvent(dialog), provider, strategy, trace, error });
+            removeStealthStyles();
         } finally {
-            // Cleanup stealth styles (though dialog usually closes)
-            setTimeout(removeStealthStyles, 100);
+            stopWatching();
+            if (button) {
+                resetButtonLabel(button);
+                button.disabled = false;
+            }
         }
     }
 
+    function showAutoAddIndicator(dialog, provider) {
+        // After the split button's caret if there is one
+        const anchor = dialog.querySelector(`#${CONFIG.providerToggleId}`) || dialog.querySelector(`#${CONFIG.buttonId}`);
+        if (!anchor || dialog.querySelector(`#${CONFIG.autoIndicatorId}`)) {
+            return;
+        }
+
+        const indicator = document.createElement('span');
+        indicator.id = CONFIG.autoIndicatorId;
+        indicator.className = 'google-meet-auto-add-indicator';
+        indicator.setAttribute('role', 'status');
+        indicator.textContent = t('autoAddedIndicator', `${provider.name} auto-added`, [provider.name]);
+
+        const revert = document.createElement('button');
+        revert.type = 'button';
+        revert.className = 'google-meet-auto-add-revert';
+        revert.textContent = t('autoAddedRevert', 'Revert');
+        revert.addEventListener('click', async (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            if (CONFIG.dryRun) {
+                explainRemoval(dialog, provider, { save: false });
+                return;
+            }
+            revert.disabled = true;
+            try {
+                await removeVideoConferencing(dialog);
+                indicator.remove();
+            } catch (error) {
+                logError('Could not revert auto-added Meet:', error);
+                revert.disabled = false;
+                revert.title = error.message;
+            }
+        });
+
+        indicator.appendChild(revert);
+        anchor.insertAdjacentElement('afterend', indicator);
+    }
 
     // ============================================================================
-    // DEBUGGING
+    // OBSERVER
     // ============================================================================
 
-    function debugAlert(message) {
-        if (CONFIG.debugAlerts) {
-            // Use a timeout to ensure it renders after UI updates
-                    setTimeout(() => {
-                alert(`[Google Meet Auto-Add DEBUG]\n\n${message}`);
-            }, 10);
-        }
+    function checkForEventDialog(element) {
+        // Each stacked dialog goes from idle to injected on its own
+        findEventContainers(element).forEach(checkEventContainer);
     }
 
-    async function clickSaveButton(dialog) {
-        let saveButton = findElementWithFallbacks(SELECTORS.saveButton, dialog);
-
-        if (!saveButton) {
-            const allButtons = dialog.querySelectorAll('button, div[role="button"]');
-            for (const btn of allButtons) {
-                if (btn.textContent.trim() === 'Save') {
-                    saveButton = btn;
-                    break;
-                }
-            }
+    function checkEventContainer(dialog) {
+        if (dialog.querySelector(`#${CONFIG.buttonId}`)) {
+            // Calendar may re-render the tab list rather than flip aria-selected,
+            // or reattach the dialog after its scope was torn down
+            watchEventType(dialog);
+            return;
         }
 
-        if (!saveButton) {
-            throw new Error('Could not find Save button');
+        // A running flow owns the dialog, and a done one is on its way out
+        const state = getDialogState(dialog);
+        if (state === DIALOG_STATES.RUNNING || state === DIALOG_STATES.DONE) {
+            return;
         }
 
-        // Click the save button
-        saveButton.click();
-        logSuccess('Event saved');
-
-        // Update button state to show success
-        const button = document.getElementById(CONFIG.buttonId);
-        if (button) {
-            button.textContent = '✓ Done!';
+        // Existing conference: offer to remove it rather than add another
+        if (isVideoConferencingAlreadyAdded(dialog)) {
+            addRemoveButton(dialog);
+            return;
+        }
+        // Also re-injects a button that a Calendar re-render wiped out
+        if (addMeetButton(dialog)) {
+            watchDialogForAutoAdd(dialog);
         }
     }
 
-    function showError(button, message) {
-        button.textContent = 'Error';
-        button.title = message;
-        button.disabled = false;
-        
-        setTimeout(() => {
-            button.textContent = CONFIG.buttonText;
-            button.title = '';
-        }, 3000);
-    }
+    let scanScheduled = false;
 
-    // ============================================================================
-    // OBSERVER
-    // ============================================================================
+    const nextFrame = typeof requestAnimationFrame === 'function'
+        ? requestAnimationFrame
+        : callback => setTimeout(callback, 16);
 
-    function checkForEventDialog(element) {
-        const dialog = findEventDialog(element);
-        if (dialog && (!isButtonAdded || !dialog.querySelector(`#${CONFIG.buttonId}`))) {
-            addMeetButton(dialog);
-        }
+    /**
+     * Batches body mutations into one scan per animation frame: Calendar
+     * re-renders in bursts of hundreds of mutations, and one look at the
+     * settled DOM is enough
+     */
+    function scheduleScan() {
+        if (scanScheduled) return;
+        scanScheduled = true;
+
+        nextFrame(() => {
+            scanScheduled = false;
+            sweepClosedDialogs();
+            checkForEventDialog(document.body);
+        });
     }
 
     function startObserver() {
@@ -1059,15 +4854,9 @@
         }
 
         observer = new MutationObserver((mutations) => {
-            let shouldCheck = false;
-            mutations.forEach((mutation) => {
-                if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-                    shouldCheck = true;
-                }
-            });
-
-            if (shouldCheck) {
-                checkForEventDialog(document.body);
+            // Removals matter too: they are how closed dialogs get torn down
+            if (mutations.some(mutation => mutation.addedNodes.length > 0 || mutation.removedNodes.length > 0)) {
+                scheduleScan();
             }
         });
 
@@ -1079,29 +4868,85 @@
         checkForEventDialog(document.body);
     }
 
+    // ============================================================================
+    // PUBLIC API
+    // ============================================================================
+    // The core detection and strategy functions, exposed for the offline test suite
+    // (tests/, run in Node with jsdom) and for poking at from DevTools. Content
+    // scripts run in an isolated world, so Calendar's own scripts cannot see this.
+
+    globalThis.GoogleMeetAutoAdd = Object.freeze({
+        CONFIG,
+        STRATEGIES,
+        PROVIDERS,
+        selectStrategy,
+        isVideoConferencingAlreadyAdded,
+        findAttachedProvider,
+        findVideoConferencingButton,
+        findGoogleMeetOption,
+        findVisibleSaveButton,
+        findEventContainer,
+        matchControl,
+        EVENT_TYPES,
+        detectEventType,
+        performAction,
+        explainConferencing,
+        addMeetButton,
+        performForceCheck,
+        getStatus,
+        getDiagnosticBundle,
+        exportDiagnostics,
+        readMeetDetails,
+        buildInvitation,
+        copyInvitation,
+        removeVideoConferencing,
+        undoConferencing,
+        listBulkCandidates,
+        runBulk,
+        getBulkStatus,
+        readEventDetails,
+        evaluateAutoAddRules
+    });
+
     // ============================================================================
     // INITIALIZATION
     // ============================================================================
 
+    // The built-in pack until the imported one (if any) has loaded
+    applyStrategyPack({ pack: BUILTIN_PACK, custom: false });
+
     function init() {
         if (!window.location.hostname.includes('calendar.google.com')) {
             return;
         }
 
-        log('Extension initialized');
-        startObserver();
+        const { loadSettings, onSettingsChanged, mergeSettings, DEFAULT_SETTINGS } = globalThis.GoogleMeetAutoAddSettings;
+        const { loadPack, onPackChanged } = globalThis.GoogleMeetAutoAddStrategies;
 
-        // Listen for dialog close events (click X or Cancel)
-        document.addEventListener('click', (event) => {
-            if (event.target.matches('[aria-label*="Close"], [data-action-id="cancel"]')) {
-                isButtonAdded = false;
-            }
-        });
-        
-        // Reset state on history navigation (SPA back/forward)
+        const start = ([settings, pack]) => {
+            applySettings(settings);
+            applyStrategyPack(pack);
+            log('Extension initialized');
+            startObserver();
+        };
+
+        // Settings and the strategy pack must be in place before the first dialog check runs
+        Promise.all([loadSettings(), loadPack()])
+            .then(start)
+            .catch((error) => {
+                // Without this the button would silently never appear
+                logError('Could not load the settings or the strategy pack - using the defaults:', error);
+                start([mergeSettings(DEFAULT_SETTINGS, {}), { pack: BUILTIN_PACK, custom: false }]);
+            });
+
+        // Apply changes from the options page to this tab without a reload
+        onSettingsChanged(applySettings);
+        onPackChanged(applyStrategyPack);
+
+        // Closed dialogs need no listener here: leaving the DOM resets their
+        // state (see DIALOG LIFECYCLE)
         window.addEventListener('popstate', () => {
-            isButtonAdded = false;
-            // Re-check immediately in case we navigated back to an open dialog
+            // Re-check in case we navigated back to an open dialog
             setTimeout(() => checkForEventDialog(document.body), 500);
         });
     }
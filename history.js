@@ -0,0 +1,139 @@
+/**
+ * Google Meet Auto-Add Extension - Conversion History
+ *
+ * A local log of every add attempt (button, shortcut, bulk and auto mode),
+ * kept in chrome.storage.local so it never syncs off the machine. Loaded by
+ * the content script (before content.js) to record runs and by the popup to
+ * show, search, summarize and export them.
+ *
+ * STORAGE LAYOUT:
+ * - A single `history` key holding an array of entries, oldest first
+ * - Capped at MAX_ENTRIES; the oldest entries are dropped first
+ */
+
+(function (root) {
+    'use strict';
+
+    const STORAGE_KEY = 'history';
+    const MAX_ENTRIES = 1000;
+
+    // Column order for CSV export
+    const CSV_COLUMNS = ['time', 'success', 'trigger', 'title', 'when', 'provider', 'strategy', 'meetCode', 'elapsedMs', 'error'];
+
+    // Appends are serialized so concurrent runs (bulk mode) cannot drop entries
+    let pending = Promise.resolve();
+
+    // Looked up on use: the summary and export helpers also run in Node (tests/)
+    const browserApi = () => root.GoogleMeetAutoAddBrowser;
+
+    function loadHistory() {
+        return browserApi().storage.local.get(STORAGE_KEY)
+            .then(items => (items && Array.isArray(items[STORAGE_KEY]) ? items[STORAGE_KEY] : []))
+            .catch(() => []);
+    }
+
+    function writeHistory(entries) {
+        return browserApi().storage.local.set({ [STORAGE_KEY]: entries }).then(() => entries);
+    }
+
+    /**
+     * Records one run
+     * @param {Object} entry - { success, trigger, title, when, provider, strategy, meetCode, elapsedMs, error }
+     * @returns {Promise<Object[]>} The stored history
+     */
+    function appendHistory(entry) {
+        pending = pending
+            .catch(() => {})
+            .then(loadHistory)
+            .then((entries) => {
+                entries.push({ time: new Date().toISOString(), ...entry });
+                return writeHistory(entries.slice(-MAX_ENTRIES));
+            });
+        return pending;
+    }
+
+    function clearHistory() {
+        return browserApi().storage.local.remove(STORAGE_KEY).then(() => []);
+    }
+
+    /**
+     * Case-insensitive match against title, strategy, Meet code and error
+     * @param {Object[]} entries - History entries
+     * @param {string} query - Search text
+     */
+    function searchHistory(entries, query) {
+        const needle = (query || '').trim().toLowerCase();
+        if (!needle) return entries;
+        return entries.filter(entry => ['title', 'when', 'strategy', 'meetCode', 'error', 'provider']
+            .some(key => String(entry[key] || '').toLowerCase().includes(needle)));
+    }
+
+    function csvCell(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCsv(entries) {
+        const rows = entries.map(entry => CSV_COLUMNS.map(column => csvCell(entry[column])).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+    }
+
+    /**
+     * ISO 8601 week of a date, e.g. "2025-W07"
+     * @param {Date} date - Any date
+     */
+    function isoWeek(date) {
+        const day = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+        const weekday = day.getUTCDay() || 7;
+        day.setUTCDate(day.getUTCDate() + 4 - weekday); // Thursday decides the year
+        const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+        const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+        return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+    }
+
+    /**
+     * Summaries for the popup: successful conversions per week and failure rate per strategy
+     * @param {Object[]} entries - History entries
+     * @returns {Object} { total, failures, perWeek: [{ week, conversions }], byStrategy: [{ strategy, runs, failures, failureRate }] }
+     */
+    function computeStats(entries) {
+        const weeks = new Map();
+        const strategies = new Map();
+
+        for (const entry of entries) {
+            if (entry.success) {
+                const week = isoWeek(new Date(entry.time));
+                weeks.set(week, (weeks.get(week) || 0) + 1);
+            }
+
+            const name = entry.strategy || '(none)';
+            const stats = strategies.get(name) || { strategy: name, runs: 0, failures: 0 };
+            stats.runs++;
+            if (!entry.success) stats.failures++;
+            strategies.set(name, stats);
+        }
+
+        return {
+            total: entries.length,
+            failures: entries.filter(entry => !entry.success).length,
+            perWeek: Array.from(weeks, ([week, conversions]) => ({ week, conversions }))
+                .sort((a, b) => b.week.localeCompare(a.week)),
+            byStrategy: Array.from(strategies.values())
+                .map(stats => ({ ...stats, failureRate: stats.failures / stats.runs }))
+                .sort((a, b) => b.runs - a.runs)
+        };
+    }
+
+    root.GoogleMeetAutoAddHistory = Object.freeze({
+        STORAGE_KEY,
+        MAX_ENTRIES,
+        loadHistory,
+        appendHistory,
+        clearHistory,
+        searchHistory,
+        toCsv,
+        isoWeek,
+        computeStats
+    });
+
+})(globalThis);
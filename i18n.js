@@ -0,0 +1,37 @@
+/**
+ * Google Meet Auto-Add Extension - Page Localization
+ *
+ * Fills the popup and options pages from _locales. Elements opt in with:
+ * - data-i18n: replaces textContent
+ * - data-i18n-placeholder / data-i18n-title / data-i18n-alt: replace that attribute
+ * The English text written in the HTML stays as the fallback.
+ */
+
+(function (root) {
+    'use strict';
+
+    const ATTRIBUTES = ['placeholder', 'title', 'alt'];
+
+    function t(key, substitutions) {
+        return chrome.i18n.getMessage(key, substitutions) || '';
+    }
+
+    function localizeDocument(doc = document) {
+        doc.documentElement.lang = chrome.i18n.getUILanguage();
+
+        for (const element of doc.querySelectorAll('[data-i18n]')) {
+            const message = t(element.dataset.i18n);
+            if (message) element.textContent = message;
+        }
+
+        for (const attribute of ATTRIBUTES) {
+            for (const element of doc.querySelectorAll(`[data-i18n-${attribute}]`)) {
+                const message = t(element.getAttribute(`data-i18n-${attribute}`));
+                if (message) element.setAttribute(attribute, message);
+            }
+        }
+    }
+
+    root.GoogleMeetAutoAddI18n = Object.freeze({ t, localizeDocument });
+
+})(globalThis);
@@ -0,0 +1,183 @@
+/**
+ * Google Meet Auto-Add Extension - Options Page Script
+ *
+ * Reads and writes the settings defined in settings.js. Every form control's id
+ * is the dotted path of the setting it edits (e.g. "timing.retryTimeout");
+ * checkbox groups use the path as their name and edit an array setting.
+ * Open Calendar tabs pick up saved changes through chrome.storage.onChanged.
+ *
+ * The strategy pack (strategies.js) sits outside the form: importing, exporting
+ * and resetting it take effect at once and do not touch the settings.
+ */
+
+(function () {
+    'use strict';
+
+    const { DEFAULT_SETTINGS, loadSettings, saveSettings, resetSettings } = globalThis.GoogleMeetAutoAddSettings;
+    const { t, localizeDocument } = globalThis.GoogleMeetAutoAddI18n;
+    const { BUILTIN_PACK, loadPack, savePack, resetPack } = globalThis.GoogleMeetAutoAddStrategies;
+
+    const form = document.getElementById('options-form');
+    const status = document.getElementById('status');
+    const packStatus = document.getElementById('pack-status');
+    const packErrors = document.getElementById('pack-errors');
+    const packFile = document.getElementById('pack-file');
+
+    let activePack = BUILTIN_PACK;
+
+    function getPath(object, path) {
+        return path.split('.').reduce((value, key) => (value ? value[key] : undefined), object);
+    }
+
+    function setPath(object, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((node, key) => {
+            if (!node[key]) node[key] = {};
+            return node[key];
+        }, object);
+        target[last] = value;
+    }
+
+    function fillForm(settings) {
+        for (const input of form.querySelectorAll('input[id], select[id]')) {
+            const value = getPath(settings, input.id);
+            if (input.type === 'checkbox') {
+                input.checked = Boolean(value);
+            } else {
+                input.value = value;
+            }
+        }
+
+        // Checkbox groups (name = path) edit array settings such as working days
+        for (const input of form.querySelectorAll('input[type="checkbox"][name]')) {
+            const values = getPath(settings, input.name) || [];
+            input.checked = values.map(String).includes(input.value);
+        }
+    }
+
+    function readForm() {
+        const settings = {};
+        for (const input of form.querySelectorAll('input[id], select[id]')) {
+            let value;
+            if (input.type === 'checkbox') {
+                value = input.checked;
+            } else if (input.type === 'number') {
+                // Invalid or empty numbers fall back to the default
+                value = Number.isFinite(input.valueAsNumber)
+                    ? input.valueAsNumber
+                    : getPath(DEFAULT_SETTINGS, input.id);
+            } else {
+                value = input.value;
+            }
+            setPath(settings, input.id, value);
+        }
+
+        for (const input of form.querySelectorAll('input[type="checkbox"][name]')) {
+            const values = getPath(settings, input.name) || [];
+            // Numeric values (weekdays) are stored as numbers, ids as strings
+            if (input.checked) values.push(/^\d+$/.test(input.value) ? Number(input.value) : input.value);
+            setPath(settings, input.name, values);
+        }
+        return settings;
+    }
+
+    function showStatus(message) {
+        status.textContent = message;
+        setTimeout(() => {
+            status.textContent = '';
+        }, 2000);
+    }
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        saveSettings(readForm())
+            .then((saved) => {
+                fillForm(saved);
+                showStatus(t('optionsSaved'));
+            })
+            .catch((error) => showStatus(t('optionsSaveFailed', [error.message])));
+    });
+
+    document.getElementById('reset').addEventListener('click', () => {
+        resetSettings()
+            .then((defaults) => {
+                fillForm(defaults);
+                showStatus(t('optionsDefaultsRestored'));
+            })
+            .catch((error) => showStatus(t('optionsResetFailed', [error.message])));
+    });
+
+    // ------------------------------------------------------------------------
+    // Strategy pack
+    // ------------------------------------------------------------------------
+
+    function showPackErrors(errors) {
+        packErrors.textContent = '';
+        for (const error of errors) {
+            const item = document.createElement('li');
+            item.textContent = error;
+            packErrors.appendChild(item);
+        }
+    }
+
+    /**
+     * @param {Object} result - { pack, custom, errors } as from loadPack()
+     */
+    function showPack({ pack, custom, errors }) {
+        activePack = pack;
+        packStatus.textContent = custom
+            ? t('optionsPackCustom', [pack.name, pack.version || ''])
+            : t('optionsPackBuiltin', [pack.version]);
+        // A stored pack that stopped validating is ignored - say why
+        showPackErrors(errors.length > 0 ? [t('optionsPackIgnored'), ...errors] : []);
+    }
+
+    document.getElementById('pack-import').addEventListener('click', () => packFile.click());
+
+    packFile.addEventListener('change', async () => {
+        const file = packFile.files[0];
+        packFile.value = '';
+        if (!file) return;
+
+        let pack;
+        try {
+            pack = JSON.parse(await file.text());
+        } catch (error) {
+            showPackErrors([t('optionsPackInvalidJson', [error.message])]);
+            return;
+        }
+
+        try {
+            await savePack(pack);
+            showPack({ pack, custom: true, errors: [] });
+            showStatus(t('optionsPackImported'));
+        } catch (error) {
+            showPackErrors(error.errors || [error.message]);
+            showStatus(t('optionsPackRejected'));
+        }
+    });
+
+    document.getElementById('pack-export').addEventListener('click', () => {
+        const url = URL.createObjectURL(new Blob([JSON.stringify(activePack, null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `google-meet-auto-add-strategies-${activePack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    });
+
+    document.getElementById('pack-reset').addEventListener('click', () => {
+        resetPack()
+            .then((pack) => {
+                showPack({ pack, custom: false, errors: [] });
+                showStatus(t('optionsPackRestored'));
+            })
+            .catch((error) => showStatus(t('optionsResetFailed', [error.message])));
+    });
+
+    localizeDocument();
+    loadSettings().then(fillForm);
+    loadPack().then(showPack);
+
+})();
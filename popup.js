@@ -1,5 +1,515 @@
 /**
  * Google Meet Auto-Add Extension - Popup Script
  * 
- * No active logic required for the current popup version.
+ * Live control panel for the active Calendar tab. Asks the content script for
+ * its state (get_status) and offers Force Check, "Add Meet now", debug
+ * logging and dry-run toggles, invitation copy (get_invitation), bulk mode (bulk_*) and a
+ * diagnostics export (get_diagnostics). The history view reads
+ * chrome.storage.local directly and also works outside Calendar. Outside Calendar it shows the static introduction instead.
  */
+
+(function () {
+    'use strict';
+
+    const { t, localizeDocument } = globalThis.GoogleMeetAutoAddI18n;
+    const { loadSettings, saveSettings } = globalThis.GoogleMeetAutoAddSettings;
+    const { loadHistory, clearHistory, searchHistory, toCsv, computeStats } = globalThis.GoogleMeetAutoAddHistory;
+    const { queryTabs, sendTabMessage } = globalThis.GoogleMeetAutoAddBrowser;
+
+    const CALENDAR_ORIGIN = 'https://calendar.google.com/';
+
+    const elements = {
+        panel: document.getElementById('panel'),
+        intro: document.getElementById('intro'),
+        visit: document.getElementById('visit'),
+        editor: document.getElementById('status-editor'),
+        strategy: document.getElementById('status-strategy'),
+        conferencing: document.getElementById('status-conferencing'),
+        forceCheck: document.getElementById('force-check'),
+        addMeet: document.getElementById('add-meet'),
+        debugToggle: document.getElementById('debug-toggle'),
+        dryRunToggle: document.getElementById('dry-run-toggle'),
+        copyInvitation: document.getElementById('copy-invitation'),
+        exportDiagnostics: document.getElementById('export-diagnostics'),
+        bulkOpen: document.getElementById('bulk-open'),
+        bulk: document.getElementById('bulk'),
+        bulkPreview: document.getElementById('bulk-preview'),
+        bulkList: document.getElementById('bulk-list'),
+        bulkSelectAll: document.getElementById('bulk-select-all'),
+        bulkStart: document.getElementById('bulk-start'),
+        bulkProgress: document.getElementById('bulk-progress'),
+        bulkProgressBar: document.getElementById('bulk-progress-bar'),
+        bulkProgressText: document.getElementById('bulk-progress-text'),
+        bulkControls: document.getElementById('bulk-controls'),
+        bulkPause: document.getElementById('bulk-pause'),
+        bulkReport: document.getElementById('bulk-report'),
+        bulkDone: document.getElementById('bulk-done'),
+        history: document.getElementById('history'),
+        historySearch: document.getElementById('history-search'),
+        historySummary: document.getElementById('history-summary'),
+        historyWeeks: document.getElementById('history-weeks'),
+        historyStrategies: document.getElementById('history-strategies'),
+        historyList: document.getElementById('history-list'),
+        historyClear: document.getElementById('history-clear'),
+        result: document.getElementById('result')
+    };
+
+    let calendarTabId = null;
+    let bulkPollTimer = null;
+    let historyEntries = [];
+    let historyClearTimer = null;
+
+    function getCalendarTab() {
+        return queryTabs({ active: true, currentWindow: true }).then((tabs) => {
+            const tab = tabs && tabs[0];
+            return tab && tab.url && tab.url.startsWith(CALENDAR_ORIGIN) ? tab : null;
+        }, () => null);
+    }
+
+    function sendToTab(message) {
+        return sendTabMessage(calendarTabId, message).catch(() => {
+            // No content script yet - the tab was opened before the extension loaded
+            throw new Error(t('popupReloadTab') || 'Reload the Calendar tab and try again');
+        });
+    }
+
+    function showResult(message, isError = false) {
+        elements.result.textContent = message;
+        elements.result.classList.toggle('error', isError);
+    }
+
+    function setValue(element, text, ok = false) {
+        element.textContent = text;
+        element.classList.toggle('ok', ok);
+    }
+
+    function downloadFile(name, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function renderStatus(status) {
+        if (!status.dialogFound) {
+            setValue(elements.editor, t('popupEditorNone'));
+            setValue(elements.strategy, '—');
+            setValue(elements.conferencing, '—');
+            elements.addMeet.disabled = true;
+            elements.copyInvitation.disabled = true;
+            return;
+        }
+
+        setValue(elements.editor, t(status.context === 'page' ? 'popupEditorPage' : 'popupEditorDialog'), true);
+        setValue(elements.strategy, status.strategy || t('popupStrategyNone'));
+        if (status.attachedProvider) {
+            setValue(elements.conferencing, t('popupConferencingAttached', [status.attachedProvider]), true);
+        } else {
+            setValue(elements.conferencing, t('popupConferencingNone'));
+        }
+        if (status.unavailable) {
+            // Task, Out of office and other tabs without conferencing
+            setValue(elements.conferencing, status.unavailable);
+        }
+        elements.addMeet.disabled = Boolean(status.attachedProvider || status.unavailable) || !status.strategy;
+        elements.copyInvitation.disabled = status.attachedProvider !== 'Google Meet';
+    }
+
+    async function refreshStatus() {
+        try {
+            renderStatus(await sendToTab({ action: 'get_status' }));
+        } catch (error) {
+            showResult(error.message, true);
+            elements.forceCheck.disabled = true;
+            elements.addMeet.disabled = true;
+        }
+    }
+
+    elements.forceCheck.addEventListener('click', async () => {
+        try {
+            const response = await sendToTab({ action: 'force_check' });
+            showResult(response.reason);
+            await refreshStatus();
+        } catch (error) {
+            showResult(error.message, true);
+        }
+    });
+
+    elements.addMeet.addEventListener('click', async () => {
+        elements.addMeet.disabled = true;
+        showResult(t('popupWorking'));
+        try {
+            const response = await sendToTab({ action: 'add_meet', save: true, trigger: 'popup' });
+            if (response.success && response.dryRun) {
+                showResult(t('popupDryRunSucceeded', [response.strategy, String(response.steps.length)]));
+            } else if (response.success) {
+                showResult(t('popupAddSucceeded', [response.strategy]));
+            } else {
+                showResult(response.error, true);
+            }
+        } catch (error) {
+            showResult(error.message, true);
+        }
+        await refreshStatus();
+    });
+
+    elements.debugToggle.addEventListener('change', async () => {
+        // Calendar tabs apply the change live through chrome.storage.onChanged
+        const settings = await loadSettings();
+        settings.debug = elements.debugToggle.checked;
+        await saveSettings(settings);
+    });
+
+    elements.dryRunToggle.addEventListener('change', async () => {
+        const settings = await loadSettings();
+        settings.dryRun = elements.dryRunToggle.checked;
+        await saveSettings(settings);
+    });
+
+    elements.copyInvitation.addEventListener('click', async () => {
+        try {
+            const response = await sendToTab({ action: 'get_invitation' });
+            if (!response.success) {
+                showResult(response.error, true);
+                return;
+            }
+            // Copied here: the Calendar tab is not focused while the popup is open
+            if (response.html) {
+                await navigator.clipboard.write([new ClipboardItem({
+                    'text/plain': new Blob([response.text], { type: 'text/plain' }),
+                    'text/html': new Blob([response.html], { type: 'text/html' })
+                })]);
+            } else {
+                await navigator.clipboard.writeText(response.text);
+            }
+            showResult(t('toastInvitationCopied'));
+        } catch (error) {
+            showResult(error.message, true);
+        }
+    });
+
+    elements.exportDiagnostics.addEventListener('click', async () => {
+        try {
+            const bundle = await sendToTab({ action: 'get_diagnostics' });
+            downloadFile(`google-meet-auto-add-diagnostics-${bundle.generatedAt.replace(/[:.]/g, '-')}.json`,
+                JSON.stringify(bundle, null, 2), 'application/json');
+            showResult(t('popupDiagnosticsExported', [String(bundle.failures.length)]));
+        } catch (error) {
+            showResult(error.message, true);
+        }
+    });
+
+    // ------------------------------------------------------------------------
+    // Bulk mode: preview → progress → report. The run itself lives in the
+    // Calendar tab, so reopening the popup picks it up again via bulk_status.
+    // ------------------------------------------------------------------------
+
+    /**
+     * Switches between the popup's views
+     * @param {string} view - 'panel' (or the introduction outside Calendar),
+     *     'preview' and 'progress' (bulk mode) or 'history'
+     */
+    function showView(view) {
+        disarmHistoryClear();
+        const home = view === 'panel';
+        elements.panel.classList.toggle('hidden', !home || calendarTabId === null);
+        elements.intro.classList.toggle('hidden', !home || calendarTabId !== null);
+        elements.visit.classList.toggle('hidden', !home || calendarTabId !== null);
+        elements.bulk.classList.toggle('hidden', view !== 'preview' && view !== 'progress');
+        elements.bulkPreview.classList.toggle('hidden', view !== 'preview');
+        elements.bulkProgress.classList.toggle('hidden', view !== 'progress');
+        elements.history.classList.toggle('hidden', view !== 'history');
+    }
+
+    function renderBulkPreview(events) {
+        elements.bulkList.textContent = '';
+        if (events.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = t('popupBulkEmpty');
+            elements.bulkList.appendChild(empty);
+        }
+
+        for (const event of events) {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = event.id;
+            checkbox.checked = true;
+            label.append(checkbox, ` ${event.title}`);
+            item.appendChild(label);
+            elements.bulkList.appendChild(item);
+        }
+
+        elements.bulkSelectAll.checked = true;
+        elements.bulkStart.disabled = events.length === 0;
+        showView('preview');
+    }
+
+    function renderBulkReport(results) {
+        elements.bulkReport.textContent = '';
+        for (const result of results) {
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            const status = document.createElement('strong');
+            status.className = result.status;
+            status.textContent = t(`popupBulkStatus_${result.status}`);
+            text.append(status, ` ${result.title}`);
+            if (result.reason) {
+                const reason = document.createElement('span');
+                reason.className = 'reason';
+                reason.textContent = result.reason;
+                text.appendChild(reason);
+            }
+            item.appendChild(text);
+            elements.bulkReport.appendChild(item);
+        }
+    }
+
+    function renderBulkStatus(status) {
+        const counts = { added: 0, skipped: 0, failed: 0 };
+        status.results.forEach(result => counts[result.status]++);
+
+        elements.bulkProgressBar.max = status.total || 1;
+        elements.bulkProgressBar.value = status.processed;
+        elements.bulkPause.textContent = t(status.paused ? 'popupBulkResume' : 'popupBulkPause');
+        elements.bulkPause.dataset.paused = String(status.paused);
+
+        if (status.finished) {
+            elements.bulkProgressText.textContent = t(status.cancelled ? 'popupBulkCancelled' : 'popupBulkFinished',
+                [String(counts.added), String(counts.skipped), String(counts.failed)]);
+        } else {
+            elements.bulkProgressText.textContent = t(status.paused ? 'popupBulkPaused' : 'popupBulkProgress',
+                [String(status.processed), String(status.total)]);
+        }
+
+        elements.bulkControls.classList.toggle('hidden', status.finished);
+        elements.bulkDone.classList.toggle('hidden', !status.finished);
+        renderBulkReport(status.results);
+        showView('progress');
+    }
+
+    function stopBulkPolling() {
+        clearInterval(bulkPollTimer);
+        bulkPollTimer = null;
+    }
+
+    function pollBulkStatus() {
+        stopBulkPolling();
+        const poll = async () => {
+            try {
+                const status = await sendToTab({ action: 'bulk_status' });
+                renderBulkStatus(status);
+                if (status.finished) stopBulkPolling();
+            } catch (error) {
+                stopBulkPolling();
+                elements.bulkProgressText.textContent = error.message;
+            }
+        };
+        poll();
+        bulkPollTimer = setInterval(poll, 500);
+    }
+
+    elements.bulkOpen.addEventListener('click', async () => {
+        try {
+            const response = await sendToTab({ action: 'bulk_list' });
+            renderBulkPreview(response.events);
+        } catch (error) {
+            showResult(error.message, true);
+        }
+    });
+
+    elements.bulkSelectAll.addEventListener('change', () => {
+        elements.bulkList.querySelectorAll('input[type="checkbox"]').forEach((checkbox) => {
+            checkbox.checked = elements.bulkSelectAll.checked;
+        });
+    });
+
+    elements.bulkStart.addEventListener('click', async () => {
+        const ids = Array.from(elements.bulkList.querySelectorAll('input:checked')).map(checkbox => checkbox.value);
+        if (ids.length === 0) return;
+
+        try {
+            const response = await sendToTab({ action: 'bulk_start', ids });
+            if (!response.started) {
+                showResult(response.error, true);
+                return;
+            }
+            pollBulkStatus();
+        } catch (error) {
+            showResult(error.message, true);
+        }
+    });
+
+    /**
+     * The Calendar tab was closed or reloaded mid-run: the run is gone with it,
+     * so go back to the panel, where the result line can say so
+     * @param {Error} error - From sendToTab()
+     */
+    function showBulkError(error) {
+        stopBulkPolling();
+        showView('panel');
+        showResult(error.message, true);
+    }
+
+    elements.bulkPause.addEventListener('click', async () => {
+        const resume = elements.bulkPause.dataset.paused === 'true';
+        try {
+            renderBulkStatus(await sendToTab({ action: resume ? 'bulk_resume' : 'bulk_pause' }));
+        } catch (error) {
+            showBulkError(error);
+        }
+    });
+
+    document.getElementById('bulk-cancel').addEventListener('click', async () => {
+        try {
+            renderBulkStatus(await sendToTab({ action: 'bulk_cancel' }));
+        } catch (error) {
+            showBulkError(error);
+        }
+    });
+
+    document.getElementById('bulk-back').addEventListener('click', () => showView('panel'));
+
+    document.getElementById('bulk-finish').addEventListener('click', async () => {
+        try {
+            await sendToTab({ action: 'bulk_reset' });
+        } catch (error) {
+            showBulkError(error);
+            return;
+        }
+        showView('panel');
+        await refreshStatus();
+    });
+
+    // ------------------------------------------------------------------------
+    // History: every add attempt recorded by the content script (history.js)
+    // ------------------------------------------------------------------------
+
+    function formatPercent(ratio) {
+        return `${Math.round(ratio * 100)}%`;
+    }
+
+    function fillTable(body, rows) {
+        body.textContent = '';
+        for (const cells of rows) {
+            const row = document.createElement('tr');
+            for (const cell of cells) {
+                const td = document.createElement('td');
+                td.textContent = cell;
+                row.appendChild(td);
+            }
+            body.appendChild(row);
+        }
+    }
+
+    function renderHistory() {
+        const entries = searchHistory(historyEntries, elements.historySearch.value);
+        const stats = computeStats(entries);
+
+        elements.historySummary.textContent = t('popupHistorySummary', [String(stats.total), String(stats.failures)]);
+        fillTable(elements.historyWeeks, stats.perWeek.slice(0, 6).map(week => [week.week, String(week.conversions)]));
+        fillTable(elements.historyStrategies, stats.byStrategy.map(strategy =>
+            [strategy.strategy, `${formatPercent(strategy.failureRate)} (${strategy.failures}/${strategy.runs})`]));
+
+        elements.historyList.textContent = '';
+        for (const entry of entries.slice(-50).reverse()) {
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            const status = document.createElement('strong');
+            status.className = entry.success ? 'added' : 'failed';
+            status.textContent = t(entry.success ? 'popupBulkStatus_added' : 'popupBulkStatus_failed');
+            text.append(status, ` ${entry.title || t('popupHistoryUntitled')}`);
+
+            const details = document.createElement('span');
+            details.className = 'reason';
+            details.textContent = [new Date(entry.time).toLocaleString(), entry.strategy, entry.meetCode, entry.error]
+                .filter(Boolean)
+                .join(' · ');
+            text.appendChild(details);
+
+            item.appendChild(text);
+            elements.historyList.appendChild(item);
+        }
+    }
+
+    function historyFileName(extension) {
+        return `google-meet-auto-add-history-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    }
+
+    document.getElementById('open-history').addEventListener('click', async (event) => {
+        event.preventDefault();
+        historyEntries = await loadHistory();
+        renderHistory();
+        showView('history');
+    });
+
+    elements.historySearch.addEventListener('input', renderHistory);
+
+    document.getElementById('history-export-csv').addEventListener('click', () => {
+        const entries = searchHistory(historyEntries, elements.historySearch.value);
+        downloadFile(historyFileName('csv'), toCsv(entries), 'text/csv');
+    });
+
+    document.getElementById('history-export-json').addEventListener('click', () => {
+        const entries = searchHistory(historyEntries, elements.historySearch.value);
+        downloadFile(historyFileName('json'), JSON.stringify(entries, null, 2), 'application/json');
+    });
+
+    function disarmHistoryClear() {
+        if (historyClearTimer === null) return;
+        clearTimeout(historyClearTimer);
+        historyClearTimer = null;
+        elements.historyClear.textContent = t('popupHistoryClear');
+        elements.historyClear.classList.remove('confirming');
+    }
+
+    // confirm() does nothing in Firefox popups, so the button asks itself:
+    // the first click turns it into "Delete the whole history?", the second clears
+    elements.historyClear.addEventListener('click', async () => {
+        if (historyClearTimer === null) {
+            elements.historyClear.textContent = t('popupHistoryClearConfirm');
+            elements.historyClear.classList.add('confirming');
+            historyClearTimer = setTimeout(disarmHistoryClear, 5000);
+            return;
+        }
+
+        disarmHistoryClear();
+        historyEntries = await clearHistory();
+        renderHistory();
+    });
+
+    document.getElementById('history-back').addEventListener('click', () => showView('panel'));
+
+    document.getElementById('open-options').addEventListener('click', (event) => {
+        event.preventDefault();
+        chrome.runtime.openOptionsPage();
+    });
+
+    async function init() {
+        localizeDocument();
+
+        const tab = await getCalendarTab();
+        if (!tab) return; // Keep the introduction
+
+        calendarTabId = tab.id;
+        showView('panel');
+
+        const settings = await loadSettings();
+        elements.debugToggle.checked = settings.debug;
+        elements.dryRunToggle.checked = settings.dryRun;
+
+        await refreshStatus();
+
+        // A bulk run started earlier keeps going while the popup is closed
+        const bulk = await sendToTab({ action: 'bulk_status' }).catch(() => ({ active: false }));
+        if (bulk.active || bulk.finished) {
+            pollBulkStatus();
+        }
+    }
+
+    init();
+
+})();
@@ -0,0 +1,217 @@
+/**
+ * Builds the store packages from the one source tree:
+ * - dist/chrome/ and dist/auto-add-google-meet-<version>-chrome.zip (Chrome Web Store, Edge Add-ons)
+ * - dist/firefox/ and dist/auto-add-google-meet-<version>-firefox.zip (addons.mozilla.org)
+ *
+ * The Firefox manifest is manifest.json with its top-level keys replaced by
+ * those in manifest.firefox.json (background scripts instead of a service
+ * worker, and browser_specific_settings). The unpacked folders can be loaded
+ * directly: chrome://extensions or about:debugging > This Firefox.
+ *
+ * Usage: npm run package
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+
+const ROOT = path.join(__dirname, '..');
+const DIST = path.join(ROOT, 'dist');
+
+// Everything the extension loads; tests, docs and tooling stay out of the packages
+const EXTENSION_FILES = [
+    'manifest.json',
+    'browser-api.js',
+    'background.js',
+    'settings.js',
+    'history.js',
+    'strategies.js',
+    'content.js',
+    'styles.css',
+    'i18n.js',
+    'popup.html',
+    'popup.js',
+    'options.html',
+    'options.js',
+    '_locales',
+    'icons',
+    'LICENSE'
+];
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+const TARGETS = {
+    chrome: (manifest) => manifest,
+    firefox: (manifest) => ({ ...manifest, ...readJson('manifest.firefox.json') })
+};
+
+function buildManifest(target) {
+    return TARGETS[target](readJson('manifest.json'));
+}
+
+/**
+ * @param {string[]} entries - Files and folders relative to the repo root
+ * @returns {string[]} Every file under them, with forward slashes
+ */
+function listFiles(entries) {
+    return entries.flatMap((entry) => {
+        const full = path.join(ROOT, entry);
+        if (!fs.statSync(full).isDirectory()) return [entry];
+        return listFiles(fs.readdirSync(full).filter(name => !name.startsWith('.')).map(name => `${entry}/${name}`));
+    });
+}
+
+/**
+ * Files a manifest points at, which must all be in the package
+ * @param {Object} manifest - Parsed manifest
+ * @returns {string[]} Relative paths
+ */
+function referencedFiles(manifest) {
+    const background = manifest.background || {};
+    return [...new Set([
+        ...(manifest.content_scripts || []).flatMap(script => [...(script.js || []), ...(script.css || [])]),
+        ...(background.service_worker ? [background.service_worker] : []),
+        ...(background.scripts || []),
+        ...(manifest.options_ui ? [manifest.options_ui.page] : []),
+        ...(manifest.action && manifest.action.default_popup ? [manifest.action.default_popup] : []),
+        ...Object.values(manifest.icons || {}),
+        ...Object.values((manifest.action && manifest.action.default_icon) || {}),
+        ...(manifest.default_locale ? [`_locales/${manifest.default_locale}/messages.json`] : [])
+    ])];
+}
+
+// ----------------------------------------------------------------------------
+// Zip writer (deflate only, no dependencies)
+// ----------------------------------------------------------------------------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc >>> 0;
+});
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// 1980-01-01 00:00 in DOS format, so the same source gives the same archive
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1;
+
+/**
+ * @param {Object[]} entries - { name, data } with data as a Buffer
+ * @returns {Buffer} The zip archive
+ */
+function createZip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const { name, data } of entries) {
+        const fileName = Buffer.from(name, 'utf8');
+        const compressed = zlib.deflateRawSync(data, { level: 9 });
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);            // Version needed: 2.0 (deflate)
+        local.writeUInt16LE(0x0800, 6);        // UTF-8 names
+        local.writeUInt16LE(8, 8);             // Deflate
+        local.writeUInt16LE(DOS_TIME, 10);
+        local.writeUInt16LE(DOS_DATE, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+        locals.push(local, fileName, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);          // Made by: 2.0
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(DOS_TIME, 12);
+        central.writeUInt16LE(DOS_DATE, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, fileName);
+
+        offset += local.length + fileName.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+// ----------------------------------------------------------------------------
+// Build
+// ----------------------------------------------------------------------------
+
+/**
+ * Writes the unpacked folder and the zip for one target
+ * @param {string} target - Key of TARGETS
+ * @param {string} outDir - Where to write (dist/ by default)
+ * @returns {Object} { directory, archive, files }
+ */
+function build(target, outDir = DIST) {
+    const manifest = buildManifest(target);
+    const files = listFiles(EXTENSION_FILES);
+
+    const missing = referencedFiles(manifest).filter(file => !files.includes(file));
+    if (missing.length > 0) {
+        throw new Error(`${target}: manifest references files that are not packaged: ${missing.join(', ')}`);
+    }
+
+    const directory = path.join(outDir, target);
+    fs.rmSync(directory, { recursive: true, force: true });
+
+    const entries = files.map((file) => {
+        const data = file === 'manifest.json'
+            ? Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`)
+            : fs.readFileSync(path.join(ROOT, file));
+        const destination = path.join(directory, file);
+        fs.mkdirSync(path.dirname(destination), { recursive: true });
+        fs.writeFileSync(destination, data);
+        return { name: file, data };
+    });
+
+    const archive = path.join(outDir, `auto-add-google-meet-${manifest.version}-${target}.zip`);
+    fs.writeFileSync(archive, createZip(entries));
+    return { directory, archive, files };
+}
+
+if (require.main === module) {
+    for (const target of Object.keys(TARGETS)) {
+        const { archive, files } = build(target);
+        console.log(`${target}: ${path.relative(ROOT, archive)} (${files.length} files)`);
+    }
+}
+
+module.exports = {
+    EXTENSION_FILES,
+    TARGETS,
+    buildManifest,
+    listFiles,
+    referencedFiles,
+    createZip,
+    build
+};
@@ -0,0 +1,131 @@
+/**
+ * Google Meet Auto-Add Extension - Shared Settings
+ *
+ * User-configurable settings backed by chrome.storage.sync. Loaded by both the
+ * content script (before content.js) and the options page, so the defaults
+ * live in exactly one place.
+ *
+ * STORAGE LAYOUT:
+ * - A single `settings` key holding a partial settings object
+ * - Missing keys fall back to DEFAULT_SETTINGS (deep merged)
+ */
+
+(function (root) {
+    'use strict';
+
+    const STORAGE_KEY = 'settings';
+
+    // Looked up on use: mergeSettings also runs where browser-api.js is not loaded
+    const browserApi = () => root.GoogleMeetAutoAddBrowser;
+
+    const DEFAULT_SETTINGS = {
+        debug: false,
+        debugAlerts: false,
+        dryRun: false,                   // Outline the controls that would be clicked instead of clicking them
+        logLevel: 'info',                // Lowest level kept for diagnostics: error, warn, info, debug
+        buttonText: '',                  // Empty = localized "Make it a Google Meet"
+        colors: {
+            primary: '#0b57d0',          // Primary blue from Google Calendar
+            success: '#137333',          // Green for success state
+            error: '#d93025'             // Red for error state
+        },
+        timing: {
+            dropdownTimeout: 1000,
+            retryTimeout: 3000
+        },
+        providers: {
+            default: 'googleMeet',       // Provider used by the main button and auto mode
+            enabled: ['googleMeet']      // Providers listed in the split button's menu
+        },
+        autoAdd: {
+            enabled: false,
+            requireGuests: false,
+            titlePattern: '',            // Comma-separated keywords, or /regex/flags
+            minDuration: 0,              // Minutes, 0 = no lower bound
+            maxDuration: 0,              // Minutes, 0 = no upper bound
+            calendars: '',               // Comma-separated calendar names, empty = any
+            workingHoursOnly: false,
+            workingHoursStart: '09:00',
+            workingHoursEnd: '17:00',
+            workingDays: [1, 2, 3, 4, 5] // 0 = Sunday ... 6 = Saturday
+        },
+        invitation: {
+            copyAfterAdd: false,         // Copy a snippet to the clipboard once Meet is attached
+            format: 'text'               // text, markdown or html
+        },
+        saving: {
+            recurringScope: 'this',      // this, following, all, or ask (leave Calendar's prompt to the user)
+            sendInvitations: 'ask',      // always, never, ask, or internal (send only if every guest is internal)
+            internalDomains: ''          // Comma-separated, empty = the signed-in account's domain
+        }
+    };
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Deep merges stored values over the defaults. Unknown keys are dropped and
+     * values whose type does not match the default are ignored.
+     * @param {Object} defaults - Default settings (or a nested section of them)
+     * @param {Object} stored - Partial settings read from storage
+     * @returns {Object} A complete settings object
+     */
+    function mergeSettings(defaults, stored) {
+        const result = {};
+
+        for (const key of Object.keys(defaults)) {
+            const fallback = defaults[key];
+            const value = isPlainObject(stored) ? stored[key] : undefined;
+
+            if (isPlainObject(fallback)) {
+                result[key] = mergeSettings(fallback, value);
+            } else if (Array.isArray(fallback)) {
+                result[key] = Array.isArray(value) ? value.slice() : fallback.slice();
+            } else if (value !== undefined && typeof value === typeof fallback) {
+                result[key] = value;
+            } else {
+                result[key] = fallback;
+            }
+        }
+
+        return result;
+    }
+
+    function loadSettings() {
+        return browserApi().storage.sync.get(STORAGE_KEY)
+            .then(items => mergeSettings(DEFAULT_SETTINGS, items && items[STORAGE_KEY]))
+            .catch(() => mergeSettings(DEFAULT_SETTINGS, {}));
+    }
+
+    function saveSettings(settings) {
+        const merged = mergeSettings(DEFAULT_SETTINGS, settings);
+        return browserApi().storage.sync.set({ [STORAGE_KEY]: merged }).then(() => merged);
+    }
+
+    function resetSettings() {
+        return browserApi().storage.sync.remove(STORAGE_KEY).then(() => mergeSettings(DEFAULT_SETTINGS, {}));
+    }
+
+    /**
+     * Subscribes to settings changes made from any context (options page, other tabs).
+     * @param {Function} callback - Receives the complete, merged settings object
+     */
+    function onSettingsChanged(callback) {
+        browserApi().onStorageChanged('sync', (changes) => {
+            if (!changes[STORAGE_KEY]) return;
+            callback(mergeSettings(DEFAULT_SETTINGS, changes[STORAGE_KEY].newValue));
+        });
+    }
+
+    root.GoogleMeetAutoAddSettings = Object.freeze({
+        STORAGE_KEY,
+        DEFAULT_SETTINGS,
+        mergeSettings,
+        loadSettings,
+        saveSettings,
+        resetSettings,
+        onSettingsChanged
+    });
+
+})(globalThis);
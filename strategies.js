@@ -0,0 +1,397 @@
+/**
+ * Google Meet Auto-Add Extension - Strategy Packs
+ *
+ * Strategies as data, so a broken selector can be fixed by importing a JSON
+ * pack from the options page instead of waiting for a release. Loaded by the
+ * content script (before content.js), which interprets the active pack, and by
+ * the options page, which imports, exports and validates packs.
+ *
+ * A pack lists strategies. Each has a detect condition, ordered steps (click a
+ * target, choose a menu item, wait for a condition) and an optional success
+ * condition. Targets name a built-in finder or describe the element directly
+ * (selectors, localized text, literal labels, icons); conditions combine with
+ * all/any/not. PACK_SCHEMA is the full grammar.
+ *
+ * STORAGE LAYOUT:
+ * - A single `strategyPack` key in chrome.storage.local holding an imported pack
+ * - No key, or a pack that no longer validates, means BUILTIN_PACK
+ */
+
+(function (root) {
+    'use strict';
+
+    const STORAGE_KEY = 'strategyPack';
+    const PACK_FORMAT = 1;
+
+    // Looked up on use: validatePack also runs where browser-api.js is not loaded
+    const browserApi = () => root.GoogleMeetAutoAddBrowser;
+
+    const BUILTIN_PACK = {
+        format: PACK_FORMAT,
+        name: 'Built-in',
+        version: '1.0.3',
+        strategies: [
+            {
+                id: 'ALREADY_ADDED',
+                name: 'Already Added',
+                priority: 1,
+                detect: { attached: 'any' },
+                steps: [],
+                // Never stack two conference solutions on one event
+                success: { attached: 'provider' },
+                failure: 'Event already has {attached} conferencing'
+            },
+            {
+                id: 'DIRECT_ADD',
+                name: 'Direct Add (Provider Button)',
+                priority: 2,
+                detect: { providerNamed: { finder: 'videoButton' } },
+                steps: [
+                    {
+                        name: 'click video button',
+                        click: { finder: 'videoButton' },
+                        // Calendar attaches the link or shows its progress in the section
+                        expect: { any: [{ attached: 'provider' }, { changed: { finder: 'conferenceSection' } }] },
+                        failure: 'Clicking the video conferencing button had no effect',
+                        explain: 'namesProvider'
+                    },
+                    {
+                        name: 'wait for link',
+                        wait: { attached: 'provider' },
+                        timeout: 'retry',
+                        failure: '{provider} link failed to attach after direct add'
+                    }
+                ]
+            },
+            {
+                id: 'DROPDOWN_MENU',
+                name: 'Dropdown Menu (Single/Multi Provider)',
+                priority: 3,
+                hideMenus: true,
+                detect: { exists: { finder: 'videoButton' } },
+                steps: [
+                    {
+                        name: 'open menu',
+                        click: { finder: 'videoButton' },
+                        expect: { any: [{ attached: 'any' }, { menuOpen: { finder: 'videoButton' } }] },
+                        failure: 'Clicking the video conferencing button had no effect',
+                        explain: 'opensMenu'
+                    },
+                    {
+                        // Single-provider accounts attach straight away, with no menu
+                        name: 'single-provider check',
+                        wait: { attached: 'any' },
+                        timeout: 100,
+                        optional: true,
+                        finish: true
+                    },
+                    {
+                        name: 'click option',
+                        choose: { finder: 'providerOption' },
+                        timeout: 'dropdown',
+                        expect: { any: [{ attached: 'provider' }, { gone: { finder: 'providerOption' } }] },
+                        optional: true,
+                        failure: 'Could not find {provider} option in dropdown'
+                    },
+                    {
+                        name: 'wait for link',
+                        wait: { attached: 'provider' },
+                        timeout: 'retry',
+                        failure: '{provider} link failed to attach after selection'
+                    }
+                ],
+                success: { attached: 'provider' },
+                failure: 'Calendar attached {attached} instead of {provider}'
+            }
+        ]
+    };
+
+    // A subset of JSON Schema: type, enum, required, properties,
+    // additionalProperties, items, minItems, minProperties, maxProperties,
+    // minimum and local $refs
+    const PACK_SCHEMA = {
+        type: 'object',
+        required: ['format', 'name', 'strategies'],
+        additionalProperties: false,
+        properties: {
+            format: { enum: [PACK_FORMAT] },
+            name: { type: 'string' },
+            version: { type: 'string' },
+            selectors: {
+                // Replaces entries of SELECTORS in content.js
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    eventDialog: { $ref: '#/definitions/selectorList' },
+                    pageEditor: { $ref: '#/definitions/selectorList' },
+                    saveButton: { $ref: '#/definitions/selectorList' },
+                    providerOption: { $ref: '#/definitions/selectorList' }
+                }
+            },
+            strategies: { type: 'array', minItems: 1, items: { $ref: '#/definitions/strategy' } }
+        },
+        definitions: {
+            selectorList: { type: 'array', minItems: 1, items: { type: 'string' } },
+            stringList: { type: 'array', minItems: 1, items: { type: 'string' } },
+            strategy: {
+                type: 'object',
+                required: ['id', 'name', 'priority', 'detect', 'steps'],
+                additionalProperties: false,
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    priority: { type: 'number' },
+                    hideMenus: { type: 'boolean' },
+                    detect: { $ref: '#/definitions/condition' },
+                    steps: { type: 'array', items: { $ref: '#/definitions/step' } },
+                    success: { $ref: '#/definitions/condition' },
+                    failure: { type: 'string' }
+                }
+            },
+            step: {
+                // Exactly one of click, choose or wait (checked after the schema)
+                type: 'object',
+                required: ['name'],
+                additionalProperties: false,
+                properties: {
+                    name: { type: 'string' },
+                    click: { $ref: '#/definitions/target' },
+                    choose: { $ref: '#/definitions/target' },
+                    wait: { $ref: '#/definitions/condition' },
+                    expect: { $ref: '#/definitions/condition' },
+                    timeout: { type: ['number', 'string'], enum: ['retry', 'dropdown'], minimum: 0 },
+                    optional: { type: 'boolean' },
+                    finish: { type: 'boolean' },
+                    failure: { type: 'string' },
+                    explain: { enum: ['namesProvider', 'opensMenu'] }
+                }
+            },
+            target: {
+                type: 'object',
+                minProperties: 1,
+                additionalProperties: false,
+                properties: {
+                    finder: { enum: ['videoButton', 'conferenceSection', 'providerOption', 'saveButton'] },
+                    selectors: { $ref: '#/definitions/selectorList' },
+                    text: { type: 'string' },           // Key of Calendar's localized strings, e.g. "save"
+                    labels: { $ref: '#/definitions/stringList' }, // Literal text or aria-label fragments
+                    icons: { $ref: '#/definitions/stringList' },
+                    provider: { type: 'boolean' },       // Must name the provider being added
+                    scope: { enum: ['dialog', 'page'] }, // Where to look; menus live on the page
+                    visible: { type: 'boolean' }
+                }
+            },
+            condition: {
+                type: 'object',
+                minProperties: 1,
+                maxProperties: 1,
+                additionalProperties: false,
+                properties: {
+                    attached: { enum: ['any', 'provider'] },
+                    exists: { $ref: '#/definitions/target' },
+                    gone: { $ref: '#/definitions/target' },
+                    changed: { $ref: '#/definitions/target' },
+                    menuOpen: { $ref: '#/definitions/target' },
+                    providerNamed: { $ref: '#/definitions/target' },
+                    all: { type: 'array', minItems: 1, items: { $ref: '#/definitions/condition' } },
+                    any: { type: 'array', minItems: 1, items: { $ref: '#/definitions/condition' } },
+                    not: { $ref: '#/definitions/condition' }
+                }
+            }
+        }
+    };
+
+    function typeOf(value) {
+        if (Array.isArray(value)) return 'array';
+        if (value === null) return 'null';
+        return typeof value;
+    }
+
+    function resolveRef(ref) {
+        return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], PACK_SCHEMA);
+    }
+
+    /**
+     * Checks a value against a PACK_SCHEMA node
+     * @param {Object} schema - Schema node
+     * @param {*} value - Value to check
+     * @param {string} path - Where the value sits, for error messages
+     * @param {string[]} errors - Collects "path: problem" messages
+     */
+    function checkSchema(schema, value, path, errors) {
+        if (schema.$ref) {
+            checkSchema(resolveRef(schema.$ref), value, path, errors);
+            return;
+        }
+
+        const type = typeOf(value);
+        const types = [].concat(schema.type || []);
+        // For a string/number union, enum lists the allowed strings only
+        const enumApplies = schema.enum && (types.length === 0 || type === 'string');
+
+        if (types.length > 0 && !types.includes(type)) {
+            errors.push(`${path}: expected ${types.join(' or ')}, got ${type}`);
+            return;
+        }
+        if (enumApplies && !schema.enum.includes(value)) {
+            errors.push(`${path}: must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+            return;
+        }
+        if (type === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: must be at least ${schema.minimum}`);
+        }
+
+        if (type === 'array') {
+            if (schema.minItems && value.length < schema.minItems) {
+                errors.push(`${path}: needs at least ${schema.minItems} item(s)`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => checkSchema(schema.items, item, `${path}[${index}]`, errors));
+            }
+        }
+
+        if (type === 'object') {
+            const keys = Object.keys(value);
+            (schema.required || [])
+                .filter(key => !(key in value))
+                .forEach(key => errors.push(`${path}: missing "${key}"`));
+            if (schema.minProperties && keys.length < schema.minProperties) {
+                errors.push(`${path}: needs at least ${schema.minProperties} key(s)`);
+            }
+            if (schema.maxProperties && keys.length > schema.maxProperties) {
+                errors.push(`${path}: takes exactly one of ${Object.keys(schema.properties).join(', ')}`);
+            }
+            for (const key of keys) {
+                if (schema.properties && schema.properties[key]) {
+                    checkSchema(schema.properties[key], value[key], `${path}.${key}`, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${path}: unknown key "${key}"`);
+                }
+            }
+        }
+    }
+
+    function isValidSelector(selector) {
+        if (typeof document === 'undefined') return true;
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Validates a pack against PACK_SCHEMA, then checks what the schema cannot
+     * express: one action per step, unique ids and parseable selectors
+     * @param {*} pack - Parsed JSON
+     * @returns {Object} { valid, errors }
+     */
+    function validatePack(pack) {
+        const errors = [];
+        checkSchema(PACK_SCHEMA, pack, 'pack', errors);
+        if (errors.length > 0) {
+            return { valid: false, errors };
+        }
+
+        const ids = new Set();
+        pack.strategies.forEach((strategy, index) => {
+            const path = `pack.strategies[${index}]`;
+            if (ids.has(strategy.id)) errors.push(`${path}.id: "${strategy.id}" is used twice`);
+            ids.add(strategy.id);
+
+            strategy.steps.forEach((step, stepIndex) => {
+                const actions = ['click', 'choose', 'wait'].filter(action => action in step);
+                if (actions.length !== 1) {
+                    errors.push(`${path}.steps[${stepIndex}]: needs exactly one of click, choose or wait`);
+                }
+            });
+        });
+
+        // Every string under a "selectors" key, wherever it sits
+        const findSelectors = (node, path) => {
+            if (typeOf(node) === 'array') {
+                node.forEach((item, index) => findSelectors(item, `${path}[${index}]`));
+            } else if (typeOf(node) === 'object') {
+                for (const [key, value] of Object.entries(node)) {
+                    if (key === 'selectors' && Array.isArray(value)) {
+                        value.filter(selector => !isValidSelector(selector))
+                            .forEach(selector => errors.push(`${path}.selectors: invalid selector "${selector}"`));
+                    } else {
+                        findSelectors(value, `${path}.${key}`);
+                    }
+                }
+            }
+        };
+        findSelectors(pack, 'pack');
+        if (pack.selectors) {
+            for (const [name, list] of Object.entries(pack.selectors)) {
+                list.filter(selector => !isValidSelector(selector))
+                    .forEach(selector => errors.push(`pack.selectors.${name}: invalid selector "${selector}"`));
+            }
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Reads the imported pack, falling back to the built-in one
+     * @returns {Promise<Object>} { pack, custom, errors } - errors explain why a
+     *     stored pack was ignored
+     */
+    function loadPack() {
+        return browserApi().storage.local.get(STORAGE_KEY)
+            .then(items => (items ? items[STORAGE_KEY] : undefined), () => undefined)
+            .then((stored) => {
+                if (stored === undefined) {
+                    return { pack: BUILTIN_PACK, custom: false, errors: [] };
+                }
+                const { valid, errors } = validatePack(stored);
+                return valid ? { pack: stored, custom: true, errors: [] } : { pack: BUILTIN_PACK, custom: false, errors };
+            });
+    }
+
+    /**
+     * Stores a pack for every Calendar tab to use
+     * @param {Object} pack - Parsed JSON
+     * @returns {Promise<Object>} The pack, or rejects with the validation errors
+     */
+    function savePack(pack) {
+        const { valid, errors } = validatePack(pack);
+        if (!valid) {
+            const error = new Error(errors[0]);
+            error.errors = errors;
+            return Promise.reject(error);
+        }
+
+        return browserApi().storage.local.set({ [STORAGE_KEY]: pack }).then(() => pack);
+    }
+
+    function resetPack() {
+        return browserApi().storage.local.remove(STORAGE_KEY).then(() => BUILTIN_PACK);
+    }
+
+    /**
+     * Subscribes to pack imports and resets made from the options page
+     * @param {Function} callback - Receives the same result as loadPack()
+     */
+    function onPackChanged(callback) {
+        browserApi().onStorageChanged('local', (changes) => {
+            if (!changes[STORAGE_KEY]) return;
+            loadPack().then(callback);
+        });
+    }
+
+    root.GoogleMeetAutoAddStrategies = Object.freeze({
+        STORAGE_KEY,
+        PACK_FORMAT,
+        BUILTIN_PACK,
+        PACK_SCHEMA,
+        validatePack,
+        loadPack,
+        savePack,
+        resetPack,
+        onPackChanged
+    });
+
+})(globalThis);
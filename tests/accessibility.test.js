@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, attachLinkOnClick, closeOnSave, waitUntil, TEST_SETTINGS } = require('./helpers/load-extension');
+
+test('the button says it saves, and how guests are handled', async () => {
+    const settings = { ...TEST_SETTINGS, saving: { sendInvitations: 'never' } };
+    const { document, close } = await loadExtension('direct-add', { settings });
+    const button = document.getElementById('google-meet-auto-add-btn');
+
+    assert.equal(button.getAttribute('aria-label'), 'Make it a Google Meet and save');
+    assert.equal(button.getAttribute('aria-description'), 'Adds Google Meet to this event and saves it. Guests are not emailed.');
+    close();
+});
+
+test('in dry run the button says it only outlines', async () => {
+    const { document, close } = await loadExtension('direct-add', { settings: { ...TEST_SETTINGS, dryRun: true } });
+    const button = document.getElementById('google-meet-auto-add-btn');
+
+    assert.equal(button.getAttribute('aria-label'), 'Make it a Google Meet (dry run)');
+    assert.match(button.getAttribute('aria-description'), /without changing the event/);
+    close();
+});
+
+test('a failure is announced with its reason', async () => {
+    const { document, chrome, close } = await loadExtension('direct-add');
+    const button = document.getElementById('google-meet-auto-add-btn');
+
+    await chrome.runtime.dispatchMessage({ action: 'add_meet', save: true, trigger: 'popup' });
+    const region = document.getElementById('google-meet-auto-add-live');
+    await waitUntil(() => region.textContent);
+
+    assert.equal(region.getAttribute('role'), 'alert');
+    assert.equal(region.textContent, 'Could not add video conferencing: Clicking the video conferencing button had no effect');
+    assert.equal(button.getAttribute('aria-label'), null, 'the "Error" label is the name while it shows');
+    assert.match(button.getAttribute('aria-description'), /had no effect/);
+    close();
+});
+
+test('Enter ripples from the middle of the button', async () => {
+    const { document, window, close } = await loadExtension('direct-add');
+    const button = document.getElementById('google-meet-auto-add-btn');
+
+    button.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'a', bubbles: true }));
+    assert.equal(button.querySelector('.google-meet-ripple'), null);
+
+    button.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+    assert.ok(button.querySelector('.google-meet-ripple'));
+    close();
+});
+
+test('focus moves to the saved event once the dialog closes', async () => {
+    const { document, chrome, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    attachLinkOnClick(dialog.querySelector('.conference'), dialog);
+    closeOnSave(dialog, () => {
+        document.body.insertAdjacentHTML('beforeend', '<div role="button" tabindex="0" data-eventid="new-event">Weekly sync</div>');
+    });
+
+    const response = await chrome.runtime.dispatchMessage({ action: 'add_meet', save: true, trigger: 'popup' });
+    assert.equal(response.success, true);
+
+    await waitUntil(() => document.activeElement === document.querySelector('[data-eventid="new-event"]'));
+    close();
+});
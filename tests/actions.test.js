@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/load-extension');
+
+function addControl(document, html) {
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = html;
+    document.body.appendChild(wrapper);
+    return wrapper.firstElementChild;
+}
+
+test('performAction only escalates when a method never reached the control', async () => {
+    const { api, document, close } = await loadExtension(null);
+    // A layer over the control swallows mouse events; the keyboard still works
+    const control = addControl(document, '<div role="button" tabindex="0">Open</div>');
+    ['pointerdown', 'mousedown', 'click'].forEach((type) => {
+        control.parentElement.addEventListener(type, event => event.stopPropagation(), true);
+    });
+    control.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') control.setAttribute('aria-expanded', 'true');
+    });
+
+    const result = await api.performAction(control, {
+        name: 'open',
+        expect: () => control.getAttribute('aria-expanded') === 'true',
+        timeout: 150
+    });
+
+    assert.equal(result, true);
+    const attempts = [...api.getDiagnosticBundle().actions].map(action => [action.method, action.outcome]);
+    assert.deepEqual(attempts, [['click', 'not delivered'], ['pointer events', 'not delivered'], ['keyboard', 'succeeded']]);
+    close();
+});
+
+test('performAction gives a slow control the whole timeout instead of clicking again', async () => {
+    const { api, document, window, close } = await loadExtension(null);
+    const control = addControl(document, '<button type="button" aria-expanded="false">Open</button>');
+    let clicks = 0;
+    control.addEventListener('click', () => {
+        clicks++;
+        // A second click would close it again
+        window.setTimeout(() => control.setAttribute('aria-expanded', String(clicks % 2 === 1)), 150);
+    });
+
+    const result = await api.performAction(control, {
+        name: 'open',
+        expect: () => control.getAttribute('aria-expanded') === 'true',
+        timeout: 300
+    });
+
+    assert.equal(result, true);
+    assert.equal(clicks, 1);
+    assert.deepEqual([...api.getDiagnosticBundle().actions].map(action => action.outcome), ['succeeded']);
+    close();
+});
+
+test('performAction does not retry a click that reached the control without effect', async () => {
+    const { api, document, close } = await loadExtension(null);
+    const control = addControl(document, '<button type="button">Open</button>');
+    let clicks = 0;
+    control.addEventListener('click', () => clicks++);
+
+    const result = await api.performAction(control, { name: 'open', expect: () => false, timeout: 50 });
+
+    assert.equal(result, null);
+    assert.equal(clicks, 1);
+    assert.deepEqual([...api.getDiagnosticBundle().actions].map(action => [action.method, action.outcome]), [['click', 'no effect']]);
+    close();
+});
+
+test('performAction acts on the one control an inner element belongs to', async () => {
+    const { api, document, close } = await loadExtension(null);
+    const control = addControl(document, '<button type="button"><i>videocam</i><span>Add</span><span>conferencing</span></button>');
+    let clicked = null;
+    control.addEventListener('click', (event) => { clicked = event.currentTarget; });
+
+    await api.performAction(control.querySelector('span'), { name: 'add', expect: () => clicked });
+    assert.equal(clicked, control);
+    close();
+});
+
+test('destructive controls are refused in the page language', async () => {
+    const { api, document, close } = await loadExtension(null);
+    document.documentElement.setAttribute('lang', 'de');
+    const control = addControl(document, '<button type="button">Termin löschen</button>');
+    let clicked = false;
+    control.addEventListener('click', () => { clicked = true; });
+
+    await assert.rejects(api.performAction(control, { name: 'test' }), /looks destructive/);
+    assert.equal(clicked, false);
+    assert.equal(api.getDiagnosticBundle().actions.pop().outcome, 'refused');
+    close();
+});
+
+test('destructive controls are refused by neutral signals in unknown languages', async () => {
+    const { api, document, close } = await loadExtension(null);
+    document.documentElement.setAttribute('lang', 'it');
+    const control = addControl(document, '<button type="button" aria-label="Elimina"><i class="google-material-icons">delete</i></button>');
+
+    await assert.rejects(api.performAction(control, { name: 'test' }), /looks destructive/);
+    await api.performAction(control, { name: 'test', allowDestructive: true });
+    assert.equal(api.getDiagnosticBundle().actions.pop().outcome, 'clicked');
+    close();
+});
@@ -0,0 +1,171 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, attachLinkOnClick, waitUntil } = require('./helpers/load-extension');
+
+function readDialog(window, fixture) {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', `${fixture}.html`), 'utf8');
+    return new window.DOMParser().parseFromString(html, 'text/html').querySelector('[role="dialog"]');
+}
+
+/**
+ * Wires the week-view chips like Calendar: click → details bubble → Edit → editor.
+ * "All hands" is someone else's event, so its bubble has no Edit control.
+ * @param {Object} invitations - When given, Save asks whether to email guests
+ *     and the answer is recorded here per event id
+ * @param {Function} onOpen - Called with the event id once its editor is open
+ */
+function simulateCalendar(window, invitations = null, onOpen = () => {}) {
+    const { document } = window;
+    const editors = {
+        'evt-sync': readDialog(window, 'direct-add'),
+        'evt-review': readDialog(window, 'already-added')
+    };
+    const saved = [];
+
+    document.querySelectorAll('[data-eventid]').forEach((chip) => {
+        chip.addEventListener('click', () => {
+            const id = chip.getAttribute('data-eventid');
+            const bubble = document.createElement('div');
+            bubble.className = 'bubble';
+            if (editors[id]) {
+                bubble.innerHTML = '<button type="button" aria-label="Edit event"></button>';
+                bubble.querySelector('button').addEventListener('click', () => {
+                    bubble.remove();
+                    const editor = document.importNode(editors[id], true);
+                    const conference = editor.querySelector('.conference');
+                    if (conference) attachLinkOnClick(conference, editor);
+                    editor.querySelector('[data-action-id="save"]').addEventListener('click', () => {
+                        if (invitations) {
+                            askAboutInvitations(document, (choice) => {
+                                invitations[id] = choice;
+                                saved.push(id);
+                                editor.remove();
+                            });
+                            return;
+                        }
+                        saved.push(id);
+                        editor.remove();
+                    });
+                    document.body.appendChild(editor);
+                    onOpen(id);
+                });
+            }
+            document.body.appendChild(bubble);
+        });
+    });
+
+    document.addEventListener('keydown', (event) => {
+        if (event.key !== 'Escape') return;
+        document.querySelectorAll('.bubble, [role="dialog"]').forEach(element => element.remove());
+    });
+
+    return saved;
+}
+
+function askAboutInvitations(document, onAnswer) {
+    const prompt = document.createElement('div');
+    prompt.setAttribute('role', 'dialog');
+    prompt.innerHTML = `
+        <p>Would you like to send invitation emails to Google Calendar guests?</p>
+        <button type="button">Back to editing</button>
+        <button type="button" data-choice="dontSend">Don't send</button>
+        <button type="button" data-choice="send">Send</button>`;
+    prompt.querySelectorAll('[data-choice]').forEach((button) => {
+        button.addEventListener('click', () => {
+            prompt.remove();
+            onAnswer(button.getAttribute('data-choice'));
+        });
+    });
+    document.body.appendChild(prompt);
+}
+
+async function waitForBulkRun(api) {
+    await waitUntil(() => api.getBulkStatus().finished, 5000);
+    return api.getBulkStatus();
+}
+
+test('listBulkCandidates lists each visible event once', async () => {
+    const { api, close } = await loadExtension('week-view');
+    const events = [...api.listBulkCandidates()].map(event => event.id);
+    assert.deepEqual(events, ['evt-sync', 'evt-allhands', 'evt-review']);
+    close();
+});
+
+test('a bulk run adds, skips and reports each event', async () => {
+    const { window, api, chrome, close } = await loadExtension('week-view');
+    const saved = simulateCalendar(window);
+
+    const start = await chrome.runtime.dispatchMessage({ action: 'bulk_start', ids: ['evt-sync', 'evt-allhands', 'evt-review'] });
+    assert.equal(start.started, true);
+
+    const status = await waitForBulkRun(api);
+
+    assert.equal(status.finished, true);
+    assert.deepEqual([...status.results].map(result => [result.id, result.status]), [
+        ['evt-sync', 'added'],
+        ['evt-allhands', 'skipped'],
+        ['evt-review', 'skipped']
+    ]);
+    assert.equal(status.results[1].reason, 'You cannot edit this event');
+    assert.equal(status.results[2].reason, 'Already has conferencing');
+    assert.deepEqual(saved, ['evt-sync']);
+    assert.equal(window.document.querySelector('.bubble, [role="dialog"]'), null);
+    close();
+});
+
+test('cancel stops the event that is open, before it is saved', async () => {
+    const { window, api, chrome, close } = await loadExtension('week-view');
+    const saved = simulateCalendar(window, null, () => chrome.runtime.dispatchMessage({ action: 'bulk_cancel' }));
+
+    await chrome.runtime.dispatchMessage({ action: 'bulk_start', ids: ['evt-sync', 'evt-review'] });
+    const status = await waitForBulkRun(api);
+
+    assert.equal(status.cancelled, true);
+    assert.equal(status.processed, 0);
+    assert.deepEqual(saved, []);
+    assert.equal(window.document.querySelector('.bubble, [role="dialog"]'), null, 'the editor was closed');
+    close();
+});
+
+test('pause stops the event that is open and starts it over on resume', async () => {
+    const { window, api, chrome, close } = await loadExtension('week-view');
+    let opened = 0;
+    const saved = simulateCalendar(window, null, () => {
+        if (++opened === 1) chrome.runtime.dispatchMessage({ action: 'bulk_pause' });
+    });
+
+    await chrome.runtime.dispatchMessage({ action: 'bulk_start', ids: ['evt-sync'] });
+    await waitUntil(() => !window.document.querySelector('.bubble, [role="dialog"]'));
+
+    let status = api.getBulkStatus();
+    assert.equal(status.paused, true);
+    assert.equal(status.processed, 0);
+    assert.deepEqual(saved, []);
+
+    await chrome.runtime.dispatchMessage({ action: 'bulk_resume' });
+    status = await waitForBulkRun(api);
+    assert.deepEqual([...status.results].map(result => [result.id, result.status]), [['evt-sync', 'added']]);
+    assert.deepEqual(saved, ['evt-sync']);
+    assert.equal(opened, 2);
+    close();
+});
+
+test('with invitations left to the user, a bulk run does not email guests and says so', async () => {
+    const { window, api, chrome, close } = await loadExtension('week-view', { settings: { saving: { sendInvitations: 'ask' } } });
+    const invitations = {};
+    const saved = simulateCalendar(window, invitations);
+
+    const started = Date.now();
+    await chrome.runtime.dispatchMessage({ action: 'bulk_start', ids: ['evt-sync'] });
+    const status = await waitForBulkRun(api);
+
+    assert.equal(status.finished, true, 'waited for an answer nobody can give');
+    assert.ok(Date.now() - started < 3000);
+    assert.deepEqual(saved, ['evt-sync']);
+    assert.deepEqual({ ...invitations }, { 'evt-sync': 'dontSend' });
+    assert.equal(status.results[0].status, 'added');
+    assert.equal(status.results[0].reason, 'Guests were not emailed - there is no one to ask during a bulk run');
+    close();
+});
@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, attachLinkOnClick, closeOnSave, waitUntil, nextScan } = require('./helpers/load-extension');
+
+test('the button is injected right after Save on load', async () => {
+    const { document, close } = await loadExtension('direct-add');
+    const button = document.getElementById('google-meet-auto-add-btn');
+    assert.ok(button);
+    assert.equal(button.previousElementSibling, document.querySelector('[data-action-id="save"]'));
+    close();
+});
+
+test('addMeetButton skips dialogs without a Save button', async () => {
+    const { api, document, close } = await loadExtension('missing-save');
+    assert.equal(document.getElementById('google-meet-auto-add-btn'), null);
+    assert.equal(api.addMeetButton(document.querySelector('[role="dialog"]')), false);
+    close();
+});
+
+test('addMeetButton never adds a second button', async () => {
+    const { api, document, close } = await loadExtension('direct-add');
+    assert.equal(api.addMeetButton(document.querySelector('[role="dialog"]')), false);
+    assert.equal(document.querySelectorAll('#google-meet-auto-add-btn').length, 1);
+    close();
+});
+
+test('performForceCheck reports each dialog state', async () => {
+    const added = await loadExtension('already-added');
+    assert.equal(added.api.performForceCheck().reason, 'Video conferencing already active');
+    added.close();
+
+    const missing = await loadExtension('missing-save');
+    assert.equal(missing.api.performForceCheck().dialogFound, false);
+    missing.close();
+
+    const direct = await loadExtension('direct-add');
+    const result = direct.api.performForceCheck();
+    assert.equal(result.buttonAdded, true);
+    assert.equal(direct.document.querySelectorAll('#google-meet-auto-add-btn').length, 1);
+    direct.close();
+});
+
+test('clicking the button attaches Meet and saves the event', async () => {
+    const { document, window, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    attachLinkOnClick(dialog.querySelector('.conference'), dialog);
+
+    let saved = false;
+    closeOnSave(dialog, () => {
+        saved = true;
+    });
+
+    const button = document.getElementById('google-meet-auto-add-btn');
+    button.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    await waitUntil(() => button.textContent !== 'Working...');
+
+    assert.equal(saved, true);
+    assert.equal(button.textContent, '✓ Done!');
+    close();
+});
+
+test('a dialog closed without the Close button gets a fresh button when reopened', async () => {
+    const { api, document, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    assert.equal(api.getStatus().state, 'button-injected');
+
+    // Escape closes the dialog without any click to listen for
+    const copy = dialog.cloneNode(true);
+    copy.querySelector('#google-meet-auto-add-btn').remove();
+    dialog.remove();
+    await waitUntil(() => api.getDiagnosticBundle().lifecycle.dialogs === 0);
+
+    document.body.appendChild(copy);
+    await waitUntil(() => copy.querySelector('#google-meet-auto-add-btn'));
+
+    assert.equal(copy.querySelectorAll('#google-meet-auto-add-btn').length, 1);
+    assert.equal(api.getStatus().state, 'button-injected');
+    close();
+});
+
+test('a running flow is not given a second button while the save completes', async () => {
+    const { api, document, window, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    attachLinkOnClick(dialog.querySelector('.conference'), dialog);
+    closeOnSave(dialog, () => {}, 80);
+
+    const button = document.getElementById('google-meet-auto-add-btn');
+    button.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    await waitUntil(() => api.getStatus().state === 'running');
+
+    // Calendar re-renders the footer before the dialog goes away
+    button.remove();
+    await nextScan(window);
+    assert.equal(dialog.querySelector('#google-meet-auto-add-btn, #google-meet-auto-add-remove-btn'), null);
+
+    await waitUntil(() => !dialog.isConnected);
+    close();
+});
+
+test('each of two stacked dialogs gets its own button', async () => {
+    const { api, document, window, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+
+    const stacked = dialog.cloneNode(true);
+    stacked.querySelector('#google-meet-auto-add-btn').remove();
+    document.body.appendChild(stacked);
+    await waitUntil(() => stacked.querySelector('#google-meet-auto-add-btn'));
+    await nextScan(window);
+
+    assert.equal(dialog.querySelectorAll('#google-meet-auto-add-btn').length, 1);
+    assert.equal(stacked.querySelectorAll('#google-meet-auto-add-btn').length, 1);
+    assert.equal(api.findEventContainer(document.body), stacked, 'the shortcut works on the one on top');
+    close();
+});
+
+test('the full dialog gets a button when the quick-add bubble behind it is hidden', async () => {
+    const { document, close } = await loadExtension('direct-add');
+    const bubble = document.querySelector('[role="dialog"]');
+
+    // "More options": Calendar hides the bubble and opens the full editor
+    const full = bubble.cloneNode(true);
+    full.querySelector('#google-meet-auto-add-btn').remove();
+    bubble.style.display = 'none';
+    document.body.appendChild(full);
+
+    await waitUntil(() => full.querySelector('#google-meet-auto-add-btn'));
+    assert.equal(full.querySelectorAll('#google-meet-auto-add-btn').length, 1);
+    close();
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/load-extension');
+
+test('isVideoConferencingAlreadyAdded recognizes a real Meet link', async () => {
+    const { api, document, close } = await loadExtension('already-added');
+    assert.equal(api.isVideoConferencingAlreadyAdded(document.querySelector('[role="dialog"]')), true);
+    close();
+});
+
+test('isVideoConferencingAlreadyAdded ignores the abc-defg-hij placeholder', async () => {
+    const { api, document, close } = await loadExtension('placeholder-link');
+    assert.equal(api.isVideoConferencingAlreadyAdded(document.querySelector('[role="dialog"]')), false);
+    close();
+});
+
+test('isVideoConferencingAlreadyAdded is false before anything is attached', async () => {
+    const { api, document, close } = await loadExtension('direct-add');
+    assert.equal(api.isVideoConferencingAlreadyAdded(document.querySelector('[role="dialog"]')), false);
+    close();
+});
+
+test('findVideoConferencingButton finds the direct-add and the generic button', async () => {
+    for (const fixture of ['direct-add', 'dropdown', 'placeholder-link']) {
+        const { api, document, close } = await loadExtension(fixture);
+        const button = api.findVideoConferencingButton(document.querySelector('[role="dialog"]'));
+        assert.ok(button, `${fixture}: video conferencing button not found`);
+        assert.ok(button.classList.contains('conference'), `${fixture}: wrong element matched`);
+        close();
+    }
+});
+
+test('findVideoConferencingButton returns null when Meet is already attached', async () => {
+    const { api, document, close } = await loadExtension('already-added');
+    assert.equal(api.findVideoConferencingButton(document.querySelector('[role="dialog"]')), null);
+    close();
+});
+
+test('findVisibleSaveButton finds Save, and nothing when the dialog has none', async () => {
+    const withSave = await loadExtension('direct-add');
+    const save = withSave.api.findVisibleSaveButton(withSave.document.querySelector('[role="dialog"]'));
+    assert.equal(save, withSave.document.querySelector('[data-action-id="save"]'));
+    withSave.close();
+
+    const withoutSave = await loadExtension('missing-save');
+    assert.equal(withoutSave.api.findVisibleSaveButton(withoutSave.document.querySelector('[role="dialog"]')), null);
+    withoutSave.close();
+});
+
+test('findGoogleMeetOption only matches a visible menu entry', async () => {
+    const { api, document, close } = await loadExtension('dropdown');
+    assert.equal(await api.findGoogleMeetOption(), null);
+
+    document.querySelector('[role="menu"]').hidden = false;
+    const option = await api.findGoogleMeetOption();
+    assert.equal(option.dataset.provider, 'meet');
+    close();
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, waitUntil, TEST_SETTINGS } = require('./helpers/load-extension');
+
+async function failDirectAdd(options) {
+    const env = await loadExtension('direct-add', options);
+    const dialog = env.document.querySelector('[role="dialog"]');
+
+    // A guest chip whose label carries personal data
+    const chip = env.document.createElement('button');
+    chip.setAttribute('aria-label', 'Remove alex@example.com');
+    dialog.querySelector('.guests').appendChild(chip);
+
+    const response = await env.chrome.runtime.dispatchMessage({ action: 'add_meet', save: true });
+    return { ...env, dialog, response };
+}
+
+test('a failed add records a snapshot with per-step timings', async () => {
+    const { api, response, close } = await failDirectAdd();
+    assert.equal(response.success, false);
+
+    const [failure] = api.getDiagnosticBundle().failures;
+    assert.equal(failure.strategy, 'Direct Add (Provider Button)');
+    assert.deepEqual([...failure.steps].map(step => step.step), ['select strategy', 'click video button']);
+    assert.equal(failure.steps[1].ok, true);
+    assert.ok(failure.steps.every(step => typeof step.ms === 'number'));
+
+    // The click reached the button, so no other method was tried on top of it
+    assert.deepEqual([...failure.actions].map(action => [action.method, action.outcome]), [
+        ['click', 'no effect']
+    ]);
+    assert.match(failure.actions[0].target, /^button "Add Google Meet video conferencing"/);
+
+    const save = failure.snapshot.controls.find(control => control.actionId === 'save');
+    assert.ok(save.matchedSelectors.includes('save: [data-action-id="save"]'));
+    assert.match(failure.snapshot.found.videoConferencingButton, /Add Google Meet video conferencing/);
+    close();
+});
+
+test('the snapshot redacts emails', async () => {
+    const { api, close } = await failDirectAdd();
+    const json = JSON.stringify(api.getDiagnosticBundle());
+    assert.doesNotMatch(json, /alex@example\.com/);
+    assert.match(json, /Remove \[email\]/);
+    close();
+});
+
+test('the log buffer honours the configured level', async () => {
+    const quiet = await failDirectAdd({ settings: { ...TEST_SETTINGS, logLevel: 'error' } });
+    const levels = new Set(quiet.api.getDiagnosticBundle().log.map(entry => entry.level));
+    assert.deepEqual([...levels], ['error']);
+    quiet.close();
+
+    const verbose = await failDirectAdd({ settings: { ...TEST_SETTINGS, logLevel: 'debug' } });
+    const messages = verbose.api.getDiagnosticBundle().log.map(entry => entry.message);
+    assert.ok(messages.some(message => message.startsWith('Step "click video button"')));
+    verbose.close();
+});
+
+test('the popup can fetch the bundle over messaging', async () => {
+    const { chrome, close } = await failDirectAdd();
+    const bundle = await chrome.runtime.dispatchMessage({ action: 'get_diagnostics' });
+    assert.equal(bundle.failures.length, 1);
+    assert.equal(bundle.settings.logLevel, 'info');
+    assert.equal(bundle.status.dialogFound, true);
+    close();
+});
+
+test('closing a dialog tears down its observers', async () => {
+    const { api, document, close } = await loadExtension('direct-add');
+    const before = api.getDiagnosticBundle().lifecycle;
+    assert.equal(before.dialogs, 1);
+    assert.ok(before.observers > 1, 'the Save button restyling observer should be live');
+
+    document.querySelector('[role="dialog"]').remove();
+    await waitUntil(() => api.getDiagnosticBundle().lifecycle.dialogs === 0);
+
+    assert.deepEqual({ ...api.getDiagnosticBundle().lifecycle }, { dialogs: 0, observers: 1, listeners: 0 });
+    close();
+});
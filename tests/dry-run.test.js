@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, waitUntil, TEST_SETTINGS } = require('./helpers/load-extension');
+
+const DRY_RUN_SETTINGS = { ...TEST_SETTINGS, dryRun: true };
+
+function countClicks(element) {
+    const counter = { clicks: 0 };
+    element.addEventListener('click', () => counter.clicks++);
+    return counter;
+}
+
+test('dry run outlines the video button and Save without clicking them', async () => {
+    const { document, chrome, close } = await loadExtension('direct-add', { settings: DRY_RUN_SETTINGS });
+    const dialog = document.querySelector('[role="dialog"]');
+    const video = countClicks(dialog.querySelector('.conference'));
+    const save = countClicks(dialog.querySelector('[data-action-id="save"]'));
+
+    const response = await chrome.runtime.dispatchMessage({ action: 'add_meet', save: true, trigger: 'popup' });
+
+    assert.equal(response.success, true);
+    assert.equal(response.dryRun, true);
+    assert.equal(response.strategy, 'Direct Add (Provider Button)');
+    assert.deepEqual([...response.steps].map(step => step.name), ['Video conferencing button', 'Save']);
+    assert.ok(response.steps[0].reasons.some(reason => reason.includes('add google meet video conferencing')));
+    assert.ok(response.steps[1].reasons.includes('Matches save: [data-action-id="save"]'));
+
+    assert.equal(video.clicks, 0);
+    assert.equal(save.clicks, 0);
+    assert.equal(document.querySelectorAll('.google-meet-auto-add-explain-box').length, 2);
+    assert.equal(chrome.storage.local.items.history, undefined);
+    close();
+});
+
+test('dry run only outlines the menu option once the menu is open', async () => {
+    const { api, document, close } = await loadExtension('dropdown', { settings: DRY_RUN_SETTINGS });
+    const dialog = document.querySelector('[role="dialog"]');
+    const provider = api.PROVIDERS.GOOGLE_MEET;
+
+    const closed = api.explainConferencing(dialog, provider);
+    assert.equal(closed.steps[1].target, null);
+    assert.equal(document.querySelectorAll('.google-meet-auto-add-explain-box').length, 2);
+
+    document.querySelector('[role="menu"]').hidden = false;
+    const open = api.explainConferencing(dialog, provider);
+    assert.equal(open.steps[1].target, 'li[role=menuitem]');
+    // A second run replaces the first one's overlay
+    assert.equal(document.querySelectorAll('.google-meet-auto-add-explain-box').length, 3);
+    close();
+});
+
+test('the overlay goes away with its dialog', async () => {
+    const { api, document, close } = await loadExtension('direct-add', { settings: DRY_RUN_SETTINGS });
+    const dialog = document.querySelector('[role="dialog"]');
+
+    api.explainConferencing(dialog, api.PROVIDERS.GOOGLE_MEET);
+    assert.ok(document.getElementById('google-meet-auto-add-explain'));
+
+    dialog.remove();
+    await waitUntil(() => !document.getElementById('google-meet-auto-add-explain'));
+    close();
+});
+
+test('bulk add refuses to start in dry run', async () => {
+    const { chrome, close } = await loadExtension('week-view', { settings: DRY_RUN_SETTINGS });
+    const response = await chrome.runtime.dispatchMessage({ action: 'bulk_start', ids: ['event-1'] });
+    assert.equal(response.started, false);
+    close();
+});
@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, waitUntil, nextScan } = require('./helpers/load-extension');
+
+const BUTTON_ID = 'google-meet-auto-add-btn';
+
+function addTabs(dialog, selected) {
+    const tabs = ['Event', 'Task', 'Out of office', 'Appointment schedule']
+        .map(label => `<button type="button" role="tab" aria-selected="${label === selected}">${label}</button>`)
+        .join('');
+    dialog.insertAdjacentHTML('afterbegin', `<div role="tablist">${tabs}</div>`);
+}
+
+function selectTab(dialog, label) {
+    for (const tab of dialog.querySelectorAll('[role="tab"]')) {
+        tab.setAttribute('aria-selected', String(tab.textContent === label));
+    }
+}
+
+function isUnavailable(document) {
+    return document.getElementById(BUTTON_ID).getAttribute('aria-disabled') === 'true';
+}
+
+test('the button is unavailable on the Task tab and comes back on Event', async () => {
+    const { window, document, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    addTabs(dialog, 'Event');
+    await nextScan(window);
+
+    const button = document.getElementById(BUTTON_ID);
+    assert.equal(button.getAttribute('aria-disabled'), null);
+
+    selectTab(dialog, 'Task');
+    await waitUntil(() => isUnavailable(document));
+    assert.equal(button.getAttribute('aria-disabled'), 'true');
+    assert.ok(button.classList.contains('google-meet-auto-add-unavailable'));
+    assert.equal(button.title, 'Tasks cannot have video conferencing');
+    assert.equal(button.getAttribute('aria-description'), 'Tasks cannot have video conferencing');
+    assert.equal(button.disabled, false, 'stays focusable so the reason can be read');
+
+    selectTab(dialog, 'Event');
+    await waitUntil(() => !isUnavailable(document));
+    assert.equal(button.title, '');
+    assert.match(button.getAttribute('aria-description'), /^Adds Google Meet to this event and saves it\./);
+    close();
+});
+
+test('a click on an unavailable button explains instead of adding', async () => {
+    const { document, chrome, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    addTabs(dialog, 'Out of office');
+    await waitUntil(() => isUnavailable(document));
+
+    document.getElementById(BUTTON_ID).click();
+    await waitUntil(() => document.getElementById('google-meet-auto-add-toast'));
+
+    assert.equal(document.getElementById('google-meet-auto-add-toast').textContent,
+        'Out of office entries cannot have video conferencing');
+    assert.equal(chrome.storage.local.items.history, undefined, 'nothing was attempted');
+    close();
+});
+
+test('the popup is told why and its request is refused', async () => {
+    const { document, chrome, close } = await loadExtension('direct-add');
+    addTabs(document.querySelector('[role="dialog"]'), 'Appointment schedule');
+    await waitUntil(() => isUnavailable(document));
+
+    const status = await chrome.runtime.dispatchMessage({ action: 'get_status' });
+    assert.equal(status.eventType, 'appointmentSchedule');
+    assert.match(status.unavailable, /booking settings/);
+
+    const response = await chrome.runtime.dispatchMessage({ action: 'add_meet', save: true, trigger: 'popup' });
+    assert.equal(response.success, false);
+    assert.equal(response.error, status.unavailable);
+    assert.equal(document.getElementById('google-meet-auto-add-toast'), null, 'the popup shows the error itself');
+    close();
+});
+
+test('tabs are read in the page language, and unknown tabs count as events', async () => {
+    const { api, document, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    document.documentElement.setAttribute('lang', 'de');
+    dialog.insertAdjacentHTML('afterbegin',
+        '<div role="tablist"><button role="tab" aria-selected="false">Termin</button><button role="tab" aria-selected="true">Abwesend</button></div>');
+
+    assert.equal(api.detectEventType(dialog), api.EVENT_TYPES.OUT_OF_OFFICE);
+
+    selectTab(dialog, 'Termin');
+    assert.equal(api.detectEventType(dialog), api.EVENT_TYPES.EVENT);
+
+    dialog.querySelector('[role="tab"]').textContent = 'Something new';
+    assert.equal(api.detectEventType(dialog), api.EVENT_TYPES.EVENT);
+    close();
+});
+
+test('tab switches still count after Calendar reattaches the same dialog', async () => {
+    const { api, window, document, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    addTabs(dialog, 'Event');
+    await nextScan(window);
+
+    // Detached long enough for its scope to be torn down, then put back
+    const parent = dialog.parentElement;
+    dialog.remove();
+    await waitUntil(() => api.getDiagnosticBundle().lifecycle.dialogs === 0);
+    parent.appendChild(dialog);
+    await waitUntil(() => api.getDiagnosticBundle().lifecycle.dialogs === 1);
+
+    selectTab(dialog, 'Task');
+    await waitUntil(() => isUnavailable(document));
+    close();
+});
+
+test('other tabs in the dialog do not decide the entry type', async () => {
+    const { window, api, document, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    addTabs(dialog, 'Task');
+    dialog.insertAdjacentHTML('beforeend',
+        '<div role="tablist"><button role="tab" aria-selected="true">Event details</button><button role="tab" aria-selected="false">Find a time</button></div>');
+    await nextScan(window);
+
+    assert.equal(api.detectEventType(dialog), api.EVENT_TYPES.TASK);
+    assert.ok(isUnavailable(document));
+    close();
+});
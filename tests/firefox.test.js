@@ -0,0 +1,61 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, attachLinkOnClick, closeOnSave, waitUntil, TEST_SETTINGS } = require('./helpers/load-extension');
+const { buildManifest, listFiles, referencedFiles, EXTENSION_FILES, createZip } = require('../scripts/package');
+
+test('the content script runs on Firefox\'s promise-based namespace', async () => {
+    const settings = { ...TEST_SETTINGS, buttonText: 'Add Meet' };
+    const { document, chrome, close } = await loadExtension('direct-add', { settings, namespace: 'browser' });
+    const dialog = document.querySelector('[role="dialog"]');
+    attachLinkOnClick(dialog.querySelector('.conference'), dialog);
+    closeOnSave(dialog);
+
+    // Settings came through browser.storage.sync
+    assert.equal(document.getElementById('google-meet-auto-add-btn').textContent, 'Add Meet');
+
+    const response = await chrome.runtime.dispatchMessage({ action: 'add_meet', save: true, trigger: 'popup' });
+    assert.equal(response.success, true);
+    // The run was recorded through browser.storage.local
+    await waitUntil(() => chrome.storage.local.items.history);
+    assert.equal(chrome.storage.local.items.history.length, 1);
+
+    // Unknown messages are left to other listeners instead of holding the channel open
+    assert.equal(await Promise.race([
+        chrome.runtime.dispatchMessage({ action: 'unknown' }),
+        new Promise(resolve => setTimeout(() => resolve('no response'), 50))
+    ]), 'no response');
+    close();
+});
+
+test('the Firefox manifest swaps the service worker for background scripts', () => {
+    const chrome = buildManifest('chrome');
+    const firefox = buildManifest('firefox');
+
+    assert.deepEqual(chrome, JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8')));
+    assert.deepEqual(firefox.background, { scripts: ['browser-api.js', 'background.js'] });
+    assert.match(firefox.browser_specific_settings.gecko.id, /@/);
+    assert.deepEqual(firefox.content_scripts, chrome.content_scripts);
+});
+
+test('both packages contain every file their manifest references', () => {
+    const files = listFiles(EXTENSION_FILES);
+    for (const target of ['chrome', 'firefox']) {
+        assert.deepEqual(referencedFiles(buildManifest(target)).filter(file => !files.includes(file)), [], target);
+    }
+    assert.ok(!files.some(file => file.startsWith('tests/')));
+});
+
+test('createZip writes archives that inflate back to the input', () => {
+    const data = Buffer.from('{"name": "__MSG_extensionName__"}\n');
+    const archive = createZip([{ name: 'manifest.json', data }]);
+
+    assert.equal(archive.readUInt32LE(0), 0x04034b50);
+    const nameLength = archive.readUInt16LE(26);
+    const compressedSize = archive.readUInt32LE(18);
+    const body = archive.subarray(30 + nameLength, 30 + nameLength + compressedSize);
+    assert.deepEqual(zlib.inflateRawSync(body), data);
+    assert.equal(archive.toString('utf8', 30, 30 + nameLength), 'manifest.json');
+});
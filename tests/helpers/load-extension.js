@@ -0,0 +1,257 @@
+/**
+ * Test helper: loads the content script into a jsdom window built from a fixture.
+ *
+ * jsdom has no layout engine, so the helper shims the few layout APIs the
+ * content script relies on (offsetParent for visibility, elementFromPoint for
+ * the "is it covered?" check) and stubs the chrome.* APIs it calls on load.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const CALENDAR_URL = 'https://calendar.google.com/calendar/u/0/r/week';
+
+// Same order as manifest.json content_scripts
+const CONTENT_SCRIPTS = ['browser-api.js', 'settings.js', 'history.js', 'strategies.js', 'content.js'].map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+// Short timeouts keep the failure paths fast
+const TEST_SETTINGS = {
+    timing: {
+        dropdownTimeout: 200,
+        retryTimeout: 200
+    }
+};
+
+function createChromeStub(storedSettings, storedLocal) {
+    const messageListeners = [];
+    const localItems = JSON.parse(JSON.stringify(storedLocal));
+
+    return {
+        runtime: {
+            lastError: undefined,
+            onMessage: {
+                addListener: (listener) => messageListeners.push(listener)
+            },
+            // Test-only: deliver a message the way chrome.tabs.sendMessage would
+            dispatchMessage: (message) => new Promise((resolve) => {
+                messageListeners.forEach(listener => listener(message, {}, resolve));
+            })
+        },
+        storage: {
+            sync: {
+                get: (key, callback) => callback({ settings: storedSettings }),
+                set: (items, callback) => callback && callback(),
+                remove: (key, callback) => callback && callback()
+            },
+            local: {
+                items: localItems, // Test-only: inspect what was stored
+                get: (key, callback) => callback({ [key]: localItems[key] }),
+                set: (items, callback) => {
+                    Object.assign(localItems, JSON.parse(JSON.stringify(items)));
+                    if (callback) callback();
+                },
+                remove: (key, callback) => {
+                    delete localItems[key];
+                    if (callback) callback();
+                }
+            },
+            onChanged: {
+                addListener: () => {}
+            }
+        },
+        i18n: {
+            getMessage: () => ''
+        }
+    };
+}
+
+/**
+ * Firefox's promise-based `browser` namespace over the same stub. Firefox also
+ * keeps a `chrome` alias; loadExtension trims it to what browser-api.js leaves
+ * on `chrome.*`, so anything that bypasses the shim fails.
+ */
+function createBrowserStub(chrome) {
+    const promised = (area) => ({
+        get: (key) => new Promise(resolve => area.get(key, resolve)),
+        set: (items) => new Promise(resolve => area.set(items, resolve)),
+        remove: (key) => new Promise(resolve => area.remove(key, resolve))
+    });
+
+    return {
+        runtime: {
+            onMessage: chrome.runtime.onMessage
+        },
+        storage: {
+            sync: promised(chrome.storage.sync),
+            local: promised(chrome.storage.local),
+            onChanged: chrome.storage.onChanged
+        },
+        i18n: chrome.i18n
+    };
+}
+
+function isHidden(element) {
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+        if (node.hidden || node.ownerDocument.defaultView.getComputedStyle(node).display === 'none') {
+            return true;
+        }
+    }
+    return false;
+}
+
+function installLayoutShims(window) {
+    Object.defineProperty(window.HTMLElement.prototype, 'offsetParent', {
+        configurable: true,
+        get() {
+            return isHidden(this) ? null : this.parentElement;
+        }
+    });
+    window.document.elementFromPoint = () => null;
+}
+
+/**
+ * jsdom crashes if an animation frame fires after its window was closed, so
+ * frames are tracked, cancelled on close and no longer scheduled afterwards
+ * (closing empties the document, which the body observer still sees)
+ * @returns {Function} Stops animation frames for good
+ */
+function trackAnimationFrames(window) {
+    const pending = new Set();
+    const request = window.requestAnimationFrame.bind(window);
+    let stopped = false;
+
+    window.requestAnimationFrame = (callback) => {
+        if (stopped) return 0;
+        const id = request((time) => {
+            pending.delete(id);
+            callback(time);
+        });
+        pending.add(id);
+        return id;
+    };
+
+    return () => {
+        stopped = true;
+        pending.forEach(id => window.cancelAnimationFrame(id));
+    };
+}
+
+/**
+ * Builds a Calendar-like page from a fixture and runs the content script in it
+ * @param {string|null} fixture - File name in tests/fixtures without ".html"
+ * @param {Object} options - { settings, url, local, namespace } - local seeds
+ *     chrome.storage.local; namespace 'browser' loads it the way Firefox would
+ * @returns {Promise<Object>} { window, document, api, chrome, close } - chrome
+ *     is the full stub either way, for dispatchMessage and storage items
+ */
+async function loadExtension(fixture, { settings = TEST_SETTINGS, url = CALENDAR_URL, local = {}, namespace = 'chrome' } = {}) {
+    const html = fixture
+        ? fs.readFileSync(path.join(FIXTURES, `${fixture}.html`), 'utf8')
+        : '<!DOCTYPE html><html lang="en"><body></body></html>';
+
+    const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true });
+    const { window } = dom;
+
+    const chrome = createChromeStub(settings, local);
+    if (namespace === 'browser') {
+        window.browser = createBrowserStub(chrome);
+        window.chrome = { i18n: chrome.i18n };
+    } else {
+        window.chrome = chrome;
+    }
+    installLayoutShims(window);
+    const stopFrames = trackAnimationFrames(window);
+    CONTENT_SCRIPTS.forEach(source => window.eval(source));
+
+    // Let loadSettings() resolve and the first dialog check run
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    return {
+        window,
+        document: window.document,
+        api: window.GoogleMeetAutoAdd,
+        chrome,
+        close: () => {
+            stopFrames();
+            window.close();
+        }
+    };
+}
+
+/**
+ * Makes a control attach a Meet link when clicked, like Calendar does
+ * @param {HTMLElement} control - Button or menu item to wire up
+ * @param {HTMLElement} dialog - Dialog that receives the link
+ * @param {string} href - Conference link to insert
+ */
+function attachLinkOnClick(control, dialog, href = 'https://meet.google.com/xyz-abcd-efg') {
+    control.addEventListener('click', () => {
+        if (dialog.querySelector(`[href="${href}"]`)) return;
+        const link = dialog.ownerDocument.createElement('a');
+        link.href = href;
+        link.textContent = href;
+        dialog.querySelector('[data-field="conferenceData"]').appendChild(link);
+    });
+}
+
+/**
+ * Makes the dialog's Save button close the dialog, like Calendar does once
+ * the event is saved
+ * @param {HTMLElement} dialog - Dialog to close
+ * @param {Function} onSave - Called when Save is clicked
+ * @param {number} delay - Milliseconds before the dialog goes away
+ */
+function closeOnSave(dialog, onSave = () => {}, delay = 0) {
+    dialog.querySelector('[data-action-id="save"]').addEventListener('click', () => {
+        onSave();
+        dialog.ownerDocument.defaultView.setTimeout(() => dialog.remove(), delay);
+    });
+}
+
+/**
+ * Resolves once a condition holds, for flows whose duration varies from run
+ * to run; a fixed sleep is either slow or flaky
+ * @param {Function} condition - Checked every few milliseconds
+ * @param {number} timeout - Milliseconds before the wait fails
+ * @returns {Promise<void>}
+ */
+function waitUntil(condition, timeout = 2000) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            if (condition()) {
+                resolve();
+            } else if (Date.now() - started > timeout) {
+                reject(new Error(`Condition not met within ${timeout}ms`));
+            } else {
+                setTimeout(check, 5);
+            }
+        };
+        check();
+    });
+}
+
+/**
+ * Resolves after the page's next scan: the content script scans on an
+ * animation frame after each DOM change, so two frames later it has run.
+ * For checks that something did not happen, where there is nothing to wait for
+ * @param {Window} window - Extension window
+ * @returns {Promise<void>}
+ */
+function nextScan(window) {
+    return new Promise(resolve => {
+        window.requestAnimationFrame(() => window.requestAnimationFrame(() => resolve()));
+    });
+}
+
+module.exports = {
+    loadExtension,
+    attachLinkOnClick,
+    closeOnSave,
+    waitUntil,
+    nextScan,
+    TEST_SETTINGS
+};
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, attachLinkOnClick, closeOnSave, waitUntil } = require('./helpers/load-extension');
+
+require('../history.js');
+const { searchHistory, toCsv, isoWeek, computeStats } = globalThis.GoogleMeetAutoAddHistory;
+
+const ENTRIES = [
+    { time: '2025-02-10T09:00:00.000Z', success: true, title: 'Weekly sync', strategy: 'Direct Add (Provider Button)', meetCode: 'abc-defg-hjk', elapsedMs: 120 },
+    { time: '2025-02-12T09:00:00.000Z', success: false, title: 'Design review', strategy: 'Dropdown Menu (Single/Multi Provider)', error: 'Could not find Google Meet option in dropdown' },
+    { time: '2025-02-18T09:00:00.000Z', success: true, title: '1:1, "Alex"', strategy: 'Dropdown Menu (Single/Multi Provider)', meetCode: 'xyz-abcd-efg', elapsedMs: 900 }
+];
+
+test('isoWeek follows ISO 8601 across year boundaries', () => {
+    assert.equal(isoWeek(new Date(2025, 1, 10)), '2025-W07');
+    assert.equal(isoWeek(new Date(2024, 11, 30)), '2025-W01');
+    assert.equal(isoWeek(new Date(2021, 0, 3)), '2020-W53');
+});
+
+test('computeStats counts conversions per week and failures per strategy', () => {
+    const stats = computeStats(ENTRIES);
+    assert.equal(stats.total, 3);
+    assert.equal(stats.failures, 1);
+    assert.deepEqual(stats.perWeek, [{ week: '2025-W08', conversions: 1 }, { week: '2025-W07', conversions: 1 }]);
+    assert.deepEqual(stats.byStrategy[0], { strategy: 'Dropdown Menu (Single/Multi Provider)', runs: 2, failures: 1, failureRate: 0.5 });
+});
+
+test('searchHistory matches titles, codes and errors', () => {
+    assert.equal(searchHistory(ENTRIES, 'xyz-abcd').length, 1);
+    assert.equal(searchHistory(ENTRIES, 'DROPDOWN').length, 2);
+    assert.equal(searchHistory(ENTRIES, '').length, 3);
+});
+
+test('toCsv quotes cells with commas and quotes', () => {
+    const lines = toCsv(ENTRIES).split('\r\n');
+    assert.equal(lines[0], 'time,success,trigger,title,when,provider,strategy,meetCode,elapsedMs,error');
+    assert.equal(lines[3], '2025-02-18T09:00:00.000Z,true,,"1:1, ""Alex""",,,Dropdown Menu (Single/Multi Provider),xyz-abcd-efg,900,');
+});
+
+test('button runs are recorded in chrome.storage.local', async () => {
+    const { window, document, chrome, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    attachLinkOnClick(dialog.querySelector('.conference'), dialog);
+    closeOnSave(dialog);
+
+    document.getElementById('google-meet-auto-add-btn').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    await waitUntil(() => chrome.storage.local.items.history);
+
+    const [entry] = chrome.storage.local.items.history;
+    assert.equal(entry.success, true);
+    assert.equal(entry.trigger, 'button');
+    assert.equal(entry.title, 'Weekly sync');
+    assert.equal(entry.when, 'Thursday, October 22 ⋅ 10:00 – 11:00am');
+    assert.equal(entry.strategy, 'Direct Add (Provider Button)');
+    assert.equal(entry.meetCode, 'xyz-abcd-efg');
+    assert.equal(typeof entry.elapsedMs, 'number');
+    close();
+});
+
+test('failures are recorded with their error', async () => {
+    const { chrome, close } = await loadExtension('direct-add');
+    await chrome.runtime.dispatchMessage({ action: 'add_meet', save: true });
+    await waitUntil(() => chrome.storage.local.items.history);
+
+    const [entry] = chrome.storage.local.items.history;
+    assert.equal(entry.success, false);
+    assert.equal(entry.trigger, 'shortcut');
+    assert.equal(entry.error, 'Clicking the video conferencing button had no effect');
+    close();
+});
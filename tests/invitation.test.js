@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, attachLinkOnClick, closeOnSave, TEST_SETTINGS } = require('./helpers/load-extension');
+
+test('readMeetDetails extracts link, code and dial-in details', async () => {
+    const { api, document, close } = await loadExtension('already-added');
+    const details = api.readMeetDetails(document.querySelector('[role="dialog"]'));
+    assert.deepEqual({ ...details }, {
+        url: 'https://meet.google.com/xyz-abcd-efg',
+        code: 'xyz-abcd-efg',
+        phone: '+1 929-555-0100',
+        pin: '123 456 789#',
+        morePhonesUrl: 'https://tel.meet/xyz-abcd-efg?pin=123456789'
+    });
+    close();
+});
+
+test('readMeetDetails ignores the placeholder link', async () => {
+    const { api, document, close } = await loadExtension('placeholder-link');
+    assert.equal(api.readMeetDetails(document.querySelector('[role="dialog"]')), null);
+    close();
+});
+
+test('buildInvitation renders each format', async () => {
+    const { api, document, close } = await loadExtension('already-added');
+    const dialog = document.querySelector('[role="dialog"]');
+
+    const text = api.buildInvitation(dialog, 'text').text;
+    assert.equal(text, [
+        'Design review',
+        'Friday, October 23 ⋅ 2:00 – 3:00pm',
+        '',
+        'Join with Google Meet: https://meet.google.com/xyz-abcd-efg',
+        'Meeting code: xyz-abcd-efg',
+        'Join by phone: +1 929-555-0100 (PIN: 123 456 789#)',
+        'More phone numbers: https://tel.meet/xyz-abcd-efg?pin=123456789'
+    ].join('\n'));
+
+    const markdown = api.buildInvitation(dialog, 'markdown').text;
+    assert.match(markdown, /^\*\*Design review\*\*\n/);
+    assert.match(markdown, /\[Join with Google Meet\]\(https:\/\/meet\.google\.com\/xyz-abcd-efg\)/);
+    assert.match(markdown, /Meeting code: `xyz-abcd-efg`/);
+
+    const html = api.buildInvitation(dialog, 'html');
+    assert.match(html.html, /<strong>Design review<\/strong>/);
+    assert.match(html.html, /<a href="https:\/\/meet\.google\.com\/xyz-abcd-efg">Join with Google Meet<\/a>/);
+    assert.equal(html.text, text);
+    close();
+});
+
+test('the snippet is copied before saving when enabled', async () => {
+    const settings = { ...TEST_SETTINGS, invitation: { copyAfterAdd: true, format: 'text' } };
+    const { window, document, chrome, close } = await loadExtension('direct-add', { settings });
+    const dialog = document.querySelector('[role="dialog"]');
+    attachLinkOnClick(dialog.querySelector('.conference'), dialog);
+    closeOnSave(dialog);
+
+    let copied = null;
+    Object.defineProperty(window.navigator, 'clipboard', {
+        configurable: true,
+        value: { writeText: async (text) => { copied = text; } }
+    });
+
+    const response = await chrome.runtime.dispatchMessage({ action: 'add_meet', save: true });
+    assert.equal(response.success, true);
+    assert.match(copied, /^Weekly sync\nThursday, October 22 ⋅ 10:00 – 11:00am\n\nJoin with Google Meet: https:\/\/meet\.google\.com\/xyz-abcd-efg/);
+    assert.match(document.getElementById('google-meet-auto-add-toast').textContent, /^Google Meet added, invitation copied/);
+    close();
+});
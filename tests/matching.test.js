@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, TEST_SETTINGS } = require('./helpers/load-extension');
+
+const DEBUG_SETTINGS = { ...TEST_SETTINGS, logLevel: 'debug' };
+
+test('the best candidate wins, not the first one in the dialog', async () => {
+    const { api, document, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    dialog.querySelector('.footer').insertAdjacentHTML('afterbegin', '<button type="button">Saved</button>');
+
+    const match = api.matchControl('save', dialog);
+    assert.equal(match.element, dialog.querySelector('[data-action-id="save"]'));
+    assert.equal(match.confidence, 1);
+    assert.equal(match.signals, 'text, selector, visible, role, position');
+    close();
+});
+
+test('a control is still found by its attributes and icon in an unknown language', async () => {
+    const { api, document, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    dialog.querySelector('.conference').outerHTML =
+        '<button type="button" data-action-id="addConference"><i class="google-material-icons">videocam</i><span>Ajouter une visioconférence</span></button>';
+
+    const match = api.matchControl('videoButton', dialog);
+    assert.equal(match.element.dataset.actionId, 'addConference');
+    assert.equal(match.signals, 'selector, icon, visible, role, position');
+    assert.equal(match.confidence, 1);
+    close();
+});
+
+test('a renamed control is refused and its near miss is logged', async () => {
+    const { api, document, close } = await loadExtension('missing-save', { settings: DEBUG_SETTINGS });
+    const dialog = document.querySelector('[role="dialog"]');
+    dialog.querySelector('.conference').outerHTML = '<div role="button" class="conference">Add video call</div>';
+
+    assert.equal(api.findVideoConferencingButton(dialog), null);
+
+    const entry = [...api.getDiagnosticBundle().log].reverse()
+        .find(item => item.message.startsWith('No confident match for the video conferencing button'));
+    assert.ok(entry, 'near miss was not logged');
+    assert.equal(entry.data[0].text, 'add video call');
+    assert.ok(entry.data[0].confidence < api.CONFIG.matching.threshold);
+    assert.match(entry.data[0].signals, /^text 0\.\d+, visible, role, position$/);
+    close();
+});
+
+test('a close spelling is refused even as a button in the conferencing section', async () => {
+    const { api, document, close } = await loadExtension('missing-save');
+    const dialog = document.querySelector('[role="dialog"]');
+    // One letter off the label, with role, position and visibility all in its favour
+    dialog.querySelector('.conference').outerHTML = '<button type="button" class="conference">Add Google Meet video conferncing</button>';
+
+    assert.equal(api.matchControl('videoButton', dialog), null);
+    close();
+});
+
+test('layout containers with jsaction are not scored as the video button', async () => {
+    const { api, document, close } = await loadExtension('missing-save', { settings: DEBUG_SETTINGS });
+    const dialog = document.querySelector('[role="dialog"]');
+    dialog.querySelector('.conference').outerHTML = '<div jsaction="click:Wx1;keydown:Wx2" class="conference">Add video call</div>';
+
+    assert.equal(api.findVideoConferencingButton(dialog), null);
+    const entry = [...api.getDiagnosticBundle().log]
+        .find(item => item.message.startsWith('No confident match for the video conferencing button'));
+    assert.equal(entry, undefined, 'the container was not a candidate at all');
+    close();
+});
+
+test('wording alone is not enough when the words merely contain the label', async () => {
+    const { api, document, close } = await loadExtension('missing-save');
+    const dialog = document.querySelector('[role="dialog"]');
+    dialog.querySelector('.footer').insertAdjacentHTML('beforeend', '<button type="button">Don\'t save</button>');
+
+    assert.equal(api.findVisibleSaveButton(dialog), null);
+    close();
+});
+
+test('dry run reports how confident each match was', async () => {
+    const { api, document, close } = await loadExtension('direct-add', { settings: { ...TEST_SETTINGS, dryRun: true } });
+    const dialog = document.querySelector('[role="dialog"]');
+
+    const { steps } = api.explainConferencing(dialog, api.PROVIDERS.GOOGLE_MEET);
+    assert.equal(steps[0].reasons[0], '100% confident (text, icon, visible, role, position)');
+    close();
+});
@@ -0,0 +1,194 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, attachLinkOnClick, closeOnSave, waitUntil, TEST_SETTINGS } = require('./helpers/load-extension');
+
+// Calendar's "Remove conference" control empties the conference section
+function wireRemoveConference(dialog) {
+    const section = dialog.querySelector('[data-field="conferenceData"]');
+    section.querySelector('[aria-label="Remove conference"]').addEventListener('click', () => {
+        section.innerHTML = '<button type="button" class="conference">Add video conferencing</button>';
+    });
+}
+
+function onSave(dialog, callback) {
+    closeOnSave(dialog, callback);
+}
+
+// The toast is replaced, not updated, so look it up again each time
+function toastText(document) {
+    const toast = document.getElementById('google-meet-auto-add-toast');
+    return toast ? toast.textContent : null;
+}
+
+test('dialogs with Meet get a Remove button instead of the add button', async () => {
+    const { document, close } = await loadExtension('already-added');
+    assert.equal(document.getElementById('google-meet-auto-add-btn'), null);
+
+    const remove = document.getElementById('google-meet-auto-add-remove-btn');
+    assert.equal(remove.textContent, 'Remove Google Meet');
+    assert.equal(remove.previousElementSibling, document.querySelector('[data-action-id="save"]'));
+    close();
+});
+
+test('Remove takes the conference off and saves', async () => {
+    const { window, document, api, close } = await loadExtension('already-added');
+    const dialog = document.querySelector('[role="dialog"]');
+    wireRemoveConference(dialog);
+
+    let saved = false;
+    onSave(dialog, () => { saved = true; });
+
+    const remove = document.getElementById('google-meet-auto-add-remove-btn');
+    remove.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    await waitUntil(() => document.getElementById('google-meet-auto-add-toast'));
+
+    assert.equal(api.isVideoConferencingAlreadyAdded(dialog), false);
+    assert.equal(saved, true);
+    assert.equal(document.getElementById('google-meet-auto-add-toast').textContent, 'Google Meet removed');
+    close();
+});
+
+test('Undo reopens the saved event from the grid and removes Meet', async () => {
+    const { window, document, api, chrome, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    attachLinkOnClick(dialog.querySelector('.conference'), dialog);
+
+    // The reopened editor: the same event, now with Meet attached
+    const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'already-added.html'), 'utf8');
+    const template = new window.DOMParser().parseFromString(fixture, 'text/html').querySelector('[role="dialog"]');
+
+    let reopened = null;
+    let resaved = false;
+    onSave(dialog, () => {
+        // Saving adds the event to the grid
+        const chip = document.createElement('div');
+        chip.setAttribute('data-eventid', 'evt-1');
+        chip.setAttribute('role', 'button');
+        chip.textContent = 'Weekly sync, 10:00 – 11:00am';
+        chip.addEventListener('click', () => {
+            const bubble = document.createElement('div');
+            bubble.innerHTML = '<button type="button" aria-label="Edit event"><i class="google-material-icons">edit</i></button>';
+            bubble.querySelector('button').addEventListener('click', () => {
+                bubble.remove();
+                reopened = document.importNode(template, true);
+                document.body.appendChild(reopened);
+                wireRemoveConference(reopened);
+                onSave(reopened, () => { resaved = true; });
+            });
+            document.body.appendChild(bubble);
+        });
+        document.body.appendChild(chip);
+    });
+
+    const response = await chrome.runtime.dispatchMessage({ action: 'add_meet', save: true, trigger: 'popup' });
+    assert.equal(response.success, true);
+
+    const toast = document.getElementById('google-meet-auto-add-toast');
+    assert.match(toast.textContent, /^Google Meet added/);
+    toast.querySelector('button').click();
+    await waitUntil(() => toastText(document) !== 'Undoing...');
+
+    assert.ok(reopened, 'event was not reopened');
+    assert.equal(api.isVideoConferencingAlreadyAdded(reopened), false);
+    assert.equal(resaved, true);
+    assert.equal(document.getElementById('google-meet-auto-add-toast').textContent, 'Google Meet removed');
+    close();
+});
+
+// An event already in the grid; clicking it opens its details bubble
+function addChip(document, id, onOpen) {
+    const chip = document.createElement('div');
+    chip.setAttribute('data-eventid', id);
+    chip.setAttribute('role', 'button');
+    chip.setAttribute('tabindex', '0');
+    chip.textContent = 'Weekly sync, 10:00 – 11:00am';
+    chip.addEventListener('click', () => onOpen(id));
+    document.body.appendChild(chip);
+}
+
+test('Undo reopens the edited event by its id, not another with the same title', async () => {
+    const { document, chrome, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    dialog.setAttribute('data-eventid', 'evt-2');
+    attachLinkOnClick(dialog.querySelector('.conference'), dialog);
+    onSave(dialog, () => {});
+
+    const opened = [];
+    addChip(document, 'evt-1', id => opened.push(id));
+    addChip(document, 'evt-2', id => opened.push(id));
+
+    await chrome.runtime.dispatchMessage({ action: 'add_meet', save: true, trigger: 'popup' });
+    document.getElementById('google-meet-auto-add-toast').querySelector('button').click();
+    await waitUntil(() => opened.length > 0);
+
+    assert.deepEqual(opened, ['evt-2']);
+    close();
+});
+
+test('Undo refuses to guess between events that share a title', async () => {
+    const { document, chrome, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    attachLinkOnClick(dialog.querySelector('.conference'), dialog);
+    onSave(dialog, () => {});
+
+    // A recurring event: every instance has its own id
+    const opened = [];
+    addChip(document, 'evt-1', id => opened.push(id));
+    addChip(document, 'evt-2', id => opened.push(id));
+
+    await chrome.runtime.dispatchMessage({ action: 'add_meet', save: true, trigger: 'popup' });
+    document.getElementById('google-meet-auto-add-toast').querySelector('button').click();
+    // Both look for the event the same way, and the focus move started first
+    await waitUntil(() => toastText(document) !== 'Undoing...');
+
+    assert.equal(toastText(document), 'Could not undo - open the event to remove the meeting');
+    assert.deepEqual(opened, []);
+    assert.equal(document.activeElement, document.body, 'focus is not moved to a guess');
+    close();
+});
+
+test('in dry run, Remove outlines its steps and leaves the event alone', async () => {
+    const settings = { ...TEST_SETTINGS, dryRun: true };
+    const { window, document, api, close } = await loadExtension('already-added', { settings });
+    const dialog = document.querySelector('[role="dialog"]');
+    wireRemoveConference(dialog);
+
+    let saved = false;
+    onSave(dialog, () => { saved = true; });
+
+    document.getElementById('google-meet-auto-add-remove-btn').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+
+    const overlay = document.getElementById('google-meet-auto-add-explain');
+    assert.ok(overlay, 'the steps are outlined');
+    assert.equal(overlay.querySelector('strong').textContent, 'Dry run: remove Google Meet');
+    assert.equal(overlay.querySelectorAll('.google-meet-auto-add-explain-box').length, 2, 'remove control and Save');
+    assert.equal(api.isVideoConferencingAlreadyAdded(dialog), true);
+    assert.equal(saved, false);
+    assert.equal(toastText(document), null);
+    close();
+});
+
+test('Undo clicked after dry run was turned on outlines the event instead of reopening it', async () => {
+    const { document, api, chrome, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    dialog.setAttribute('data-eventid', 'evt-1');
+    attachLinkOnClick(dialog.querySelector('.conference'), dialog);
+    onSave(dialog, () => {});
+
+    const opened = [];
+    addChip(document, 'evt-1', id => opened.push(id));
+
+    await chrome.runtime.dispatchMessage({ action: 'add_meet', save: true, trigger: 'popup' });
+    api.CONFIG.dryRun = true; // From the popup, while the toast is up
+    document.getElementById('google-meet-auto-add-toast').querySelector('button').click();
+
+    const overlay = document.getElementById('google-meet-auto-add-explain');
+    assert.ok(overlay, 'the event to reopen is outlined');
+    assert.equal(overlay.querySelectorAll('.google-meet-auto-add-explain-box').length, 1);
+    assert.match(overlay.querySelector('li').textContent, /The event that was just saved/);
+    assert.deepEqual(opened, [], 'the event was not reopened');
+    assert.equal(toastText(document), null, 'no "Undoing..." toast');
+    close();
+});
@@ -0,0 +1,208 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, attachLinkOnClick, waitUntil, TEST_SETTINGS } = require('./helpers/load-extension');
+
+const SCOPE_PROMPT = `
+    <div class="scope-title">Edit recurring event</div>
+    <label><input type="radio" name="scope" value="this" checked>This event</label>
+    <label><input type="radio" name="scope" value="following">This and following events</label>
+    <label><input type="radio" name="scope" value="all">All events</label>
+    <button type="button" data-action="cancel">Cancel</button>
+    <button type="button" data-action="ok">OK</button>`;
+
+/**
+ * Wires Save like Calendar does for a recurring event: the scope prompt opens,
+ * and only OK in the prompt saves and closes the editor
+ * @returns {Object} { saved: scope picked, or null while unsaved }
+ */
+function simulateRecurringSave(document, dialog, promptHtml = SCOPE_PROMPT) {
+    const result = { saved: null, prompt: null };
+    dialog.querySelector('[data-action-id="save"]').addEventListener('click', () => {
+        const prompt = document.createElement('div');
+        prompt.setAttribute('role', 'dialog');
+        prompt.innerHTML = promptHtml;
+        prompt.querySelector('[data-action="ok"]').addEventListener('click', () => {
+            result.saved = prompt.querySelector('input:checked').value;
+            prompt.remove();
+            dialog.remove();
+        });
+        prompt.querySelector('[data-action="cancel"]').addEventListener('click', () => prompt.remove());
+        document.body.appendChild(prompt);
+        result.prompt = prompt;
+    });
+    return result;
+}
+
+async function setUp(recurringScope) {
+    const settings = { ...TEST_SETTINGS, saving: { recurringScope } };
+    const env = await loadExtension('direct-add', { settings });
+    const dialog = env.document.querySelector('[role="dialog"]');
+    attachLinkOnClick(dialog.querySelector('.conference'), dialog);
+    return { ...env, dialog };
+}
+
+test('the recurring event prompt is answered with the configured scope', async () => {
+    const { document, chrome, dialog, close } = await setUp('all');
+    const result = simulateRecurringSave(document, dialog);
+
+    const response = await chrome.runtime.dispatchMessage({ action: 'add_meet', save: true });
+    assert.equal(response.success, true);
+    assert.equal(result.saved, 'all');
+    close();
+});
+
+test('nothing is picked or confirmed when the labels are in an unknown language', async () => {
+    const { document, window, dialog, close } = await setUp('following');
+    const result = simulateRecurringSave(document, dialog, SCOPE_PROMPT
+        .replace('Edit recurring event', 'Modifica evento ricorrente')
+        .replace('This event', 'Questo evento')
+        .replace('This and following events', 'Questo e i successivi')
+        .replace('All events', 'Tutti gli eventi')
+        .replace('>OK<', '>Conferma<'));
+    const button = document.getElementById('google-meet-auto-add-btn');
+
+    button.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    await waitUntil(() => button.textContent === 'Waiting for your answer...');
+
+    // The prompt is left to the user as Calendar showed it
+    assert.equal(result.prompt.querySelector('input:checked').value, 'this');
+    assert.equal(result.prompt.isConnected, true);
+    assert.equal(result.saved, null);
+
+    result.prompt.querySelector('input[value="all"]').click();
+    result.prompt.querySelector('[data-action="ok"]').click();
+    await waitUntil(() => button.textContent !== 'Waiting for your answer...');
+    assert.equal(result.saved, 'all');
+    assert.equal(button.textContent, '✓ Done!');
+    close();
+});
+
+test('an unrecognized OK button is not guessed at either', async () => {
+    const { document, window, dialog, close } = await setUp('all');
+    const result = simulateRecurringSave(document, dialog, SCOPE_PROMPT.replace('>OK<', '>Conferma<'));
+    const button = document.getElementById('google-meet-auto-add-btn');
+
+    button.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    await waitUntil(() => button.textContent === 'Waiting for your answer...');
+
+    assert.equal(result.prompt.querySelector('input:checked').value, 'this', 'no half-answered prompt');
+    assert.equal(result.saved, null);
+
+    result.prompt.querySelector('[data-action="ok"]').click();
+    await waitUntil(() => button.textContent === '✓ Done!');
+    close();
+});
+
+test('with "ask", success waits until the user answers the prompt', async () => {
+    const { document, window, dialog, close } = await setUp('ask');
+    const result = simulateRecurringSave(document, dialog);
+    const button = document.getElementById('google-meet-auto-add-btn');
+
+    button.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    await waitUntil(() => button.textContent === 'Waiting for your answer...');
+
+    // Still waiting well past the attach timeout: the user has time to decide
+    const waitLonger = TEST_SETTINGS.timing.retryTimeout + 100;
+    await assert.rejects(waitUntil(() => button.textContent !== 'Waiting for your answer...', waitLonger));
+    assert.equal(result.saved, null);
+
+    result.prompt.querySelector('input[value="following"]').click();
+    result.prompt.querySelector('[data-action="ok"]').click();
+    await waitUntil(() => button.textContent !== 'Waiting for your answer...');
+
+    assert.equal(result.saved, 'following');
+    assert.equal(button.textContent, '✓ Done!');
+    close();
+});
+
+test('a save that never goes through is reported as a failure', async () => {
+    const { chrome, close } = await setUp('this');
+    // Save is clicked, but the editor stays open (e.g. a validation error)
+
+    const response = await chrome.runtime.dispatchMessage({ action: 'add_meet', save: true });
+    assert.equal(response.success, false);
+    assert.equal(response.error, 'The event was not saved');
+    close();
+});
+
+/**
+ * Wires Save to Calendar's "Send invitation emails?" prompt for an event with guests
+ * @returns {Object} { choice: 'send', 'dontSend' or null while unanswered }
+ */
+function simulateInvitationPrompt(document, dialog, translate = html => html) {
+    const result = { choice: null };
+    dialog.querySelector('[data-action-id="save"]').addEventListener('click', () => {
+        const prompt = document.createElement('div');
+        prompt.setAttribute('role', 'dialog');
+        prompt.innerHTML = translate(`
+            <p>Would you like to send invitation emails to Google Calendar guests?</p>
+            <button type="button">Back to editing</button>
+            <button type="button" data-choice="dontSend">Don't send</button>
+            <button type="button" data-choice="send">Send</button>`);
+        prompt.querySelectorAll('[data-choice]').forEach((button) => {
+            button.addEventListener('click', () => {
+                result.choice = button.getAttribute('data-choice');
+                prompt.remove();
+                dialog.remove();
+            });
+        });
+        document.body.appendChild(prompt);
+    });
+    return result;
+}
+
+async function saveWithInvitationPolicy(saving) {
+    const settings = { ...TEST_SETTINGS, saving };
+    const { window, document, close } = await loadExtension('direct-add', { settings });
+    const dialog = document.querySelector('[role="dialog"]');
+    attachLinkOnClick(dialog.querySelector('.conference'), dialog);
+    const result = simulateInvitationPrompt(document, dialog);
+
+    const button = document.getElementById('google-meet-auto-add-btn');
+    button.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    await waitUntil(() => button.textContent !== 'Working...');
+
+    close();
+    return { choice: result.choice, label: button.textContent };
+}
+
+test('"never" saves without emailing guests and says so on the button', async () => {
+    const { choice, label } = await saveWithInvitationPolicy({ sendInvitations: 'never' });
+    assert.equal(choice, 'dontSend');
+    assert.equal(label, '✓ Saved, no emails sent');
+});
+
+test('"always" sends the invitations', async () => {
+    const { choice, label } = await saveWithInvitationPolicy({ sendInvitations: 'always' });
+    assert.equal(choice, 'send');
+    assert.equal(label, '✓ Saved, guests notified');
+});
+
+test('"internal" sends only when every guest is in an internal domain', async () => {
+    // The fixture's only guest is alex@example.com
+    const external = await saveWithInvitationPolicy({ sendInvitations: 'internal', internalDomains: 'acme.com' });
+    assert.equal(external.choice, 'dontSend');
+
+    const internal = await saveWithInvitationPolicy({ sendInvitations: 'internal', internalDomains: 'acme.com, example.com' });
+    assert.equal(internal.choice, 'send');
+});
+
+test('reworded invitation buttons are left to the user, not picked by position', async () => {
+    const settings = { ...TEST_SETTINGS, saving: { sendInvitations: 'never' } };
+    const { window, document, close } = await loadExtension('direct-add', { settings });
+    const dialog = document.querySelector('[role="dialog"]');
+    attachLinkOnClick(dialog.querySelector('.conference'), dialog);
+    const result = simulateInvitationPrompt(document, dialog, html => html
+        .replace('Don\'t send', 'Don\'t notify')
+        .replace('>Send<', '>Notify guests<'));
+
+    const button = document.getElementById('google-meet-auto-add-btn');
+    button.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    await waitUntil(() => button.textContent === 'Waiting for your answer...');
+    assert.equal(result.choice, null);
+
+    document.querySelector('[data-choice="dontSend"]').click();
+    await waitUntil(() => button.textContent === '✓ Done!');
+    assert.equal(result.choice, 'dontSend');
+    close();
+});
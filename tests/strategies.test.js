@@ -0,0 +1,144 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, attachLinkOnClick } = require('./helpers/load-extension');
+
+test('selectStrategy picks the strategy matching each dialog state', async () => {
+    const expected = {
+        'already-added': 'ALREADY_ADDED',
+        'direct-add': 'DIRECT_ADD',
+        'dropdown': 'DROPDOWN_MENU',
+        'placeholder-link': 'DROPDOWN_MENU'
+    };
+
+    for (const [fixture, key] of Object.entries(expected)) {
+        const { api, document, close } = await loadExtension(fixture);
+        const strategy = api.selectStrategy(document.querySelector('[role="dialog"]'));
+        assert.equal(strategy, api.STRATEGIES[key], `${fixture}: expected ${key}`);
+        close();
+    }
+});
+
+test('selectStrategy returns null when there is no way to add conferencing', async () => {
+    const { api, document, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    dialog.querySelector('[data-field="conferenceData"]').remove();
+    assert.equal(api.selectStrategy(dialog), null);
+    close();
+});
+
+test('DIRECT_ADD clicks the Meet button and waits for the link', async () => {
+    const { api, document, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    attachLinkOnClick(dialog.querySelector('.conference'), dialog);
+
+    await api.STRATEGIES.DIRECT_ADD.execute(dialog);
+    assert.equal(api.isVideoConferencingAlreadyAdded(dialog), true);
+    close();
+});
+
+test('DIRECT_ADD fails when the button click has no effect', async () => {
+    const { api, document, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+
+    await assert.rejects(api.STRATEGIES.DIRECT_ADD.execute(dialog), /had no effect/);
+    close();
+});
+
+test('DIRECT_ADD fails when the link never attaches', async () => {
+    const { api, document, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    const section = dialog.querySelector('[data-field="conferenceData"]');
+    // Calendar starts creating the conference but never finishes
+    section.querySelector('.conference').addEventListener('click', () => {
+        section.insertAdjacentHTML('beforeend', '<span class="spinner">Creating conference...</span>');
+    });
+
+    await assert.rejects(api.STRATEGIES.DIRECT_ADD.execute(dialog), /failed to attach after direct add/);
+    close();
+});
+
+test('DROPDOWN_MENU opens the menu, picks Google Meet and cleans up stealth styles', async () => {
+    const { api, document, close } = await loadExtension('dropdown');
+    const dialog = document.querySelector('[role="dialog"]');
+    const menu = document.querySelector('[role="menu"]');
+    dialog.querySelector('.conference').addEventListener('click', () => {
+        menu.hidden = false;
+    });
+    attachLinkOnClick(menu.querySelector('[data-provider="meet"]'), dialog);
+
+    await api.STRATEGIES.DROPDOWN_MENU.execute(dialog);
+    assert.equal(api.isVideoConferencingAlreadyAdded(dialog), true);
+    assert.equal(document.getElementById('google-meet-stealth-style'), null);
+    close();
+});
+
+test('DROPDOWN_MENU treats an immediate attach as a single-provider account', async () => {
+    const { api, document, close } = await loadExtension('placeholder-link');
+    const dialog = document.querySelector('[role="dialog"]');
+    attachLinkOnClick(dialog.querySelector('.conference'), dialog);
+
+    await api.STRATEGIES.DROPDOWN_MENU.execute(dialog);
+    assert.equal(api.isVideoConferencingAlreadyAdded(dialog), true);
+    close();
+});
+
+test('DROPDOWN_MENU fails when the menu has no Google Meet entry', async () => {
+    const { api, document, close } = await loadExtension('dropdown');
+    const dialog = document.querySelector('[role="dialog"]');
+    const menu = document.querySelector('[role="menu"]');
+    menu.querySelector('[data-provider="meet"]').remove();
+    dialog.querySelector('.conference').addEventListener('click', () => {
+        menu.hidden = false;
+    });
+
+    await assert.rejects(api.STRATEGIES.DROPDOWN_MENU.execute(dialog), /Could not find Google Meet option/);
+    assert.equal(document.getElementById('google-meet-stealth-style'), null);
+    close();
+});
+
+test('waits resume on the DOM change that attaches the link', async () => {
+    const { api, document, window, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    // Calendar attaches the link a moment after the click, not synchronously
+    dialog.querySelector('.conference').addEventListener('click', () => {
+        window.setTimeout(() => {
+            const link = document.createElement('a');
+            link.href = 'https://meet.google.com/xyz-abcd-efg';
+            dialog.querySelector('[data-field="conferenceData"]').appendChild(link);
+        }, 20);
+    });
+
+    const started = Date.now();
+    await api.STRATEGIES.DIRECT_ADD.execute(dialog);
+    assert.ok(Date.now() - started < 150, 'should not run out the attach timeout');
+    close();
+});
+
+test('closing the dialog aborts a running add', async () => {
+    const { document, chrome, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+
+    const pending = chrome.runtime.dispatchMessage({ action: 'add_meet', save: true });
+    dialog.remove();
+    const response = await pending;
+
+    assert.equal(response.success, false);
+    assert.match(response.error, /dialog was closed/);
+    close();
+});
+
+test('closing a wrapper around the dialog aborts a running add too', async () => {
+    const { document, chrome, close } = await loadExtension('direct-add');
+    const dialog = document.querySelector('[role="dialog"]');
+    const wrapper = document.createElement('div');
+    dialog.replaceWith(wrapper);
+    wrapper.appendChild(dialog);
+
+    const pending = chrome.runtime.dispatchMessage({ action: 'add_meet', save: true });
+    wrapper.remove();
+    const response = await pending;
+
+    assert.equal(response.success, false);
+    assert.match(response.error, /dialog was closed/);
+    close();
+});
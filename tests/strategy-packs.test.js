@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, attachLinkOnClick, closeOnSave } = require('./helpers/load-extension');
+
+// Finds the video button by its icon alone, as a hotfix pack might after a
+// Calendar update renamed the button
+const ICON_PACK = {
+    format: 1,
+    name: 'Icon hotfix',
+    version: '2024-06-01',
+    strategies: [
+        {
+            id: 'ICON_BUTTON',
+            name: 'Videocam Icon',
+            priority: 1,
+            detect: { exists: { icons: ['videocam'] } },
+            steps: [
+                { name: 'click icon', click: { icons: ['videocam'] }, expect: { attached: 'provider' } },
+                { name: 'wait for link', wait: { attached: 'provider' }, timeout: 'retry' }
+            ]
+        }
+    ]
+};
+
+test('the built-in pack validates', async () => {
+    const { window, close } = await loadExtension(null);
+    const { BUILTIN_PACK, validatePack } = window.GoogleMeetAutoAddStrategies;
+
+    const result = validatePack(BUILTIN_PACK);
+    assert.deepEqual([...result.errors], []);
+    assert.equal(result.valid, true);
+    close();
+});
+
+test('validation errors say where the pack is wrong', async () => {
+    const { window, close } = await loadExtension(null);
+    const { validatePack } = window.GoogleMeetAutoAddStrategies;
+
+    assert.deepEqual([...validatePack({ format: 2, name: 'Old', strategies: [] }).errors], [
+        'pack.format: must be one of 1',
+        'pack.strategies: needs at least 1 item(s)'
+    ]);
+
+    const strategy = ICON_PACK.strategies[0];
+    const result = validatePack({
+        ...ICON_PACK,
+        strategies: [
+            { ...strategy, steps: [{ name: 'both', click: { finder: 'saveButton' }, wait: { attached: 'any' } }] },
+            { ...strategy, detect: { exists: { selectors: ['button[aria-label='] } } }
+        ]
+    });
+    assert.equal(result.valid, false);
+    assert.deepEqual([...result.errors], [
+        'pack.strategies[0].steps[0]: needs exactly one of click, choose or wait',
+        'pack.strategies[1].id: "ICON_BUTTON" is used twice',
+        'pack.strategies[1].detect.exists.selectors: invalid selector "button[aria-label="'
+    ]);
+
+    assert.deepEqual([...validatePack({ ...ICON_PACK, strategies: [{ ...strategy, detect: { exists: { finder: 'nope' } } }] }).errors], [
+        'pack.strategies[0].detect.exists.finder: must be one of "videoButton", "conferenceSection", "providerOption", "saveButton"'
+    ]);
+    close();
+});
+
+test('an imported pack replaces the built-in strategies', async () => {
+    const { api, document, chrome, close } = await loadExtension('direct-add', { local: { strategyPack: ICON_PACK } });
+    const dialog = document.querySelector('[role="dialog"]');
+    attachLinkOnClick(dialog.querySelector('.conference'), dialog);
+    closeOnSave(dialog);
+
+    assert.deepEqual(Object.keys(api.STRATEGIES), ['ICON_BUTTON']);
+
+    const response = await chrome.runtime.dispatchMessage({ action: 'add_meet', save: true, trigger: 'popup' });
+    assert.equal(response.success, true);
+    assert.equal(response.strategy, 'Videocam Icon');
+
+    const bundle = api.getDiagnosticBundle();
+    assert.deepEqual({ ...bundle.strategyPack }, { name: 'Icon hotfix', version: '2024-06-01', custom: true });
+    close();
+});
+
+test('a stored pack that no longer validates falls back to the built-in one', async () => {
+    const broken = { ...ICON_PACK, strategies: [{ ...ICON_PACK.strategies[0], steps: [{ name: 'nothing' }] }] };
+    const { api, window, close } = await loadExtension('direct-add', { local: { strategyPack: broken } });
+
+    assert.deepEqual(Object.keys(api.STRATEGIES), ['ALREADY_ADDED', 'DIRECT_ADD', 'DROPDOWN_MENU']);
+
+    const loaded = await window.GoogleMeetAutoAddStrategies.loadPack();
+    assert.equal(loaded.custom, false);
+    assert.deepEqual([...loaded.errors], ['pack.strategies[0].steps[0]: needs exactly one of click, choose or wait']);
+    close();
+});
+
+test('savePack rejects an invalid pack with its errors', async () => {
+    const { window, chrome, close } = await loadExtension(null);
+    const { savePack } = window.GoogleMeetAutoAddStrategies;
+
+    await assert.rejects(savePack({ name: 'No format' }), (error) => {
+        assert.deepEqual([...error.errors], ['pack: missing "format"', 'pack: missing "strategies"']);
+        return true;
+    });
+    assert.equal(chrome.storage.local.items.strategyPack, undefined);
+
+    await savePack(ICON_PACK);
+    assert.equal(chrome.storage.local.items.strategyPack.name, 'Icon hotfix');
+    close();
+});